@@ -1,7 +1,7 @@
 /**
  * OBS Playout Web App — Mac (single-file Node.js)
  * Features:
- *  - Upload video/image → saved into local media library (single directory)
+ *  - Upload video/image → saved into local media library (multipart or resumable chunks)
  *  - List library with thumbnails (ffmpeg for video, sharp for images)
  *  - Play selected clip/image on OBS via obs-websocket
  *
@@ -31,8 +31,15 @@ const http = require("http");
 const { Server } = require("socket.io");
 const sharp = require("sharp");
 const mime = require("mime");
-const { OBSWebSocket } = require("obs-websocket-js");
+const { OBSWebSocket, EventSubscription } = require("obs-websocket-js");
 const os = require("os");
+const crypto = require("crypto");
+const busboy = require("busboy");
+const net = require("net");
+const dgram = require("dgram");
+const readline = require("readline");
+const Datastore = require("@seald-io/nedb");
+const { AsyncLocalStorage } = require("async_hooks");
 
 // =================== CONFIG ===================
 const CONFIG = {
@@ -47,761 +54,6230 @@ const CONFIG = {
   OBS_VIDEO_INPUT: process.env.OBS_VIDEO_INPUT || "PlayerVideo",
   OBS_IMAGE_INPUT: process.env.OBS_IMAGE_INPUT || "PlayerImage",
   DEFAULT_THUMB_WIDTH: Number(process.env.DEFAULT_THUMB_WIDTH || 320),
+  STORYBOARD_FRAMES: Number(process.env.STORYBOARD_FRAMES || 20), // frames per scrub sprite sheet
+  STORYBOARD_COLUMNS: Number(process.env.STORYBOARD_COLUMNS || 5),
+  STORYBOARD_TILE_WIDTH: Number(process.env.STORYBOARD_TILE_WIDTH || 160),
+  CACHE_GC_HOURS: Number(process.env.CACHE_GC_HOURS || 24), // sweep THUMB_CACHE for orphaned/stale files; 0 = off
+  // Login + roles on every route/socket; only turn off on an isolated machine
+  AUTH_ENABLED: process.env.AUTH_ENABLED !== "false",
+  SESSION_TTL_HOURS: Number(process.env.SESSION_TTL_HOURS || 12), // sliding; renewed on use
+  CORS_ORIGINS: (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean),
+  // Also accept/return absolute file paths next to media IDs (for old integrations)
+  MEDIA_PATH_API: process.env.MEDIA_PATH_API === "true",
+  // Retry a dropped OBS connection with exponential backoff
+  OBS_AUTO_RECONNECT: process.env.OBS_AUTO_RECONNECT === "true",
+  OBS_RECONNECT_MIN_MS: Number(process.env.OBS_RECONNECT_MIN_MS || 1000),
+  OBS_RECONNECT_MAX_MS: Number(process.env.OBS_RECONNECT_MAX_MS || 30000),
+  OBS_RECONNECT_MAX_ATTEMPTS: Number(process.env.OBS_RECONNECT_MAX_ATTEMPTS || 0), // 0 = keep trying
+  // Player layers as JSON: [{ "name", "label", "videoInput", "imageInput", "scene", "switchScene", "box" }]; seeds DATA_DIR/players.json
+  PLAYERS: process.env.PLAYERS || "",
+  // Backup OBS instances as JSON: [{ "name", "url", "password", "scene" }]; seeds DATA_DIR/obs-mirrors.json
+  OBS_MIRRORS: process.env.OBS_MIRRORS || "",
+  OBS_MIRROR_TIMEOUT_MS: Number(process.env.OBS_MIRROR_TIMEOUT_MS || 10000),
+  // Default transition between items: "cut", "fade" or "stinger"; seeds DATA_DIR/transition.json
+  TRANSITION: process.env.TRANSITION || "cut",
+  TRANSITION_DURATION_MS: Number(process.env.TRANSITION_DURATION_MS || 500),
+  // Scene transitions as named in OBS (the names are localized in non-English OBS)
+  OBS_CUT_TRANSITION: process.env.OBS_CUT_TRANSITION || "Cut",
+  OBS_FADE_TRANSITION: process.env.OBS_FADE_TRANSITION || "Fade",
+  OBS_STINGER_TRANSITION: process.env.OBS_STINGER_TRANSITION || "Stinger",
+  // What a clip does when it ends: "stop", "loop", "hold", "hide", or JSON such as
+  // { "type": "fallback", "mediaId" } / { "type": "scene", "scene" }; seeds DATA_DIR/end-action.json
+  END_ACTION: process.env.END_ACTION || "stop",
+  // Player audio: fades on start/stop (ms), and live level meters pushed to the UI
+  AUDIO_FADE_IN_MS: Number(process.env.AUDIO_FADE_IN_MS || 0),
+  AUDIO_FADE_OUT_MS: Number(process.env.AUDIO_FADE_OUT_MS || 0),
+  AUDIO_METERS: process.env.AUDIO_METERS !== "false",
+  AUDIO_METER_INTERVAL_MS: Number(process.env.AUDIO_METER_INTERVAL_MS || 100),
+  // videoProgress push rate while a clip plays, and how often the position is re-read from OBS
+  PROGRESS_INTERVAL_MS: Number(process.env.PROGRESS_INTERVAL_MS || 250),
+  PROGRESS_RESYNC_MS: Number(process.env.PROGRESS_RESYNC_MS || 5000),
+  // Seconds left on a clip at which countdownWarning is sent
+  COUNTDOWN_WARNINGS: (process.env.COUNTDOWN_WARNINGS || "30,10")
+    .split(",").map(Number).filter(n => n > 0).sort((a, b) => b - a),
+  // Outbound webhooks as JSON: [{ "name", "url", "secret", "events" }]; seeds DATA_DIR/webhooks.json
+  WEBHOOKS: process.env.WEBHOOKS || "",
+  WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+  WEBHOOK_MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6),
+  WEBHOOK_RETRY_MIN_MS: Number(process.env.WEBHOOK_RETRY_MIN_MS || 2000),
+  WEBHOOK_RETRY_MAX_MS: Number(process.env.WEBHOOK_RETRY_MAX_MS || 5 * 60 * 1000),
+  WEBHOOK_LOG_SIZE: Number(process.env.WEBHOOK_LOG_SIZE || 500), // deliveries kept for /api/settings/webhooks/deliveries
+  // Hardware panel control; 0 = off
+  OSC_PORT: Number(process.env.OSC_PORT || 0),
+  TCP_CONTROL_PORT: Number(process.env.TCP_CONTROL_PORT || 0),
+  CONTROL_HOST: process.env.CONTROL_HOST || "127.0.0.1",
+  // Panel addresses that act as operator without an API token (comma-separated IPs)
+  CONTROL_ALLOW: (process.env.CONTROL_ALLOW || "127.0.0.1,::1").split(",").map(a => a.trim()).filter(Boolean),
+  // Where OSC tally/now-playing feedback goes: "host:port,host:port"
+  OSC_FEEDBACK: (process.env.OSC_FEEDBACK || "").split(",").map(t => t.trim()).filter(Boolean),
+  UPLOAD_CHUNK_SIZE: Number(process.env.UPLOAD_CHUNK_SIZE || 8 * 1024 * 1024),
+  UPLOAD_EXPIRE_HOURS: Number(process.env.UPLOAD_EXPIRE_HOURS || 24), // unfinished uploads idle this long are deleted; 0 = never
+  DATA_DIR: process.env.DATA_DIR || path.join(__dirname, "data"),
+  // Comma-separated names/globs hidden from the library (matched per path segment)
+  LIBRARY_IGNORE: (process.env.LIBRARY_IGNORE || ".*,thumbnails")
+    .split(",").map(p => p.trim()).filter(Boolean),
+  INDEX_STABLE_MS: Number(process.env.INDEX_STABLE_MS || 2000), // size must hold this long before a new file is listed
+  INDEX_RESCAN_MINUTES: Number(process.env.INDEX_RESCAN_MINUTES || 10), // safety-net full rescan (SMB can drop events)
+  RUNDOWN_IMAGE_HOLD: Number(process.env.RUNDOWN_IMAGE_HOLD || 10), // seconds
+  // What a due schedule event does while OBS is down: "retry" keeps trying
+  // (auto-connecting) for SCHEDULE_GRACE_SECONDS, "skip" marks it missed at once
+  SCHEDULE_OFFLINE_POLICY: process.env.SCHEDULE_OFFLINE_POLICY || "retry",
+  SCHEDULE_GRACE_SECONDS: Number(process.env.SCHEDULE_GRACE_SECONDS || 60),
 };
 
 // Set THUMB_CACHE after MEDIA_DIR is defined
 CONFIG.THUMB_CACHE = process.env.THUMB_CACHE || path.join(CONFIG.MEDIA_DIR, "thumbnails");
 // ==============================================
 
-const LIB_DIR = CONFIG.MEDIA_DIR;
-
 // Commented out automatic directory creation
 // (async () => {
-//   await fsp.mkdir(LIB_DIR, { recursive: true });
+//   await fsp.mkdir(CONFIG.MEDIA_DIR, { recursive: true });
 //   await fsp.mkdir(CONFIG.THUMB_CACHE, { recursive: true });
 // })();
 
 const app = express();
 const server = http.createServer(app);
-const io = new Server(server, {
+// Browsers on other origins only get in when listed in CORS_ORIGINS
+const io = new Server(server, CONFIG.CORS_ORIGINS.length ? {
   cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
+    origin: CONFIG.CORS_ORIGINS,
+    methods: ["GET", "POST"],
+    credentials: true
   }
-});
+} : {});
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// /api/v1/... is rewritten to the route that serves it (see "API v1")
+app.use(routeApiV1);
 
 // Set EJS as template engine
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// ---------------- OBS WebSocket ----------------
-const obs = new OBSWebSocket();
-let obsConnected = false;
-
-// Track current playing media
-let currentPlayingMedia = {
-  type: null, // 'video' or 'image'
-  filePath: null,
-  filename: null,
-  startTime: null,
-  duration: null
+// ---------------- Errors ----------------
+// Every API failure is { ok: false, error, code }: `code` is stable for
+// scripts to branch on, `error` is for people. Errors raised without a code
+// get the one for their HTTP status. Anything else is INTERNAL_ERROR, or
+// OBS_ERROR when OBS refused a request (SOURCE_MISSING when it doesn't know
+// the input or scene asked for).
+const ERROR_CODES = [
+  "VALIDATION_FAILED", "INVALID_MEDIA", "INVALID_USERNAME", "INVALID_NAME", "INVALID_ROLE", "WEAK_PASSWORD",
+  "AUTH_REQUIRED", "INVALID_CREDENTIALS", "INVALID_TOKEN", "SESSION_EXPIRED",
+  "FORBIDDEN", "NOT_FOUND", "METHOD_NOT_ALLOWED",
+  "CONFLICT", "USERNAME_TAKEN", "LAST_ADMIN", "SOURCE_MISSING", "PAYLOAD_TOO_LARGE",
+  "LOGIN_RATE_LIMITED", "OBS_NOT_CONNECTED", "OBS_ERROR", "INTERNAL_ERROR"
+];
+const STATUS_ERROR_CODES = {
+  400: "VALIDATION_FAILED",
+  401: "AUTH_REQUIRED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  405: "METHOD_NOT_ALLOWED",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  503: "OBS_NOT_CONNECTED"
 };
+const OBS_RESOURCE_NOT_FOUND = 600; // obs-websocket request status
 
-async function connectOBS() {
-  try {
-    await obs.connect(CONFIG.OBS_URL, CONFIG.OBS_PASSWORD);
-    obsConnected = true;
-    console.log("[OBS] Connected");
-  } catch (e) {
-    obsConnected = false;
-    console.error("[OBS] Connect failed:", e.message);
+function httpError(status, message, code) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code || STATUS_ERROR_CODES[status] || "INTERNAL_ERROR";
+  return err;
+}
+
+function requireOBS() {
+  if (!obsConnected) throw httpError(503, "OBS not connected", "OBS_NOT_CONNECTED");
+}
+
+function errorStatusAndCode(e) {
+  if (e.status) {
+    return { status: e.status, code: ERROR_CODES.includes(e.code) ? e.code : STATUS_ERROR_CODES[e.status] || "INTERNAL_ERROR" };
   }
+  // obs-websocket-js: request failures carry OBS's numeric status code;
+  // calls on a closed socket fail before they are sent
+  if (typeof e.code === "number") {
+    return { status: 502, code: e.code === OBS_RESOURCE_NOT_FOUND ? "SOURCE_MISSING" : "OBS_ERROR" };
+  }
+  if (e.message === "Not connected" || e.message === "Socket not identified") {
+    return { status: 503, code: "OBS_NOT_CONNECTED" };
+  }
+  return { status: 500, code: "INTERNAL_ERROR" };
 }
-// Don't auto-connect on startup - only manual connection
-obs.on("ConnectionClosed", () => {
-  obsConnected = false;
-  console.warn("[OBS] Disconnected");
-  // Broadcast OBS status to all clients
-  io.emit('obsStatus', { connected: false });
-  // Removed automatic retry - only manual connection now
-});
 
-obs.on("ConnectionOpened", () => {
-  obsConnected = true;
-  console.log("[OBS] Connection opened");
-  // Broadcast OBS status to all clients
-  io.emit('obsStatus', { connected: true });
-});
+// `extra` adds route-specific fields (an upload's offset, rejected files)
+function sendError(res, e, extra = {}) {
+  const { status, code } = errorStatusAndCode(e);
+  res.status(status).json({ ok: false, error: e.message, code, ...(e.details ? { details: e.details } : {}), ...extra });
+}
 
-// ---------------- WebSocket Events ----------------
-io.on('connection', (socket) => {
-  console.log('[WebSocket] Client connected:', socket.id);
-  
-  // Send current state to newly connected client
-  socket.emit('obsStatus', { connected: obsConnected });
-  const progressBarVisible = currentPlayingMedia.type === 'video' && currentPlayingMedia.filePath;
-  socket.emit('currentPlaying', {
-    ...currentPlayingMedia,
-    progressBarVisible: progressBarVisible
-  });
-  
-  // Handle client disconnect
-  socket.on('disconnect', () => {
-    console.log('[WebSocket] Client disconnected:', socket.id);
-  });
-  
-  // Handle client requesting current status
-  socket.on('requestStatus', () => {
-    socket.emit('obsStatus', { connected: obsConnected });
-    const progressBarVisible = currentPlayingMedia.type === 'video' && currentPlayingMedia.filePath;
-    socket.emit('currentPlaying', {
-      ...currentPlayingMedia,
-      progressBarVisible: progressBarVisible
-    });
-  });
-});
+// ---------------- Auth ----------------
+// Browsers log in for a session cookie; scripts send an API token as
+// "Authorization: Bearer <token>" (or X-API-Key). Roles are ordered
+// viewer < operator < admin.
+const AUTH_FILE = () => path.join(CONFIG.DATA_DIR, "auth.json");
+const SESSION_COOKIE = "playout_session";
+const ROLES = ["viewer", "operator", "admin"];
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const SESSION_TOUCH_MS = 60 * 1000;
+const PUBLIC_PATHS = new Set(["/login", "/api/auth/login"]);
 
-// Function to broadcast current playing media to all clients
-function broadcastCurrentPlaying() {
-  const progressBarVisible = currentPlayingMedia.type === 'video' && currentPlayingMedia.filePath;
-  io.emit('currentPlaying', {
-    ...currentPlayingMedia,
-    progressBarVisible: progressBarVisible
-  });
+// First matching rule wins; anything else is viewer for reads, operator for writes
+const ROUTE_ROLES = [
+  { pattern: /^\/api\/settings\/localStorage$/, role: "operator" }, // scene pick; the route gates the rest
+  { pattern: /^\/api\/(settings|cache|media-index)(\/|$)/, role: "admin" },
+  { pattern: /^\/api\/auth\/(users|tokens)(\/|$)/, role: "admin" },
+  { pattern: /^\/api\/auth\/(me|logout)$/, role: "viewer" }
+];
+
+// users: [{ id, username, role, passwordHash, createdAt }]
+// tokens: [{ id, name, role, hash, prefix, createdAt, lastUsedAt }]
+// sessions: [{ hash, userId, createdAt, expiresAt }] (only hashes are stored)
+let authData = { users: [], tokens: [], sessions: [] };
+let authSaveTimer = null;
+const loginFailures = new Map(); // ip -> { count, resetAt }
+
+function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
 }
 
-// Function to broadcast OBS status to all clients
-function broadcastOBSStatus() {
-  io.emit('obsStatus', { connected: obsConnected });
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
 }
 
-// Function to broadcast video progress to all clients
-async function broadcastVideoProgress() {
-  if (!obsConnected || currentPlayingMedia.type !== 'video') {
-    return;
-  }
-  
-  try {
-    const mediaState = await obs.call("GetMediaInputStatus", {
-      inputName: CONFIG.OBS_VIDEO_INPUT
-    });
-    
-    const progressData = {
-      ok: true,
-      mediaState: mediaState.mediaState,
-      mediaDuration: mediaState.mediaDuration || 0,
-      mediaCursor: mediaState.mediaCursor || 0,
-      playing: mediaState.mediaState === "OBS_MEDIA_STATE_PLAYING"
-    };
-    
-    io.emit('videoProgress', progressData);
-  } catch (error) {
-    // Source might not exist or be playing
-    io.emit('videoProgress', {
-      ok: true,
-      mediaState: "OBS_MEDIA_STATE_NONE",
-      mediaDuration: 0,
-      mediaCursor: 0,
-      playing: false
-    });
-  }
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Checked when the username is unknown, so that costs the same scrypt run as
+// a wrong password and response times don't tell which usernames exist
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
 }
 
-// Start periodic progress broadcasting
-let progressBroadcastInterval = null;
+async function loadAuth() {
+  const data = await readJsonFile(AUTH_FILE(), {});
+  authData = {
+    users: Array.isArray(data.users) ? data.users : [],
+    tokens: Array.isArray(data.tokens) ? data.tokens : [],
+    sessions: (Array.isArray(data.sessions) ? data.sessions : []).filter(s => s.expiresAt > Date.now())
+  };
 
-function startProgressBroadcasting() {
-  if (progressBroadcastInterval) {
-    clearInterval(progressBroadcastInterval);
+  // First run: create an admin so someone can get in
+  if (!authData.users.length) {
+    const username = process.env.ADMIN_USERNAME || "admin";
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+    authData.users.push({
+      id: crypto.randomUUID(),
+      username,
+      role: "admin",
+      passwordHash: hashPassword(password),
+      createdAt: Date.now()
+    });
+    await saveAuth();
+    if (process.env.ADMIN_PASSWORD) {
+      console.log(`[Auth] Created admin user "${username}" from ADMIN_PASSWORD`);
+    } else {
+      console.log(`[Auth] Created admin user "${username}" with password: ${password}`);
+      console.log("[Auth] Change it after logging in (PUT /api/auth/users/:id)");
+    }
   }
-  progressBroadcastInterval = setInterval(broadcastVideoProgress, 1000); // Broadcast every second
+  console.log(`[Auth] ${authData.users.length} user(s), ${authData.tokens.length} API token(s)${CONFIG.AUTH_ENABLED ? "" : " (auth disabled)"}`);
 }
 
-function stopProgressBroadcasting() {
-  if (progressBroadcastInterval) {
-    clearInterval(progressBroadcastInterval);
-    progressBroadcastInterval = null;
+async function saveAuth() {
+  try {
+    await writeJsonFile(AUTH_FILE(), authData);
+  } catch (e) {
+    console.error("[Auth] Failed to save:", e.message);
   }
 }
 
-// Start broadcasting when server starts
-startProgressBroadcasting();
+function saveAuthSoon() {
+  if (authSaveTimer) return;
+  authSaveTimer = setTimeout(() => {
+    authSaveTimer = null;
+    saveAuth();
+  }, 5000);
+}
 
-// -------------- Helper utilities ---------------
-function isVideoFile(p) {
-  const ext = path.extname(p).toLowerCase();
-  return [".mp4", ".mov", ".mkv", ".webm", ".m4v"].includes(ext);
+function parseCookies(header) {
+  const cookies = {};
+  String(header || "").split(";").forEach((part) => {
+    const eq = part.indexOf("=");
+    if (eq === -1) return;
+    const name = part.slice(0, eq).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch (e) {
+      // ignore malformed cookie values
+    }
+  });
+  return cookies;
 }
-function isImageFile(p) {
-  const ext = path.extname(p).toLowerCase();
-  return [".png", ".jpg", ".jpeg", ".gif", ".webp"].includes(ext);
+
+function publicUser(user) {
+  return { id: user.id, username: user.username, role: user.role, createdAt: user.createdAt };
 }
 
-async function listFilesRecursive(dir, type) {
-  const out = [];
-  try {
-    // Check if directory exists
-    if (!fs.existsSync(dir)) {
-      return out; // Return empty array if directory doesn't exist
-    }
-    const entries = await fsp.readdir(dir, { withFileTypes: true });
-    for (const ent of entries) {
-      const full = path.join(dir, ent.name);
-      if (ent.isDirectory()) {
-        // Skip thumbnails directory
-        if (ent.name === 'thumbnails') {
-          continue;
-        }
-        out.push(...await listFilesRecursive(full, type));
-      } else {
-        if (type === "video" && isVideoFile(full)) out.push(full);
-        if (type === "image" && isImageFile(full)) out.push(full);
-      }
+function publicToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    role: token.role,
+    prefix: token.prefix,
+    createdAt: token.createdAt,
+    lastUsedAt: token.lastUsedAt || null
+  };
+}
+
+// Who is calling, from request headers (HTTP or the socket.io handshake).
+// Returns null when no credentials were sent; throws on bad ones.
+function resolveCaller(headers) {
+  const authHeader = String(headers.authorization || "");
+  const bearer = authHeader.startsWith("Bearer ") ? authHeader.slice(7).trim() : "";
+  const apiKey = bearer || String(headers["x-api-key"] || "").trim();
+
+  if (apiKey) {
+    const token = authData.tokens.find(t => t.hash === sha256(apiKey));
+    if (!token) throw httpError(401, "invalid API token", "INVALID_TOKEN");
+    if (!token.lastUsedAt || Date.now() - token.lastUsedAt > SESSION_TOUCH_MS) {
+      token.lastUsedAt = Date.now();
+      saveAuthSoon();
     }
-  } catch (e) {
-    console.error(`Error reading directory ${dir}:`, e.message);
+    return { kind: "token", id: token.id, username: `token:${token.name}`, role: token.role };
   }
-  return out;
+
+  const sid = parseCookies(headers.cookie)[SESSION_COOKIE];
+  if (!sid) return null;
+  const hash = sha256(sid);
+  const session = authData.sessions.find(s => s.hash === hash);
+  if (!session) throw httpError(401, "session expired, please log in again", "SESSION_EXPIRED");
+  if (session.expiresAt <= Date.now()) {
+    authData.sessions = authData.sessions.filter(s => s !== session);
+    saveAuthSoon();
+    throw httpError(401, "session expired, please log in again", "SESSION_EXPIRED");
+  }
+  const user = authData.users.find(u => u.id === session.userId);
+  if (!user) throw httpError(401, "session expired, please log in again", "SESSION_EXPIRED");
+
+  // Sliding expiry, written back at most once a minute
+  const expiresAt = Date.now() + CONFIG.SESSION_TTL_HOURS * 3600 * 1000;
+  if (expiresAt - session.expiresAt > SESSION_TOUCH_MS) {
+    session.expiresAt = expiresAt;
+    saveAuthSoon();
+  }
+  return { kind: "session", id: user.id, username: user.username, role: user.role, sessionHash: hash };
 }
 
-function cacheKey(str) {
-  return Buffer.from(str).toString("base64url");
+function requiredRole(req) {
+  const rule = ROUTE_ROLES.find(r => r.pattern.test(req.path));
+  if (rule) return rule.role;
+  return req.method === "GET" || req.method === "HEAD" ? "viewer" : "operator";
 }
 
-// Function to get video duration with caching
-async function getVideoDuration(filePath) {
-  try {
-    // Generate cache key for duration
-    const key = cacheKey(`duration:${filePath}`);
-    const cachePath = path.join(CONFIG.THUMB_CACHE, key + ".json");
-    
-    // Check if cached duration exists
-    if (fs.existsSync(cachePath)) {
-      try {
-        const cached = JSON.parse(await fsp.readFile(cachePath, 'utf-8'));
-        return cached.duration;
-      } catch (e) {
-        // Cache file corrupted, continue to regenerate
-      }
-    }
-    
-    // Get duration using ffprobe
-    const duration = await new Promise((resolve) => {
-      const ffprobe = spawn("ffprobe", [
-        "-v", "quiet",
-        "-print_format", "json",
-        "-show_format",
-        filePath
-      ]);
-      
-      let output = "";
-      ffprobe.stdout.on("data", (data) => {
-        output += data.toString();
-      });
-      
-      ffprobe.on("close", (code) => {
-        if (code === 0) {
-          try {
-            const info = JSON.parse(output);
-            const duration = parseFloat(info.format.duration);
-            resolve(duration);
-          } catch (e) {
-            resolve(null);
-          }
-        } else {
-          resolve(null);
-        }
-      });
-      
-      ffprobe.on("error", () => {
-        resolve(null);
-      });
-    });
-    
-    // Cache the duration
-    if (duration !== null) {
-      try {
-        // Ensure cache directory exists
-        await fsp.mkdir(CONFIG.THUMB_CACHE, { recursive: true });
-        
-        const cacheData = {
-          filePath: filePath,
-          duration: duration,
-          timestamp: Date.now()
-        };
-        await fsp.writeFile(cachePath, JSON.stringify(cacheData, null, 2));
-      } catch (e) {
-        console.error(`Error caching duration for ${filePath}:`, e.message);
-      }
+// Drop live sockets that belong to a session/user that no longer exists
+function disconnectSockets(match) {
+  for (const socket of io.sockets.sockets.values()) {
+    const caller = socket.data.user;
+    if (caller && match(caller)) {
+      socket.emit("authError", { code: "SESSION_EXPIRED", error: "session ended" });
+      socket.disconnect(true);
     }
-    
-    return duration;
-  } catch (e) {
-    console.error(`Error getting duration for ${filePath}:`, e.message);
-    return null;
   }
 }
 
-// Format duration to readable string
-function formatDuration(seconds) {
-  if (!seconds || isNaN(seconds)) return null;
-  
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  
-  if (hours > 0) {
-    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-  } else {
-    return `${minutes}:${secs.toString().padStart(2, '0')}`;
-  }
+function endUserSessions(userId) {
+  authData.sessions = authData.sessions.filter(s => s.userId !== userId);
+  disconnectSockets(caller => caller.kind === "session" && caller.id === userId);
 }
 
-// -------------- Thumbnail endpoints -------------
-app.get("/thumb/image", async (req, res) => {
-  try {
-    const file = String(req.query.file || "");
-    if (!file.startsWith(CONFIG.MEDIA_DIR)) return res.status(400).json({ error: "invalid file path" });
-
-    const width = Number(req.query.w || CONFIG.DEFAULT_THUMB_WIDTH);
-    const key = cacheKey(`img:${file}:${width}`);
-    const outPath = path.join(CONFIG.THUMB_CACHE, key + ".jpg");
+const authReady = loadAuth();
 
-    if (fs.existsSync(outPath)) return res.sendFile(path.resolve(outPath));
+app.use(async (req, res, next) => {
+  if (!CONFIG.AUTH_ENABLED) {
+    req.user = { kind: "local", username: "local", role: "admin" };
+    return next();
+  }
+  if (PUBLIC_PATHS.has(req.path)) return next();
 
-    // Ensure cache directory exists
-    await fsp.mkdir(CONFIG.THUMB_CACHE, { recursive: true });
-    
-    const buf = await sharp(file).resize({ width }).jpeg({ quality: 75 }).toBuffer();
-    await fsp.writeFile(outPath, buf);
-    res.type("image/jpeg").send(buf);
+  try {
+    await authReady;
+    req.user = resolveCaller(req.headers);
+    if (!req.user) throw httpError(401, "login required", "AUTH_REQUIRED");
+    const role = requiredRole(req);
+    if (!hasRole(req.user, role)) throw httpError(403, `${role} role required`);
+    next();
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    // Send people opening the UI to the login page instead of a JSON error
+    if (e.status === 401 && req.method === "GET" && req.path === "/") {
+      return res.redirect("/login");
+    }
+    sendError(res, e);
   }
 });
 
-app.get("/thumb/video", async (req, res) => {
-  try {
-    const file = String(req.query.file || "");
-    if (!file.startsWith(CONFIG.MEDIA_DIR)) return res.status(400).json({ error: "invalid file path" });
+app.use(validateApiV1);
 
-    const t = String(req.query.t || "5");
-    const width = Number(req.query.w || CONFIG.DEFAULT_THUMB_WIDTH);
-    const key = cacheKey(`vid:${file}:${t}:${width}`);
-    const outPath = path.join(CONFIG.THUMB_CACHE, key + ".jpg");
+// Who is behind the work in progress, for records made deep inside play/stop
+// calls (the as-run log). Requests run as their caller; the scheduler and the
+// rundown run as themselves; anything else (OBS events) is "system".
+const actor = new AsyncLocalStorage();
 
-    if (fs.existsSync(outPath)) return res.sendFile(path.resolve(outPath));
+function actingUsername() {
+  const user = actor.getStore();
+  return user ? user.username : "system";
+}
 
-    // Ensure cache directory exists
-    await fsp.mkdir(CONFIG.THUMB_CACHE, { recursive: true });
+app.use((req, res, next) => actor.run(req.user || null, next));
 
-    const args = ["-ss", t, "-i", file, "-frames:v", "1", "-vf", `scale=${width}:-1`, "-y", outPath];
-    const ff = spawn("ffmpeg", args);
-    ff.on("close", (code) => {
-      if (code === 0) return res.sendFile(path.resolve(outPath));
-      res.status(500).json({ error: "ffmpeg failed", code });
-    });
+io.use(async (socket, next) => {
+  if (!CONFIG.AUTH_ENABLED) {
+    socket.data.user = { kind: "local", username: "local", role: "admin" };
+    return next();
+  }
+  try {
+    await authReady;
+    const headers = { ...socket.request.headers };
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (token) headers.authorization = `Bearer ${token}`;
+    const caller = resolveCaller(headers);
+    if (!caller) throw httpError(401, "login required", "AUTH_REQUIRED");
+    socket.data.user = caller;
+    next();
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    const err = new Error(e.message);
+    err.data = { code: e.code || "INTERNAL_ERROR", status: e.status || 500 };
+    next(err);
   }
 });
 
-// ----------------- Media listing ----------------
-app.get("/media", async (req, res) => {
+app.get("/login", (req, res) => {
+  res.render("login", { title: "OBS Playout" });
+});
+
+app.post("/api/auth/login", async (req, res) => {
   try {
-    const videos = await listFilesRecursive(LIB_DIR, "video");
-    const images = await listFilesRecursive(LIB_DIR, "image");
-
-    const mapVideoItem = async (full) => {
-      const duration = await getVideoDuration(full);
-      return {
-        id: cacheKey(full),
-        type: "video",
-        filename: path.basename(full),
-        path: full,
-        url: `/thumb/video?file=${encodeURIComponent(full)}&t=5`,
-        duration: duration,
-        durationFormatted: formatDuration(duration)
-      };
-    };
+    await authReady;
+    const ip = req.ip;
+    const failures = loginFailures.get(ip);
+    if (failures && failures.resetAt < Date.now()) loginFailures.delete(ip);
+    if (failures && failures.count >= LOGIN_MAX_FAILURES && failures.resetAt >= Date.now()) {
+      throw httpError(429, "too many failed logins, try again later", "LOGIN_RATE_LIMITED");
+    }
 
-    const mapImageItem = (full) => ({
-      id: cacheKey(full),
-      type: "image",
-      filename: path.basename(full),
-      path: full,
-      url: `/thumb/image?file=${encodeURIComponent(full)}`,
-    });
+    const username = String((req.body && req.body.username) || "").trim();
+    const password = String((req.body && req.body.password) || "");
+    const user = authData.users.find(u => u.username === username);
+    const valid = verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      const entry = loginFailures.get(ip) || { count: 0, resetAt: Date.now() + LOGIN_WINDOW_MS };
+      entry.count++;
+      loginFailures.set(ip, entry);
+      throw httpError(401, "invalid username or password", "INVALID_CREDENTIALS");
+    }
+    loginFailures.delete(ip);
 
-    // Process videos with duration and images without
-    const videoItems = await Promise.all(videos.map(mapVideoItem));
-    const imageItems = images.map(mapImageItem);
-    
-    const list = [...videoItems, ...imageItems]
-      .sort((a, b) => a.filename.localeCompare(b.filename));
+    const sid = crypto.randomBytes(32).toString("base64url");
+    const ttlMs = CONFIG.SESSION_TTL_HOURS * 3600 * 1000;
+    authData.sessions.push({ hash: sha256(sid), userId: user.id, createdAt: Date.now(), expiresAt: Date.now() + ttlMs });
+    authData.sessions = authData.sessions.filter(s => s.expiresAt > Date.now());
+    await saveAuth();
 
-    res.json({ ok: true, items: list });
+    const cookie = [
+      `${SESSION_COOKIE}=${sid}`,
+      "Path=/",
+      "HttpOnly",
+      "SameSite=Lax",
+      `Max-Age=${Math.floor(ttlMs / 1000)}`
+    ];
+    if (req.secure) cookie.push("Secure");
+    res.setHeader("Set-Cookie", cookie.join("; "));
+    console.log(`[Auth] ${user.username} logged in from ${ip}`);
+    res.json({ ok: true, user: publicUser(user) });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
-// ------------------ OBS Helper Functions ----------------
-async function ensureVideoSource(sourceName) {
-  try {
-    // Try to get the source first
-    await obs.call("GetInputSettings", { inputName: sourceName });
-    console.log(`Video source ${sourceName} already exists`);
-    
-    // Check if source exists in the target scene
-    const targetScene = CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE' 
-      ? await getCurrentScene() 
-      : (CONFIG.OBS_TARGET_SCENE || "Scene");
-    const sceneItems = await obs.call("GetSceneItemList", { sceneName: targetScene });
-    const existsInScene = sceneItems.sceneItems.some(item => item.sourceName === sourceName);
-    
-    if (!existsInScene) {
-      console.log(`Adding existing source ${sourceName} to scene ${targetScene}`);
-      await obs.call("CreateSceneItem", {
-        sceneName: targetScene,
-        sourceName: sourceName,
-        sceneItemEnabled: true
-      });
-    }
-  } catch (e) {
-    // Source doesn't exist, create it
-    const targetScene = CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE' 
-      ? await getCurrentScene() 
-      : (CONFIG.OBS_TARGET_SCENE || "Scene");
-    console.log(`Creating video source: ${sourceName} in scene: ${targetScene}`);
-    try {
-      await obs.call("CreateInput", {
-        sceneName: targetScene,
-        inputName: sourceName,
-        inputKind: "ffmpeg_source",
-        inputSettings: {},
-        sceneItemEnabled: true
-      });
-      console.log(`Successfully created video source: ${sourceName}`);
-    } catch (createError) {
-      console.error(`Failed to create video source ${sourceName}:`, createError.message);
-      throw createError;
-    }
+app.post("/api/auth/logout", async (req, res) => {
+  if (req.user && req.user.sessionHash) {
+    const hash = req.user.sessionHash;
+    authData.sessions = authData.sessions.filter(s => s.hash !== hash);
+    await saveAuth();
+    disconnectSockets(caller => caller.sessionHash === hash);
+  }
+  res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+  res.json({ ok: true });
+});
+
+app.get("/api/auth/me", (req, res) => {
+  res.json({ ok: true, user: { username: req.user.username, role: req.user.role, kind: req.user.kind } });
+});
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) throw httpError(400, `role must be one of ${ROLES.join(", ")}`, "INVALID_ROLE");
+  return role;
+}
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < 8) {
+    throw httpError(400, "password must be at least 8 characters", "WEAK_PASSWORD");
   }
+  return password;
 }
 
-async function ensureImageSource(sourceName) {
+app.get("/api/auth/users", (req, res) => {
+  res.json({ ok: true, users: authData.users.map(publicUser) });
+});
+
+app.post("/api/auth/users", async (req, res) => {
   try {
-    // Try to get the source first
-    await obs.call("GetInputSettings", { inputName: sourceName });
-    console.log(`Image source ${sourceName} already exists`);
-    
-    // Check if source exists in the target scene
-    const targetScene = CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE' 
-      ? await getCurrentScene() 
-      : (CONFIG.OBS_TARGET_SCENE || "Scene");
-    const sceneItems = await obs.call("GetSceneItemList", { sceneName: targetScene });
-    const existsInScene = sceneItems.sceneItems.some(item => item.sourceName === sourceName);
-    
-    if (!existsInScene) {
-      console.log(`Adding existing source ${sourceName} to scene ${targetScene}`);
-      await obs.call("CreateSceneItem", {
-        sceneName: targetScene,
-        sourceName: sourceName,
-        sceneItemEnabled: true
-      });
-    }
+    const body = req.body || {};
+    const username = String(body.username || "").trim();
+    if (!/^[\w.@-]{1,64}$/.test(username)) throw httpError(400, "username may only use letters, digits and . _ @ -", "INVALID_USERNAME");
+    if (authData.users.some(u => u.username === username)) throw httpError(409, "username already exists", "USERNAME_TAKEN");
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role: validateRole(body.role || "viewer"),
+      passwordHash: hashPassword(validatePassword(body.password)),
+      createdAt: Date.now()
+    };
+    authData.users.push(user);
+    await saveAuth();
+    res.status(201).json({ ok: true, user: publicUser(user) });
   } catch (e) {
-    // Source doesn't exist, create it
-    const targetScene = CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE' 
-      ? await getCurrentScene() 
-      : (CONFIG.OBS_TARGET_SCENE || "Scene");
-    console.log(`Creating image source: ${sourceName} in scene: ${targetScene}`);
-    try {
-      await obs.call("CreateInput", {
-        sceneName: targetScene,
-        inputName: sourceName,
-        inputKind: "image_source",
-        inputSettings: {},
-        sceneItemEnabled: true
-      });
-      console.log(`Successfully created image source: ${sourceName}`);
-    } catch (createError) {
-      console.error(`Failed to create image source ${sourceName}:`, createError.message);
-      throw createError;
-    }
+    sendError(res, e);
   }
+});
+
+function adminCountWithout(userId) {
+  return authData.users.filter(u => u.role === "admin" && u.id !== userId).length;
 }
 
-async function getCurrentScene() {
+app.put("/api/auth/users/:id", async (req, res) => {
   try {
-    // If CURRENT_SCENE is selected, always get the current scene from OBS
-    if (CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE') {
-      const response = await obs.call("GetCurrentProgramScene");
-      return response.currentProgramSceneName || response.sceneName;
+    const user = authData.users.find(u => u.id === req.params.id);
+    if (!user) throw httpError(404, "user not found");
+    const body = req.body || {};
+
+    if (body.role !== undefined) {
+      const role = validateRole(body.role);
+      if (user.role === "admin" && role !== "admin" && !adminCountWithout(user.id)) {
+        throw httpError(409, "cannot demote the last admin", "LAST_ADMIN");
+      }
+      user.role = role;
     }
-    
-    // Use the target scene from CONFIG first
-    if (CONFIG.OBS_TARGET_SCENE && CONFIG.OBS_TARGET_SCENE !== "Scene") {
-      return CONFIG.OBS_TARGET_SCENE;
+    if (body.password !== undefined) {
+      user.passwordHash = hashPassword(validatePassword(body.password));
     }
-    
-    const response = await obs.call("GetCurrentProgramScene");
-    return response.currentProgramSceneName || response.sceneName;
+    // Role or password changes take effect on the next login
+    endUserSessions(user.id);
+    await saveAuth();
+    res.json({ ok: true, user: publicUser(user) });
   } catch (e) {
-    // Fallback to config target scene or first scene
-    if (CONFIG.OBS_TARGET_SCENE && CONFIG.OBS_TARGET_SCENE !== "Scene" && CONFIG.OBS_TARGET_SCENE !== 'CURRENT_SCENE') {
-      return CONFIG.OBS_TARGET_SCENE;
-    }
-    
-    const scenes = await obs.call("GetSceneList");
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/auth/users/:id", async (req, res) => {
+  try {
+    const user = authData.users.find(u => u.id === req.params.id);
+    if (!user) throw httpError(404, "user not found");
+    if (user.role === "admin" && !adminCountWithout(user.id)) {
+      throw httpError(409, "cannot delete the last admin", "LAST_ADMIN");
+    }
+    authData.users = authData.users.filter(u => u !== user);
+    endUserSessions(user.id);
+    await saveAuth();
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/auth/tokens", (req, res) => {
+  res.json({ ok: true, tokens: authData.tokens.map(publicToken) });
+});
+
+// The plain token is only ever returned here; we keep its hash
+app.post("/api/auth/tokens", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const name = String(body.name || "").trim().slice(0, 64);
+    if (!name) throw httpError(400, "name is required", "INVALID_NAME");
+    const secret = `opt_${crypto.randomBytes(24).toString("base64url")}`;
+    const token = {
+      id: crypto.randomUUID(),
+      name,
+      role: validateRole(body.role || "operator"),
+      hash: sha256(secret),
+      prefix: secret.slice(0, 8),
+      createdAt: Date.now(),
+      lastUsedAt: null
+    };
+    authData.tokens.push(token);
+    await saveAuth();
+    res.status(201).json({ ok: true, token: secret, info: publicToken(token) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/auth/tokens/:id", async (req, res) => {
+  try {
+    const token = authData.tokens.find(t => t.id === req.params.id);
+    if (!token) throw httpError(404, "token not found");
+    authData.tokens = authData.tokens.filter(t => t !== token);
+    disconnectSockets(caller => caller.kind === "token" && caller.id === token.id);
+    await saveAuth();
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ---------------- OBS WebSocket ----------------
+const obs = new OBSWebSocket();
+let obsConnected = false;
+
+// ---------------- Players ----------------
+// A player is one playout layer (full-screen clips, a corner bug, a lower
+// third...) bound to its own OBS inputs, scene and placement, with its own
+// now-playing state. Players never touch each other; inside one player the
+// video and image inputs replace each other. The first player is the default
+// one: it is what rundowns drive and what requests without `player` address.
+const PLAYERS_FILE = () => path.join(CONFIG.DATA_DIR, "players.json");
+const PLAYER_NAME_RE = /^[A-Za-z0-9_-]{1,32}$/;
+
+function emptyMedia() {
+  return {
+    type: null, // 'video' or 'image'
+    filePath: null,
+    filename: null,
+    startTime: null,
+    duration: null
+  };
+}
+
+function defaultPlayerConfig() {
+  return {
+    name: "main",
+    label: "Main",
+    videoInput: CONFIG.OBS_VIDEO_INPUT,
+    videoInputB: `${CONFIG.OBS_VIDEO_INPUT} B`,
+    imageInput: CONFIG.OBS_IMAGE_INPUT,
+    scene: null,
+    switchScene: true,
+    box: null
+  };
+}
+
+// audio is the operator's live mix for the player, not saved with the config
+function createPlayer(config) {
+  return {
+    ...config,
+    media: emptyMedia(),
+    outPointTimer: null,
+    loadingUntil: 0,
+    audio: { volumeDb: 0, muted: false, fadeInMs: CONFIG.AUDIO_FADE_IN_MS, fadeOutMs: CONFIG.AUDIO_FADE_OUT_MS }
+  };
+}
+
+let players = [createPlayer(defaultPlayerConfig())];
+
+// scene: null = the target scene; box: null = fit the canvas, otherwise
+// { x, y, width, height } in canvas pixels; switchScene: make the scene program on play
+function normalizePlayerConfig(raw, index = 0) {
+  if (!raw || typeof raw !== "object") throw httpError(400, "each player must be an object");
+  const name = String(raw.name || "");
+  if (!PLAYER_NAME_RE.test(name)) throw httpError(400, `invalid player name: ${name || "(empty)"}`);
+  const videoInput = raw.videoInput ? String(raw.videoInput) : null;
+  // Second video input for cross-fading clip to clip
+  const videoInputB = videoInput ? String(raw.videoInputB || `${videoInput} B`) : null;
+  const imageInput = raw.imageInput ? String(raw.imageInput) : null;
+  if (!videoInput && !imageInput) throw httpError(400, `player ${name} needs a videoInput or an imageInput`);
+
+  let box = null;
+  if (raw.box) {
+    box = {};
+    for (const key of ["x", "y", "width", "height"]) {
+      const value = Number(raw.box[key]);
+      if (!Number.isFinite(value) || value < 0) throw httpError(400, `player ${name}: box.${key} must be a number >= 0`);
+      box[key] = value;
+    }
+    if (!box.width || !box.height) throw httpError(400, `player ${name}: box needs a width and height`);
+  }
+  return {
+    name,
+    label: String(raw.label || "").trim() || name,
+    videoInput,
+    videoInputB,
+    imageInput,
+    scene: raw.scene ? String(raw.scene) : null,
+    // Only the default player takes its scene to program unless told otherwise
+    switchScene: raw.switchScene !== undefined ? !!raw.switchScene : index === 0,
+    box
+  };
+}
+
+function normalizePlayerConfigs(list) {
+  if (!Array.isArray(list) || list.length === 0) throw httpError(400, "players must be a non-empty array");
+  const configs = list.map((raw, index) => normalizePlayerConfig(raw, index));
+  const names = new Set();
+  const inputs = new Set();
+  for (const config of configs) {
+    if (names.has(config.name)) throw httpError(400, `duplicate player name: ${config.name}`);
+    names.add(config.name);
+    for (const input of playerInputs(config)) {
+      if (inputs.has(input)) throw httpError(400, `input ${input} is used by more than one player`);
+      inputs.add(input);
+    }
+  }
+  return configs;
+}
+
+async function loadPlayers() {
+  let configs = await readJsonFile(PLAYERS_FILE(), null);
+  try {
+    if (!configs && CONFIG.PLAYERS) configs = JSON.parse(CONFIG.PLAYERS);
+    if (configs) players = normalizePlayerConfigs(configs).map(createPlayer);
+  } catch (e) {
+    console.error("[Players] Ignoring player config:", e.message);
+  }
+  console.log(`[Players] ${players.map(p => p.name).join(", ")}`);
+}
+
+async function savePlayers() {
+  try {
+    await writeJsonFile(PLAYERS_FILE(), players.map(({ media, outPointTimer, loadingUntil, audio, ...config }) => config));
+  } catch (e) {
+    console.error("[Players] Failed to save:", e.message);
+  }
+}
+
+function defaultPlayer() {
+  return players[0];
+}
+
+function getPlayer(name) {
+  if (name === undefined || name === null || name === "") return defaultPlayer();
+  const player = players.find(p => p.name === String(name));
+  if (!player) throw httpError(404, `unknown player: ${name}`);
+  return player;
+}
+
+function playerInputs(player) {
+  return [player.videoInput, player.videoInputB, player.imageInput].filter(Boolean);
+}
+
+function playerForInput(inputName) {
+  return players.find(p => playerInputs(p).includes(inputName)) || null;
+}
+
+// The video input (A or B) a player's clip is currently on, per OBS instance
+function liveVideoInput(player, inst = primaryOBS) {
+  return inst.liveVideo.get(player.name) || player.videoInput;
+}
+
+function spareVideoInput(player, inst = primaryOBS) {
+  return liveVideoInput(player, inst) === player.videoInput ? player.videoInputB : player.videoInput;
+}
+
+// The player's view of one OBS instance: same connection, the player's scene
+function playerScope(inst, player) {
+  return { name: inst.name, obs: inst.obs, scene: player.scene || inst.scene };
+}
+
+function publicPlayer(player) {
+  const { media, outPointTimer, loadingUntil, audio, ...config } = player;
+  return { ...config, default: player === defaultPlayer(), nowPlaying: currentPlayingSnapshot(player) };
+}
+
+const playersReady = loadPlayers();
+
+// Connection state as clients see it:
+//   disconnected – never connected, or disconnected on purpose
+//   connecting   – a connect attempt is running
+//   connected    – identified with OBS
+//   reconnecting – the connection dropped, waiting for / running the next retry
+//   failed       – connect failed or the connection dropped, and no retry is coming
+const obsLink = {
+  state: "disconnected",
+  autoReconnect: CONFIG.OBS_AUTO_RECONNECT,
+  attempt: 0,
+  nextRetryAt: null,
+  lastError: null,
+  timer: null,
+  pending: null
+};
+
+function obsStatusSnapshot() {
+  return {
+    connected: obsConnected,
+    state: obsLink.state,
+    autoReconnect: obsLink.autoReconnect,
+    attempt: obsLink.attempt,
+    nextRetryAt: obsLink.nextRetryAt,
+    error: obsLink.lastError,
+    studioMode: studio.enabled,
+    instances: [primaryOBS, ...obsMirrors].map(publicOBSInstance)
+  };
+}
+
+function setOBSState(state) {
+  const was = obsLink.state;
+  obsLink.state = state;
+  if (state !== "reconnecting") obsLink.nextRetryAt = null;
+  broadcastOBSStatus();
+  if ((state === "connected") !== (was === "connected")) {
+    emitWebhook(state === "connected" ? "obs.connected" : "obs.disconnected", obsStatusSnapshot());
+    pushOBSFeedback();
+  }
+}
+
+function cancelOBSReconnect() {
+  clearTimeout(obsLink.timer);
+  obsLink.timer = null;
+  obsLink.attempt = 0;
+  obsLink.nextRetryAt = null;
+}
+
+// Exponential backoff with a little jitter so several apps don't hammer OBS in step
+function reconnectDelay(attempt) {
+  const base = Math.min(CONFIG.OBS_RECONNECT_MAX_MS, CONFIG.OBS_RECONNECT_MIN_MS * 2 ** attempt);
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+function scheduleOBSReconnect() {
+  const max = CONFIG.OBS_RECONNECT_MAX_ATTEMPTS;
+  if (max > 0 && obsLink.attempt >= max) {
+    console.error(`[OBS] Giving up after ${obsLink.attempt} reconnect attempts`);
+    cancelOBSReconnect();
+    setOBSState("failed");
+    return;
+  }
+  const delay = reconnectDelay(obsLink.attempt);
+  obsLink.attempt += 1;
+  obsLink.nextRetryAt = Date.now() + delay;
+  console.log(`[OBS] Reconnect attempt ${obsLink.attempt} in ${Math.round(delay / 1000)}s`);
+  clearTimeout(obsLink.timer);
+  obsLink.timer = setTimeout(() => {
+    obsLink.timer = null;
+    connectOBS({ retry: true });
+  }, delay);
+  setOBSState("reconnecting");
+}
+
+// Concurrent callers (button, schedule, retry timer) share one attempt
+function connectOBS({ retry = false } = {}) {
+  if (!retry) connectMirrors();
+  if (obsConnected) return Promise.resolve();
+  if (obsLink.pending) return obsLink.pending;
+  if (!retry) cancelOBSReconnect();
+
+  obsLink.pending = (async () => {
+    setOBSState(retry ? "reconnecting" : "connecting");
+    try {
+      // Level meters are a high-volume event OBS only sends when asked for.
+      // Outside the caller's context: OBS events are nobody's request.
+      await actor.exit(() => obs.connect(CONFIG.OBS_URL, CONFIG.OBS_PASSWORD, {
+        eventSubscriptions: CONFIG.AUDIO_METERS
+          ? EventSubscription.All | EventSubscription.InputVolumeMeters
+          : EventSubscription.All
+      }));
+      obsConnected = true;
+      obsLink.lastError = null;
+      cancelOBSReconnect();
+      console.log("[OBS] Connected");
+      setOBSState("connected");
+      await resyncAfterConnect();
+    } catch (e) {
+      obsConnected = false;
+      obsLink.lastError = e.message;
+      console.error("[OBS] Connect failed:", e.message);
+      if (retry && obsLink.autoReconnect) scheduleOBSReconnect();
+      else setOBSState("failed");
+    } finally {
+      obsLink.pending = null;
+    }
+  })();
+  return obsLink.pending;
+}
+
+// Deliberate disconnect (button, settings change): no retries
+async function disconnectOBS() {
+  cancelOBSReconnect();
+  disconnectMirrors();
+  obsConnected = false;
+  try {
+    await obs.disconnect();
+  } finally {
+    setOBSState("disconnected");
+  }
+}
+
+// OBS may have restarted (fresh scene collection, nothing playing) or only the
+// socket dropped (everything still on air). Make sure every player's inputs are
+// there and bring its now-playing state back in line with what OBS really shows.
+async function resyncAfterConnect() {
+  for (const player of players) await resyncPlayer(player);
+  await refreshStudioMode();
+}
+
+async function resyncPlayer(player) {
+  const scope = playerScope(primaryOBS, player);
+  try {
+    if (player.videoInput) await ensureVideoSource(liveVideoInput(player), scope);
+    if (player.imageInput) await ensureImageSource(player.imageInput, scope);
+  } catch (e) {
+    console.error(`[OBS] Could not verify inputs of player ${player.name}:`, e.message);
+  }
+
+  const { type, filePath } = player.media;
+  if (!type) return;
+
+  let stillOnAir = false;
+  try {
+    if (type === 'video') {
+      const [settings, status] = await Promise.all([
+        obs.call("GetInputSettings", { inputName: liveVideoInput(player) }),
+        obs.call("GetMediaInputStatus", { inputName: liveVideoInput(player) })
+      ]);
+      stillOnAir = settings.inputSettings.local_file === filePath &&
+        (status.mediaState === "OBS_MEDIA_STATE_PLAYING" || status.mediaState === "OBS_MEDIA_STATE_PAUSED" ||
+          (player.media.ended && status.mediaState === "OBS_MEDIA_STATE_ENDED"));
+      if (stillOnAir) {
+        player.media.startTime = Date.now() - (status.mediaCursor || 0);
+        watchOutPoint(player, filePath, player.media.marks ? player.media.marks.outPoint : null);
+      }
+    } else {
+      const settings = await obs.call("GetInputSettings", { inputName: player.imageInput });
+      stillOnAir = settings.inputSettings.file === filePath;
+    }
+  } catch (e) {
+    console.error(`[OBS] Could not read state of player ${player.name}:`, e.message);
+  }
+
+  if (stillOnAir) {
+    console.log(`[OBS] Re-synced ${player.name}: ${path.basename(filePath)} is still on air`);
+  } else {
+    console.warn(`[OBS] ${player.name}: ${path.basename(filePath)} is no longer on air after reconnect`);
+    clearOutPointWatch(player);
+    if (player === defaultPlayer()) detachRundown();
+    recordEnd(player, "lost on reconnect");
+    player.media = emptyMedia();
+  }
+  broadcastCurrentPlaying(player);
+}
+
+// Don't auto-connect on startup - the operator connects; with
+// OBS_AUTO_RECONNECT a dropped connection is retried after that
+obs.on("ConnectionClosed", (err) => {
+  // Failed connect attempts close too; connectOBS handles those
+  if (!obsConnected) return;
+  obsConnected = false;
+  players.forEach(clearOutPointWatch);
+  playbackClocks.clear();
+  players.forEach(armCountdown);
+  updateProgressTimer();
+  clearCued();
+  obsLink.lastError = err && err.message ? err.message : null;
+  console.warn("[OBS] Disconnected");
+  if (obsLink.autoReconnect) scheduleOBSReconnect();
+  else setOBSState("failed");
+});
+
+obs.on("ConnectionOpened", () => {
+  console.log("[OBS] Connection opened");
+});
+
+// ---------------- OBS mirrors ----------------
+// Backup OBS machines that get every play/show/stop/seek/control command the
+// primary gets. The primary stays the source of truth (progress, clip end,
+// rundown); each mirror has its own command queue so a slow or broken backup
+// never holds up the primary.
+const OBS_MIRRORS_FILE = () => path.join(CONFIG.DATA_DIR, "obs-mirrors.json");
+
+const primaryOBS = {
+  id: "primary",
+  name: "Primary",
+  obs,
+  get url() { return CONFIG.OBS_URL; },
+  get scene() { return CONFIG.OBS_TARGET_SCENE; },
+  get connected() { return obsConnected; },
+  get state() { return obsLink.state; },
+  get lastError() { return obsLink.lastError; },
+  lastCommand: null,
+  liveVideo: new Map(), // player name -> video input on air
+  audioRamps: new Map() // input name -> token of the volume fade running on it
+};
+
+let obsMirrors = [];
+
+function publicOBSInstance(inst) {
+  return {
+    id: inst.id,
+    name: inst.name,
+    primary: inst === primaryOBS,
+    url: inst.url,
+    scene: inst.scene,
+    connected: inst.connected,
+    state: inst.state,
+    error: inst.lastError,
+    lastCommand: inst.lastCommand
+  };
+}
+
+function createMirror(config) {
+  const mirror = {
+    id: config.id || crypto.randomUUID(),
+    name: String(config.name || config.url),
+    url: String(config.url),
+    password: config.password ? String(config.password) : undefined,
+    scene: config.scene ? String(config.scene) : "CURRENT_SCENE",
+    obs: new OBSWebSocket(),
+    connected: false,
+    state: "disconnected",
+    lastError: null,
+    lastCommand: null,
+    attempt: 0,
+    timer: null,
+    queue: Promise.resolve(),
+    wanted: false,
+    liveVideo: new Map(),
+    audioRamps: new Map()
+  };
+  mirror.obs.on("ConnectionClosed", (err) => {
+    if (!mirror.connected) return;
+    mirror.connected = false;
+    mirror.lastError = err && err.message ? err.message : null;
+    console.warn(`[OBS:${mirror.name}] Disconnected`);
+    if (mirror.wanted && obsLink.autoReconnect) scheduleMirrorReconnect(mirror);
+    else setMirrorState(mirror, "failed");
+  });
+  return mirror;
+}
+
+function normalizeMirrorConfig(raw, previous) {
+  if (!raw || typeof raw !== "object") throw httpError(400, "each mirror must be an object");
+  const url = String(raw.url || "").trim();
+  if (!/^wss?:\/\//.test(url)) throw httpError(400, `invalid mirror url: ${url || "(empty)"}`);
+  const known = raw.id ? previous.find(m => m.id === raw.id) : null;
+  return {
+    id: known ? known.id : crypto.randomUUID(),
+    name: String(raw.name || "").trim() || url,
+    url,
+    // Passwords are never sent back to clients, so keep the stored one when omitted
+    password: raw.password !== undefined ? String(raw.password) : known ? known.password : undefined,
+    scene: String(raw.scene || "").trim() || "CURRENT_SCENE"
+  };
+}
+
+async function loadOBSMirrors() {
+  let configs = await readJsonFile(OBS_MIRRORS_FILE(), null);
+  if (!Array.isArray(configs)) {
+    try {
+      configs = CONFIG.OBS_MIRRORS ? JSON.parse(CONFIG.OBS_MIRRORS) : [];
+      configs = configs.map(raw => normalizeMirrorConfig(raw, []));
+    } catch (e) {
+      console.error("[OBS] Ignoring OBS_MIRRORS:", e.message);
+      configs = [];
+    }
+  }
+  obsMirrors = configs.map(createMirror);
+  if (obsMirrors.length) console.log(`[OBS] ${obsMirrors.length} mirror instance(s): ${obsMirrors.map(m => m.name).join(", ")}`);
+}
+
+async function saveOBSMirrors() {
+  try {
+    await writeJsonFile(OBS_MIRRORS_FILE(), obsMirrors.map(({ id, name, url, password, scene }) => ({ id, name, url, password, scene })));
+  } catch (e) {
+    console.error("[OBS] Failed to save mirrors:", e.message);
+  }
+}
+
+function setMirrorState(mirror, state) {
+  mirror.state = state;
+  broadcastOBSStatus();
+}
+
+function scheduleMirrorReconnect(mirror) {
+  const delay = reconnectDelay(mirror.attempt);
+  mirror.attempt += 1;
+  clearTimeout(mirror.timer);
+  mirror.timer = setTimeout(() => {
+    mirror.timer = null;
+    connectMirror(mirror, true);
+  }, delay);
+  setMirrorState(mirror, "reconnecting");
+}
+
+async function connectMirror(mirror, retry = false) {
+  if (mirror.connected || mirror.pending) return mirror.pending;
+  mirror.wanted = true;
+  if (!retry) {
+    clearTimeout(mirror.timer);
+    mirror.attempt = 0;
+  }
+  mirror.pending = (async () => {
+    setMirrorState(mirror, retry ? "reconnecting" : "connecting");
+    try {
+      await mirror.obs.connect(mirror.url, mirror.password);
+      mirror.connected = true;
+      mirror.attempt = 0;
+      mirror.lastError = null;
+      console.log(`[OBS:${mirror.name}] Connected`);
+      setMirrorState(mirror, "connected");
+      await catchUpMirror(mirror);
+    } catch (e) {
+      mirror.connected = false;
+      mirror.lastError = e.message;
+      console.error(`[OBS:${mirror.name}] Connect failed:`, e.message);
+      const max = CONFIG.OBS_RECONNECT_MAX_ATTEMPTS;
+      if (retry && mirror.wanted && obsLink.autoReconnect && !(max > 0 && mirror.attempt >= max)) {
+        scheduleMirrorReconnect(mirror);
+      } else {
+        setMirrorState(mirror, "failed");
+      }
+    } finally {
+      mirror.pending = null;
+    }
+  })();
+  return mirror.pending;
+}
+
+function connectMirrors() {
+  obsMirrors.forEach(mirror => connectMirror(mirror));
+}
+
+async function disconnectMirror(mirror) {
+  mirror.wanted = false;
+  clearTimeout(mirror.timer);
+  mirror.timer = null;
+  mirror.connected = false;
+  try {
+    await mirror.obs.disconnect();
+  } catch (e) {
+    console.log(`[OBS:${mirror.name}] disconnect:`, e.message);
+  }
+  setMirrorState(mirror, "disconnected");
+}
+
+function disconnectMirrors() {
+  obsMirrors.forEach(mirror => disconnectMirror(mirror));
+}
+
+// A mirror that (re)joins mid-show picks up whatever the primary has on air
+async function catchUpMirror(mirror) {
+  for (const player of players) {
+    const { type, filePath, marks, startTime } = player.media;
+    let cursorMs = 0;
+    if (type === 'video') {
+      try {
+        const status = await obs.call("GetMediaInputStatus", { inputName: liveVideoInput(player) });
+        cursorMs = status.mediaCursor || 0;
+      } catch (e) {
+        cursorMs = Date.now() - startTime;
+      }
+    }
+    runOnMirror(mirror, type ? `catch-up ${player.name} ${type}` : `verify ${player.name}`, async (inst) => {
+      const scope = playerScope(inst, player);
+      if (player.videoInput) await ensureVideoSource(liveVideoInput(player, inst), scope);
+      if (player.imageInput) await ensureImageSource(player.imageInput, scope);
+      if (type === 'video') await cueVideo(inst, player, filePath, marks, cursorMs, CUT_TRANSITION, resolveEndAction(player.media.endAction));
+      if (type === 'image') await cueImage(inst, player, filePath);
+    });
+  }
+}
+
+function recordOBSResult(inst, command, error) {
+  inst.lastCommand = { command, ok: !error, error: error ? error.message : null, at: Date.now() };
+  io.emit('obsCommandResult', { instance: inst.id, name: inst.name, ...inst.lastCommand });
+  broadcastOBSStatus();
+  if (error) console.error(`[OBS:${inst.name}] ${command} failed:`, error.message);
+}
+
+function runOnMirror(mirror, command, fn) {
+  if (!mirror.connected) {
+    recordOBSResult(mirror, command, new Error("not connected"));
+    return;
+  }
+  mirror.queue = mirror.queue
+    .then(() => {
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error("timed out")), CONFIG.OBS_MIRROR_TIMEOUT_MS);
+      });
+      return Promise.race([fn(mirror), timeout]).finally(() => clearTimeout(timer));
+    })
+    .then(() => recordOBSResult(mirror, command, null), e => recordOBSResult(mirror, command, e));
+}
+
+// Run a playout command on the primary (awaited, errors propagate) and queue
+// it on every mirror (fire-and-forget, results reported per instance)
+async function onAllOBS(command, fn) {
+  obsMirrors.forEach(mirror => runOnMirror(mirror, command, fn));
+  try {
+    await fn(primaryOBS);
+    recordOBSResult(primaryOBS, command, null);
+  } catch (e) {
+    recordOBSResult(primaryOBS, command, e);
+    throw e;
+  }
+}
+
+const obsMirrorsReady = loadOBSMirrors();
+
+// ---------------- WebSocket Events ----------------
+io.on('connection', (socket) => {
+  console.log('[WebSocket] Client connected:', socket.id);
+  
+  // Send current state to newly connected client
+  socket.emit('obsStatus', obsStatusSnapshot());
+  players.forEach(player => socket.emit('currentPlaying', currentPlayingSnapshot(player)));
+  socket.emit('cued', cuedSnapshot());
+  socket.emit('rundownState', rundownSnapshot());
+  socket.emit('scheduleNext', { event: publicScheduleEvent(nextScheduledEvent()) });
+  players.forEach(player => socket.emit('videoProgress', progressSnapshot(player)));
+  updateProgressTimer();
+  
+  // Handle client disconnect
+  socket.on('disconnect', () => {
+    console.log('[WebSocket] Client disconnected:', socket.id);
+    updateProgressTimer();
+  });
+  
+  // Handle client requesting current status
+  socket.on('requestStatus', () => {
+    socket.emit('obsStatus', obsStatusSnapshot());
+    players.forEach(player => socket.emit('currentPlaying', currentPlayingSnapshot(player)));
+    socket.emit('cued', cuedSnapshot());
+    socket.emit('rundownState', rundownSnapshot());
+    socket.emit('scheduleNext', { event: publicScheduleEvent(nextScheduledEvent()) });
+    players.forEach(player => socket.emit('videoProgress', progressSnapshot(player)));
+  });
+});
+
+// What clients see of a player's now-playing state: the media ID, and the
+// file path only in MEDIA_PATH_API mode
+function currentPlayingSnapshot(player = defaultPlayer()) {
+  const { filePath, ...rest } = player.media;
+  return {
+    player: player.name,
+    label: player.label,
+    audio: player.audio,
+    ...rest,
+    ...publicMediaFields(filePath, "filePath"),
+    progressBarVisible: !!(player.media.type === 'video' && filePath),
+    ...countdown(player),
+    next: nextUp(player)
+  };
+}
+
+// Function to broadcast a player's current media to all clients
+// (the clip, if any, changed too: re-read its position)
+function broadcastCurrentPlaying(player = defaultPlayer()) {
+  io.emit('currentPlaying', currentPlayingSnapshot(player));
+  syncPlaybackClock(player);
+}
+
+// Function to broadcast OBS status to all clients
+function broadcastOBSStatus() {
+  io.emit('obsStatus', obsStatusSnapshot());
+}
+
+// ----- Playback clock -----
+// OBS media events (started, paused, resumed, restarted, ended) say when a
+// player's clip changes state; in between, its position is interpolated from
+// the last reading. Progress is pushed every PROGRESS_INTERVAL_MS, only while
+// a clip plays and a client is connected, and re-read from OBS every
+// PROGRESS_RESYNC_MS to correct drift.
+const playbackClocks = new Map(); // player name -> { mediaState, cursorMs, durationMs, at }
+let progressTimer = null;
+
+function clockCursor(clock, now = Date.now()) {
+  if (clock.mediaState !== "OBS_MEDIA_STATE_PLAYING") return clock.cursorMs;
+  const cursor = clock.cursorMs + (now - clock.at);
+  return clock.durationMs ? Math.min(cursor, clock.durationMs) : cursor;
+}
+
+function progressSnapshot(player) {
+  const clock = playbackClocks.get(player.name);
+  if (!clock) {
+    return { ok: true, player: player.name, mediaState: "OBS_MEDIA_STATE_NONE", mediaDuration: 0, mediaCursor: 0, playing: false };
+  }
+  return {
+    ok: true,
+    player: player.name,
+    mediaState: clock.mediaState,
+    mediaDuration: clock.durationMs,
+    mediaCursor: Math.round(clockCursor(clock)),
+    playing: clock.mediaState === "OBS_MEDIA_STATE_PLAYING",
+    ...countdown(player),
+    next: nextUp(player)
+  };
+}
+
+// Function to broadcast a player's video progress to all clients
+function broadcastPlayerProgress(player) {
+  io.emit('videoProgress', progressSnapshot(player));
+}
+
+// Take a fresh reading from OBS and push it
+async function syncPlaybackClock(player) {
+  if (!obsConnected || player.media.type !== 'video') {
+    playbackClocks.delete(player.name);
+  } else {
+    try {
+      const status = await obs.call("GetMediaInputStatus", { inputName: liveVideoInput(player) });
+      playbackClocks.set(player.name, {
+        media: player.media,
+        mediaState: status.mediaState,
+        cursorMs: status.mediaCursor || 0,
+        durationMs: status.mediaDuration || 0,
+        at: Date.now()
+      });
+    } catch (e) {
+      // Source might not exist
+      playbackClocks.delete(player.name);
+    }
+  }
+  broadcastPlayerProgress(player);
+  armCountdown(player);
+  updateProgressTimer();
+  pushPlayerFeedback(player);
+}
+
+function updateProgressTimer() {
+  const needed = obsConnected && io.engine.clientsCount > 0 &&
+    [...playbackClocks.values()].some(clock => clock.mediaState === "OBS_MEDIA_STATE_PLAYING");
+  if (needed && !progressTimer) {
+    progressTimer = setInterval(pushProgress, CONFIG.PROGRESS_INTERVAL_MS);
+  } else if (!needed && progressTimer) {
+    clearInterval(progressTimer);
+    progressTimer = null;
+  }
+}
+
+function pushProgress() {
+  const now = Date.now();
+  for (const player of players) {
+    const clock = playbackClocks.get(player.name);
+    if (!clock || clock.mediaState !== "OBS_MEDIA_STATE_PLAYING") continue;
+    broadcastPlayerProgress(player);
+    if (now - clock.at >= CONFIG.PROGRESS_RESYNC_MS && !clock.syncing) {
+      clock.syncing = true;
+      syncPlaybackClock(player);
+    }
+  }
+  updateProgressTimer();
+}
+
+// ----- Countdown -----
+// Time left to a clip's out-point (or its end), when it will end at the
+// current pace, and what comes next. Crossing one of COUNTDOWN_WARNINGS
+// (seconds left) emits `countdownWarning`; the timers are re-armed from every
+// fresh reading, so seeks, pauses and loops move them too.
+const COUNTDOWN_REARM_MS = 1000;  // a warning fires again only after going back further than this
+const countdownTimers = new Map(); // player name -> Map(seconds -> timeout)
+const firedWarnings = new WeakMap(); // player.media -> Set of seconds already warned
+
+function countdown(player) {
+  const clock = playbackClocks.get(player.name);
+  if (player.media.type !== 'video' || !clock || clock.media !== player.media) return { remainingMs: null, endsAt: null };
+  const marks = player.media.marks;
+  const outMs = marks && marks.outPoint !== null && marks.outPoint !== undefined ? marks.outPoint * 1000 : null;
+  const endMs = outMs !== null && clock.durationMs ? Math.min(outMs, clock.durationMs) : (outMs ?? clock.durationMs);
+  if (!endMs) return { remainingMs: null, endsAt: null };
+  const remainingMs = Math.max(0, Math.round(endMs - clockCursor(clock)));
+  return {
+    remainingMs,
+    endsAt: clock.mediaState === "OBS_MEDIA_STATE_PLAYING" ? Date.now() + remainingMs : null
+  };
+}
+
+// The item that will replace this one: the player's cued item, else for the
+// default player the rundown's next item
+function nextUp(player) {
+  const cued = studio.cued;
+  if (cued && cued.player === player) {
+    return { source: "cued", type: cued.type, filename: cued.filename, ...publicMediaFields(cued.filePath, "filePath") };
+  }
+  const rundown = player === defaultPlayer() ? getActiveRundown() : null;
+  if (!rundown) return null;
+  let index = rundownState.nextIndex;
+  if (index >= rundown.items.length && rundown.loop) index = 0;
+  const item = rundown.items[index];
+  if (!item) return null;
+  const entry = mediaIndex.get(item.path);
+  return {
+    source: "rundown",
+    index,
+    type: item.type,
+    filename: item.filename,
+    duration: item.type === "video" ? (entry && entry.duration) || null : item.holdSeconds || CONFIG.RUNDOWN_IMAGE_HOLD,
+    ...publicMediaFields(item.path)
+  };
+}
+
+function warnCountdown(player, seconds) {
+  const pending = countdownTimers.get(player.name);
+  if (pending) pending.delete(seconds);
+  const fired = firedWarnings.get(player.media);
+  if (!fired || fired.has(seconds)) return;
+  fired.add(seconds);
+  const warning = {
+    player: player.name,
+    label: player.label,
+    seconds,
+    ...countdown(player),
+    filename: player.media.filename,
+    ...publicMediaFields(player.media.filePath, "filePath"),
+    next: nextUp(player)
+  };
+  console.log(`[Countdown] ${player.name}: ${seconds}s left of ${player.media.filename}`);
+  io.emit('countdownWarning', warning);
+}
+
+function armCountdown(player) {
+  const pending = countdownTimers.get(player.name) || new Map();
+  countdownTimers.delete(player.name);
+  pending.forEach(timer => clearTimeout(timer));
+
+  const clock = playbackClocks.get(player.name);
+  if (!clock || clock.media !== player.media || clock.mediaState !== "OBS_MEDIA_STATE_PLAYING") return;
+  const { remainingMs } = countdown(player);
+  if (remainingMs === null) return;
+
+  let fired = firedWarnings.get(player.media);
+  if (!fired) firedWarnings.set(player.media, fired = new Set());
+  const timers = new Map();
+  for (const seconds of CONFIG.COUNTDOWN_WARNINGS) {
+    const delay = remainingMs - seconds * 1000;
+    if (delay > COUNTDOWN_REARM_MS) fired.delete(seconds);
+    if (fired.has(seconds)) continue;
+    if (delay > 0) {
+      timers.set(seconds, setTimeout(() => warnCountdown(player, seconds), delay));
+    } else if (pending.has(seconds)) {
+      // The clip ran ahead of the interpolation past a pending warning
+      warnCountdown(player, seconds);
+    } else {
+      // Already inside this window when the clip started (short clip)
+      fired.add(seconds);
+    }
+  }
+  if (timers.size) countdownTimers.set(player.name, timers);
+}
+
+// Any media event on the input a player's clip is on
+function onPlayerMediaEvent({ inputName }) {
+  const player = playerForInput(inputName);
+  if (player && inputName === liveVideoInput(player)) syncPlaybackClock(player);
+}
+
+obs.on("MediaInputPlaybackStarted", onPlayerMediaEvent);
+obs.on("MediaInputPlaybackEnded", onPlayerMediaEvent);
+obs.on("MediaInputActionTriggered", onPlayerMediaEvent);
+
+// -------------- Helper utilities ---------------
+function isVideoFile(p) {
+  const ext = path.extname(p).toLowerCase();
+  return [".mp4", ".mov", ".mkv", ".webm", ".m4v"].includes(ext);
+}
+function isImageFile(p) {
+  const ext = path.extname(p).toLowerCase();
+  return [".png", ".jpg", ".jpeg", ".gif", ".webp"].includes(ext);
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+// Entries hidden from the library: LIBRARY_IGNORE patterns, plus the thumbnail
+// cache and upload staging folders wherever they live
+function isIgnoredEntry(name, full) {
+  if (name === UPLOAD_DIR_NAME || path.resolve(full) === path.resolve(CONFIG.THUMB_CACHE)) return true;
+  return CONFIG.LIBRARY_IGNORE.some(pattern => globToRegExp(pattern).test(name));
+}
+
+// Resolve a library-relative folder ("Show A/Sponsors") to an absolute path,
+// refusing anything that escapes MEDIA_DIR or points into an ignored folder
+function resolveLibraryFolder(folder) {
+  const rel = String(folder || "").replace(/\\/g, "/").replace(/^\/+|\/+$/g, "");
+  const root = path.resolve(CONFIG.MEDIA_DIR);
+  const full = path.resolve(root, rel);
+  const relative = path.relative(root, full);
+  if (relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) return null;
+
+  let cursor = root;
+  for (const segment of relative.split(path.sep).filter(Boolean)) {
+    cursor = path.join(cursor, segment);
+    if (isIgnoredEntry(segment, cursor)) return null;
+  }
+  return { full, folder: relative.split(path.sep).join("/") };
+}
+
+// Walk a library folder, collecting media files and (non-ignored) sub-folders
+async function scanLibraryTree(dir, out = { files: [], folders: [] }) {
+  try {
+    // Check if directory exists
+    if (!fs.existsSync(dir)) {
+      return out; // Nothing to scan if directory doesn't exist
+    }
+    const entries = await fsp.readdir(dir, { withFileTypes: true });
+    for (const ent of entries) {
+      const full = path.join(dir, ent.name);
+      if (isIgnoredEntry(ent.name, full)) {
+        continue;
+      }
+      if (ent.isDirectory()) {
+        out.folders.push(full);
+        await scanLibraryTree(full, out);
+      } else if (isVideoFile(full) || isImageFile(full)) {
+        out.files.push(full);
+      }
+    }
+  } catch (e) {
+    console.error(`Error reading directory ${dir}:`, e.message);
+  }
+  return out;
+}
+
+// Small JSON store helpers for state kept under DATA_DIR
+async function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(await fsp.readFile(file, "utf-8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`Error reading ${file}:`, e.message);
+    return fallback;
+  }
+}
+
+// Write via temp file + rename so a crash never leaves half a JSON file behind
+async function writeJsonFile(file, data) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fsp.rename(tmp, file);
+}
+
+function cacheKey(str) {
+  return Buffer.from(str).toString("base64url");
+}
+
+// Run ffprobe and return its parsed JSON (null if ffprobe fails)
+function runFfprobe(filePath) {
+  return new Promise((resolve) => {
+    const ffprobe = spawn("ffprobe", [
+      "-v", "quiet",
+      "-print_format", "json",
+      "-show_format",
+      "-show_streams",
+      filePath
+    ]);
+    
+    let output = "";
+    ffprobe.stdout.on("data", (data) => {
+      output += data.toString();
+    });
+    
+    ffprobe.on("close", (code) => {
+      if (code !== 0) return resolve(null);
+      try {
+        resolve(JSON.parse(output));
+      } catch (e) {
+        resolve(null);
+      }
+    });
+    
+    ffprobe.on("error", () => {
+      resolve(null);
+    });
+  });
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(rate) {
+  const [num, den] = String(rate || "").split("/").map(Number);
+  if (!num) return null;
+  return den ? num / den : num;
+}
+
+// Boil ffprobe output down to the fields we show and check
+function summarizeProbe(info) {
+  const streams = info.streams || [];
+  const video = streams.find(st => st.codec_type === "video" && !(st.disposition && st.disposition.attached_pic));
+  const audio = streams.find(st => st.codec_type === "audio");
+  const format = info.format || {};
+  const duration = parseFloat(format.duration || (video && video.duration));
+
+  const meta = {
+    duration: isNaN(duration) ? null : duration,
+    container: format.format_name || null,
+    bitrate: Number(format.bit_rate) || null,
+    video: null,
+    audio: null
+  };
+
+  if (video) {
+    const pixFmt = video.pix_fmt || "";
+    const depthMatch = /(\d+)(le|be)$/.exec(pixFmt);
+    const rFrameRate = parseFrameRate(video.r_frame_rate);
+    const avgFrameRate = parseFrameRate(video.avg_frame_rate);
+    const displayMatrix = (video.side_data_list || []).find(sd => sd.rotation !== undefined);
+    const tags = video.tags || {};
+
+    meta.video = {
+      codec: video.codec_name || null,
+      profile: video.profile || null,
+      width: video.width || null,
+      height: video.height || null,
+      pixFmt: pixFmt || null,
+      bitDepth: Number(video.bits_per_raw_sample) || (depthMatch ? Number(depthMatch[1]) : 8),
+      frameRate: avgFrameRate || rFrameRate,
+      // r_frame_rate is the stream's base rate; a different average means variable frame rate
+      vfr: !!(rFrameRate && avgFrameRate && Math.abs(rFrameRate - avgFrameRate) / rFrameRate > 0.01),
+      rotation: Number(displayMatrix ? displayMatrix.rotation : tags.rotate) || 0,
+      alpha: /^(yuva|rgba|argb|bgra|abgr|gbrap|ya)/.test(pixFmt) || tags.alpha_mode === "1" || tags.ALPHA_MODE === "1",
+      interlaced: !!video.field_order && !["progressive", "unknown"].includes(video.field_order),
+      bitrate: Number(video.bit_rate) || null
+    };
+  }
+
+  if (audio) {
+    meta.audio = {
+      codec: audio.codec_name || null,
+      channels: audio.channels || null,
+      channelLayout: audio.channel_layout || null,
+      sampleRate: Number(audio.sample_rate) || null
+    };
+  }
+
+  return meta;
+}
+
+// Things that tend to go wrong in OBS's ffmpeg_source
+function clipWarnings(meta) {
+  const warnings = [];
+  if (!meta) return warnings;
+  const v = meta.video;
+
+  if (!v) {
+    warnings.push({ code: "NO_VIDEO", message: "No video stream" });
+  } else {
+    if (v.codec === "hevc" && v.bitDepth >= 10 && v.width >= 3840) {
+      warnings.push({ code: "HEAVY_DECODE", message: "4K HEVC 10-bit may drop frames when decoding" });
+    } else if (v.codec === "prores" && v.width >= 3840) {
+      warnings.push({ code: "HEAVY_DECODE", message: "4K ProRes needs a lot of disk and CPU bandwidth" });
+    }
+    if (v.vfr) warnings.push({ code: "VFR", message: "Variable frame rate may stutter or drift" });
+    if (v.rotation) warnings.push({ code: "ROTATED", message: `Rotated ${v.rotation}° by metadata; OBS may show it sideways` });
+    if (v.interlaced) warnings.push({ code: "INTERLACED", message: "Interlaced video will show combing unless deinterlaced in OBS" });
+  }
+  if (!meta.audio) warnings.push({ code: "NO_AUDIO", message: "No audio track" });
+  if (meta.bitrate && meta.bitrate > 100e6) {
+    warnings.push({ code: "HIGH_BITRATE", message: `Very high bitrate (${Math.round(meta.bitrate / 1e6)} Mbps)` });
+  }
+  return warnings;
+}
+
+// Technical metadata for a clip, cached as JSON in THUMB_CACHE
+async function probeMedia(filePath) {
+  try {
+    const cachePath = await cachedArtifact("probe", filePath, "", ".json", async (tmpPath) => {
+      const info = await runFfprobe(filePath);
+      if (!info) throw new Error("ffprobe failed");
+      const cacheData = {
+        filePath: filePath,
+        meta: summarizeProbe(info),
+        timestamp: Date.now()
+      };
+      await fsp.writeFile(tmpPath, JSON.stringify(cacheData, null, 2));
+    });
+    const cached = JSON.parse(await fsp.readFile(cachePath, 'utf-8'));
+    return cached.meta;
+  } catch (e) {
+    if (e.code !== "ENOENT") console.error(`Error probing ${filePath}:`, e.message);
+    return null;
+  }
+}
+
+// Function to get video duration (from the cached probe)
+async function getVideoDuration(filePath) {
+  const meta = await probeMedia(filePath);
+  return meta ? meta.duration : null;
+}
+
+// Format duration to readable string
+function formatDuration(seconds) {
+  if (!seconds || isNaN(seconds)) return null;
+  
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  } else {
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  }
+}
+
+// -------------- Thumbnail cache ---------------
+// Everything derived from a media file (thumbnails, storyboards, probe JSON)
+// is cached in THUMB_CACHE under a key that includes the source's size and
+// mtime, so a replaced file simply misses. The manifest maps each cache file
+// back to its source so GC can drop entries whose source changed or vanished.
+const CACHE_MANIFEST_NAME = "_manifest.json";
+const CACHE_FILE_RE = /\.(jpg|json)$/;
+const CACHE_TMP_MAX_AGE_MS = 10 * 60 * 1000;
+
+const cacheInflight = new Map(); // key -> promise of the finished file path
+const cacheStats = { hits: 0, misses: 0, deduped: 0, errors: 0, since: Date.now() };
+let cacheManifest = null;        // cache file name -> { kind, file, size, mtimeMs, createdAt }
+let cacheManifestTimer = null;
+let cacheLastGc = null;
+let cacheRebuild = null;         // { running, total, done, errors, startedAt, finishedAt }
+
+async function loadCacheManifest() {
+  if (!cacheManifest) {
+    cacheManifest = await readJsonFile(path.join(CONFIG.THUMB_CACHE, CACHE_MANIFEST_NAME), {}) || {};
+  }
+  return cacheManifest;
+}
+
+function saveCacheManifestSoon() {
+  if (cacheManifestTimer) return;
+  cacheManifestTimer = setTimeout(async () => {
+    cacheManifestTimer = null;
+    try {
+      await writeJsonFile(path.join(CONFIG.THUMB_CACHE, CACHE_MANIFEST_NAME), cacheManifest || {});
+    } catch (e) {
+      console.error("[Cache] Failed to save manifest:", e.message);
+    }
+  }, 1000);
+}
+
+function sourceCacheKey(kind, file, stat, params) {
+  return crypto.createHash("sha1")
+    .update(`${kind}:${path.resolve(file)}:${stat.size}:${stat.mtimeMs}:${params}`)
+    .digest("hex");
+}
+
+// Path of the cached artifact for (kind, file, params), generating it with
+// produce(tmpPath) on a miss. Callers asking for the same key while it is
+// being generated share that one job instead of spawning their own ffmpeg.
+async function cachedArtifact(kind, file, params, ext, produce) {
+  const stat = await fsp.stat(file);
+  const key = sourceCacheKey(kind, file, stat, params);
+  const name = key + ext;
+  const outPath = path.join(CONFIG.THUMB_CACHE, name);
+
+  if (cacheInflight.has(key)) {
+    cacheStats.deduped++;
+    return cacheInflight.get(key);
+  }
+  if (fs.existsSync(outPath)) {
+    cacheStats.hits++;
+    return outPath;
+  }
+
+  cacheStats.misses++;
+  const job = (async () => {
+    await fsp.mkdir(CONFIG.THUMB_CACHE, { recursive: true });
+    // Keep the real extension last; ffmpeg picks the output format from it
+    const tmpPath = path.join(CONFIG.THUMB_CACHE, `${key}.${crypto.randomBytes(4).toString("hex")}.tmp${ext}`);
+    try {
+      await produce(tmpPath);
+      await fsp.rename(tmpPath, outPath);
+    } catch (e) {
+      cacheStats.errors++;
+      fsp.unlink(tmpPath).catch(() => {});
+      throw e;
+    }
+    const manifest = await loadCacheManifest();
+    manifest[name] = { kind, file: path.resolve(file), size: stat.size, mtimeMs: stat.mtimeMs, createdAt: Date.now() };
+    saveCacheManifestSoon();
+    return outPath;
+  })();
+
+  cacheInflight.set(key, job);
+  try {
+    return await job;
+  } finally {
+    cacheInflight.delete(key);
+  }
+}
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const ff = spawn("ffmpeg", args);
+    ff.on("error", () => reject(new Error("ffmpeg not available")));
+    ff.on("close", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`ffmpeg failed (exit ${code})`));
+    });
+  });
+}
+
+// Every distinct size or time is another file in the cache, so requests are
+// rounded to a few widths (up, so nobody gets less than they asked for) and
+// to whole seconds, except the clip's own poster frame
+const THUMB_WIDTHS = [80, 160, 320, 480, 640, 960, 1280, 1920];
+const THUMB_MAX_WIDTH = THUMB_WIDTHS[THUMB_WIDTHS.length - 1];
+
+function snapThumbWidth(width) {
+  return THUMB_WIDTHS.find(w => w >= width) || THUMB_MAX_WIDTH;
+}
+
+function snapThumbTime(file, t) {
+  const entry = mediaIndex.get(file);
+  return Number(t) === posterTime(file, entry ? entry.duration : null) ? Number(t) : Math.round(t);
+}
+
+function imageThumbnail(file, width) {
+  width = snapThumbWidth(width);
+  return cachedArtifact("img", file, String(width), ".jpg", (tmpPath) =>
+    sharp(file).resize({ width }).jpeg({ quality: 75 }).toFile(tmpPath)
+  );
+}
+
+function videoThumbnail(file, t, width) {
+  t = snapThumbTime(file, t);
+  width = snapThumbWidth(width);
+  return cachedArtifact("vid", file, `${t}:${width}`, ".jpg", (tmpPath) =>
+    runFfmpeg(["-ss", String(t), "-i", file, "-frames:v", "1", "-vf", `scale=${width}:-1`, "-y", tmpPath])
+  );
+}
+
+// Remove cache files whose source is gone or has changed since, plus
+// leftovers from before the manifest existed and abandoned temp files
+async function collectCacheGarbage() {
+  const manifest = await loadCacheManifest();
+  let names;
+  try {
+    names = await fsp.readdir(CONFIG.THUMB_CACHE);
+  } catch (e) {
+    return { removed: 0, freedBytes: 0 };
+  }
+
+  const sourceStats = new Map();
+  const statSource = async (file) => {
+    if (!sourceStats.has(file)) sourceStats.set(file, await fsp.stat(file).catch(() => null));
+    return sourceStats.get(file);
+  };
+
+  let removed = 0;
+  let freedBytes = 0;
+  for (const name of names) {
+    if (name === CACHE_MANIFEST_NAME || !CACHE_FILE_RE.test(name)) continue;
+    const full = path.join(CONFIG.THUMB_CACHE, name);
+    const stat = await fsp.stat(full).catch(() => null);
+    if (!stat || !stat.isFile()) continue;
+
+    const entry = manifest[name];
+    let stale;
+    if (name.includes(".tmp.")) {
+      // Possibly still being written by a running job
+      stale = Date.now() - stat.mtimeMs > CACHE_TMP_MAX_AGE_MS;
+    } else if (!entry) {
+      stale = true;
+    } else {
+      const source = await statSource(entry.file);
+      stale = !source || source.size !== entry.size || source.mtimeMs !== entry.mtimeMs;
+    }
+    if (!stale) continue;
+
+    try {
+      await fsp.unlink(full);
+      removed++;
+      freedBytes += stat.size;
+    } catch (e) {
+      console.error(`[Cache] Could not remove ${name}:`, e.message);
+    }
+    delete manifest[name];
+  }
+
+  // Manifest entries whose file was deleted by hand
+  const present = new Set(names);
+  for (const name of Object.keys(manifest)) {
+    if (!present.has(name)) delete manifest[name];
+  }
+  saveCacheManifestSoon();
+
+  cacheLastGc = { at: Date.now(), removed, freedBytes };
+  if (removed) console.log(`[Cache] GC removed ${removed} file(s), ${Math.round(freedBytes / 1024)} KB`);
+  return cacheLastGc;
+}
+
+async function cacheUsage() {
+  const manifest = await loadCacheManifest();
+  const usage = { files: 0, bytes: 0, byKind: {} };
+  let names = [];
+  try {
+    names = await fsp.readdir(CONFIG.THUMB_CACHE);
+  } catch (e) {
+    return usage;
+  }
+  for (const name of names) {
+    if (name === CACHE_MANIFEST_NAME || !CACHE_FILE_RE.test(name)) continue;
+    const stat = await fsp.stat(path.join(CONFIG.THUMB_CACHE, name)).catch(() => null);
+    if (!stat || !stat.isFile()) continue;
+    const kind = manifest[name] ? manifest[name].kind : "untracked";
+    usage.files++;
+    usage.bytes += stat.size;
+    usage.byKind[kind] = usage.byKind[kind] || { files: 0, bytes: 0 };
+    usage.byKind[kind].files++;
+    usage.byKind[kind].bytes += stat.size;
+  }
+  return usage;
+}
+
+// Throw the whole cache away and regenerate what the grid needs, one file at
+// a time so a big library doesn't flatten the machine
+async function rebuildCache() {
+  const names = await fsp.readdir(CONFIG.THUMB_CACHE).catch(() => []);
+  for (const name of names) {
+    if (CACHE_FILE_RE.test(name) && !name.includes(".tmp.")) {
+      await fsp.unlink(path.join(CONFIG.THUMB_CACHE, name)).catch(() => {});
+    }
+  }
+  cacheManifest = {};
+  saveCacheManifestSoon();
+
+  const entries = [...mediaIndex.values()];
+  cacheRebuild = { running: true, total: entries.length, done: 0, errors: 0, startedAt: Date.now(), finishedAt: null };
+  console.log(`[Cache] Rebuilding thumbnails for ${entries.length} item(s)`);
+
+  for (const entry of entries) {
+    try {
+      if (entry.type === "image") {
+        await imageThumbnail(entry.path, CONFIG.DEFAULT_THUMB_WIDTH);
+      } else {
+        const meta = await probeMedia(entry.path);
+        if (meta) {
+          entry.meta = meta;
+          entry.duration = meta.duration;
+          saveMediaIndexSoon(entry.path);
+        }
+        await videoThumbnail(entry.path, posterTime(entry.path, entry.duration), CONFIG.DEFAULT_THUMB_WIDTH);
+        if (entry.duration) await storyboardSheet(entry.path, CONFIG.STORYBOARD_FRAMES, CONFIG.STORYBOARD_TILE_WIDTH);
+      }
+    } catch (e) {
+      cacheRebuild.errors++;
+    }
+    cacheRebuild.done++;
+  }
+
+  cacheRebuild.running = false;
+  cacheRebuild.finishedAt = Date.now();
+  console.log(`[Cache] Rebuild finished (${cacheRebuild.errors} error(s))`);
+  io.emit("mediaUpdated", { action: "reset" });
+}
+
+app.get("/api/cache", async (req, res) => {
+  try {
+    const lookups = cacheStats.hits + cacheStats.misses;
+    res.json({
+      ok: true,
+      dir: CONFIG.THUMB_CACHE,
+      ...(await cacheUsage()),
+      stats: {
+        ...cacheStats,
+        hitRate: lookups ? cacheStats.hits / lookups : null,
+        inflight: cacheInflight.size
+      },
+      lastGc: cacheLastGc,
+      rebuild: cacheRebuild
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/cache/gc", async (req, res) => {
+  try {
+    res.json({ ok: true, ...(await collectCacheGarbage()) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/api/cache/rebuild", (req, res) => {
+  if (cacheRebuild && cacheRebuild.running) {
+    return sendError(res, httpError(409, "rebuild already running"));
+  }
+  rebuildCache().catch((e) => {
+    console.error("[Cache] Rebuild failed:", e.message);
+    if (cacheRebuild) cacheRebuild.running = false;
+  });
+  res.status(202).json({ ok: true, total: mediaIndex.size });
+});
+
+// GC once shortly after startup, then every CACHE_GC_HOURS; 0 turns the
+// sweep off (POST /api/cache/gc still works)
+const CACHE_GC_MIN_MS = 5 * 60 * 1000;
+const MAX_TIMER_MS = 2 ** 31 - 1; // longer delays make setInterval fire at once
+
+function cacheGcIntervalMs() {
+  const hours = CONFIG.CACHE_GC_HOURS;
+  if (!Number.isFinite(hours) || hours < 0) {
+    console.warn(`[Cache] Ignoring CACHE_GC_HOURS=${process.env.CACHE_GC_HOURS}, sweeping every 24 hours`);
+    return 24 * 60 * 60 * 1000;
+  }
+  if (hours === 0) return 0;
+  return Math.min(MAX_TIMER_MS, Math.max(CACHE_GC_MIN_MS, hours * 60 * 60 * 1000));
+}
+
+const cacheGcMs = cacheGcIntervalMs();
+if (cacheGcMs) {
+  setTimeout(() => collectCacheGarbage().catch(() => {}), 60 * 1000);
+  setInterval(() => collectCacheGarbage().catch(() => {}), cacheGcMs);
+} else {
+  console.log("[Cache] Automatic sweep off (CACHE_GC_HOURS=0)");
+}
+
+// -------------- Thumbnail endpoints -------------
+function sendThumbError(res, e) {
+  if (e.code === "ENOENT") return sendError(res, httpError(404, "file not found"));
+  sendError(res, e);
+}
+
+// ?w= in pixels; anything wider is scaled down to THUMB_MAX_WIDTH
+function parseThumbWidth(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const width = Number(value);
+  if (!Number.isInteger(width) || width < 1 || width > THUMB_MAX_WIDTH) {
+    throw httpError(400, `w must be a whole number from 1 to ${THUMB_MAX_WIDTH}`);
+  }
+  return width;
+}
+
+// ?t= in seconds into the clip
+function parseThumbTime(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const t = Number(value);
+  if (!Number.isFinite(t) || t < 0) throw httpError(400, "t must be a number of seconds");
+  return t;
+}
+
+app.get("/thumb/image", async (req, res) => {
+  try {
+    const file = await resolveMediaRef({ id: req.query.id, path: req.query.file }, "image");
+
+    const width = parseThumbWidth(req.query.w, CONFIG.DEFAULT_THUMB_WIDTH);
+    res.sendFile(path.resolve(await imageThumbnail(file, width)));
+  } catch (e) {
+    sendThumbError(res, e);
+  }
+});
+
+app.get("/thumb/video", async (req, res) => {
+  try {
+    const file = await resolveMediaRef({ id: req.query.id, path: req.query.file }, "video");
+
+    const t = parseThumbTime(req.query.t, 5);
+    const width = parseThumbWidth(req.query.w, CONFIG.DEFAULT_THUMB_WIDTH);
+    res.sendFile(path.resolve(await videoThumbnail(file, t, width)));
+  } catch (e) {
+    sendThumbError(res, e);
+  }
+});
+
+// Sprite sheet of evenly spaced frames for scrub previews. Frame i sits at
+// i * (duration / frames) seconds, row-major, `columns` tiles per row.
+const STORYBOARD_MAX_FRAMES = 100;
+
+function storyboardLayout(frames) {
+  const columns = Math.min(frames, CONFIG.STORYBOARD_COLUMNS);
+  return { frames, columns, rows: Math.ceil(frames / columns) };
+}
+
+// What the client needs to address tiles in the sheet (null until probed)
+function storyboardInfo(file, duration, meta) {
+  if (!duration) return null;
+  const layout = storyboardLayout(CONFIG.STORYBOARD_FRAMES);
+  const v = meta && meta.video;
+  return {
+    url: `/thumb/storyboard?id=${mediaId(file)}`,
+    ...layout,
+    interval: duration / layout.frames,
+    aspect: v && v.width && v.height ? v.width / v.height : 16 / 9
+  };
+}
+
+async function storyboardSheet(file, frames, width) {
+  width = snapThumbWidth(width);
+  const duration = await getVideoDuration(file);
+  if (!duration) throw new Error("could not read clip duration");
+
+  const { columns, rows } = storyboardLayout(frames);
+  return cachedArtifact("sb", file, `${frames}:${width}`, ".jpg", (tmpPath) => {
+    const vf = `fps=${frames}/${duration},scale=${width}:-2,tile=${columns}x${rows}`;
+    return runFfmpeg(["-v", "error", "-i", file, "-an", "-sn", "-vf", vf, "-frames:v", "1", "-q:v", "5", "-y", tmpPath]);
+  });
+}
+
+app.get("/thumb/storyboard", async (req, res) => {
+  try {
+    const file = await resolveMediaRef({ id: req.query.id, path: req.query.file }, "video");
+
+    const frames = Math.min(STORYBOARD_MAX_FRAMES, Math.max(1, Number(req.query.frames) || CONFIG.STORYBOARD_FRAMES));
+    const width = parseThumbWidth(req.query.w, CONFIG.STORYBOARD_TILE_WIDTH);
+    res.sendFile(path.resolve(await storyboardSheet(file, frames, width)));
+  } catch (e) {
+    sendThumbError(res, e);
+  }
+});
+
+// ----------------- Media index -----------------
+// The library lives in memory, backed by an embedded store
+// (DATA_DIR/media-index.db, one document per file, written as entries change),
+// and is kept current by a recursive fs.watch plus a periodic safety-net
+// rescan. Files only enter the index once their size has stopped changing,
+// so clips still being copied in over Finder/SMB stay hidden.
+const MEDIA_INDEX_FILE = () => path.join(CONFIG.DATA_DIR, "media-index.db");
+const MEDIA_INDEX_FOLDERS_ID = "folders"; // the one document that is not a file; file ids are absolute paths
+const MEDIA_INDEX_COMPACT_MS = 60 * 60 * 1000;
+const PROBE_CONCURRENCY = 2;
+
+const mediaIndex = new Map();    // absolute path -> { path, type, size, mtimeMs, duration, meta }
+const mediaFolders = new Set();  // absolute paths of library sub-folders
+const pendingIndexChecks = new Map(); // absolute path -> { timer, size, mtimeMs }
+let mediaIndexReady = null;      // resolves once the index can answer /media
+let mediaIndexWatcher = null;
+let mediaIndexRescanTimer = null;
+let mediaIndexSaveTimer = null;
+let mediaIndexDb = null;
+let mediaIndexWrites = Promise.resolve();
+const dirtyIndexPaths = new Set();
+let mediaFoldersDirty = false;
+let mediaIndexRoot = null;
+const probeQueue = [];
+let probesRunning = 0;
+
+function mapIndexEntry(entry) {
+  const full = entry.path;
+  const id = mediaId(full);
+  const base = {
+    id,
+    type: entry.type,
+    filename: path.basename(full),
+    folder: libraryFolderOf(full),
+    ...(CONFIG.MEDIA_PATH_API ? { path: full } : {}),
+    size: entry.size,
+    modified: entry.mtimeMs
+  };
+  if (entry.type === "video") {
+    return {
+      ...base,
+      url: `/thumb/video?id=${id}&t=${posterTime(full, entry.duration)}`,
+      duration: entry.duration,
+      durationFormatted: formatDuration(entry.duration),
+      meta: entry.meta || null,
+      warnings: clipWarnings(entry.meta),
+      marks: clipMarks[full] || null,
+      storyboard: storyboardInfo(full, entry.duration, entry.meta)
+    };
+  }
+  return { ...base, url: `/thumb/image?id=${id}` };
+}
+
+// ----- Media IDs -----
+// Clients address library files by an opaque ID (a hash of the path relative
+// to MEDIA_DIR), never by filesystem path. IDs survive restarts and rescans;
+// renaming or moving a file gives it a new one.
+const mediaIds = new Map();      // id -> absolute path
+
+function mediaId(full) {
+  const relative = path.relative(path.resolve(CONFIG.MEDIA_DIR), full).split(path.sep).join("/");
+  return crypto.createHash("sha1").update(relative).digest("base64url").slice(0, 16);
+}
+
+// Folder of a library file relative to MEDIA_DIR ("" for the root), as /media takes it
+function libraryFolderOf(full) {
+  return path.relative(path.resolve(CONFIG.MEDIA_DIR), path.dirname(full)).split(path.sep).join("/");
+}
+
+// `{ mediaId }` for a path, plus the path itself under `pathKey` in
+// MEDIA_PATH_API compatibility mode
+function publicMediaFields(full, pathKey = "path") {
+  if (!full) return { mediaId: null };
+  const fields = { mediaId: mediaId(full) };
+  if (CONFIG.MEDIA_PATH_API) fields[pathKey] = full;
+  return fields;
+}
+
+// Turn a client reference ({ id } or, in compat mode, { path }) into a
+// checked absolute path inside the library. Symlinks are resolved before the
+// containment check so neither ".." nor a link can lead outside MEDIA_DIR.
+async function resolveMediaRef(ref, kind) {
+  const root = path.resolve(CONFIG.MEDIA_DIR);
+  let candidate;
+  if (ref.id) {
+    await mediaIndexReady;
+    candidate = mediaIds.get(String(ref.id));
+    if (!candidate) throw httpError(404, "unknown media id", "INVALID_MEDIA");
+  } else if (ref.path) {
+    if (!CONFIG.MEDIA_PATH_API) throw httpError(400, "file paths are not accepted; use the media id", "INVALID_MEDIA");
+    candidate = path.resolve(String(ref.path));
+  } else {
+    throw httpError(400, "media id is required", "INVALID_MEDIA");
+  }
+
+  let real, realRoot;
+  try {
+    [real, realRoot] = await Promise.all([fsp.realpath(candidate), fsp.realpath(root)]);
+  } catch (e) {
+    throw httpError(404, "media not found", "INVALID_MEDIA");
+  }
+  const relative = path.relative(realRoot, real);
+  if (!relative || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw httpError(400, "media is outside the library", "INVALID_MEDIA");
+  }
+  const full = path.join(root, relative);
+  if (isIgnoredPath(full)) throw httpError(400, "media is outside the library", "INVALID_MEDIA");
+
+  if (kind === "video" && !isVideoFile(full)) throw httpError(400, "not a video file", "INVALID_MEDIA");
+  if (kind === "image" && !isImageFile(full)) throw httpError(400, "not an image file", "INVALID_MEDIA");
+  if (!kind && !isVideoFile(full) && !isImageFile(full)) throw httpError(400, "unsupported file type", "INVALID_MEDIA");
+  return full;
+}
+
+function isInsideLibrary(full) {
+  const relative = path.relative(path.resolve(CONFIG.MEDIA_DIR), full);
+  return relative !== "" && relative !== ".." && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+// True if any segment between MEDIA_DIR and `full` is on the ignore list
+function isIgnoredPath(full) {
+  let cursor = path.resolve(CONFIG.MEDIA_DIR);
+  for (const segment of path.relative(cursor, full).split(path.sep).filter(Boolean)) {
+    cursor = path.join(cursor, segment);
+    if (isIgnoredEntry(segment, cursor)) return true;
+  }
+  return false;
+}
+
+// Store the entry for `full` (or its removal) shortly; without a path, the
+// folder list
+function saveMediaIndexSoon(full) {
+  if (full) dirtyIndexPaths.add(full);
+  else mediaFoldersDirty = true;
+  if (mediaIndexSaveTimer) return;
+  mediaIndexSaveTimer = setTimeout(() => {
+    mediaIndexSaveTimer = null;
+    mediaIndexWrites = mediaIndexWrites.then(writeMediaIndexChanges).catch((e) => {
+      console.error("[Index] Failed to save:", e.message);
+    });
+  }, 1000);
+}
+
+async function writeMediaIndexChanges() {
+  const changed = [...dirtyIndexPaths];
+  dirtyIndexPaths.clear();
+  for (const full of changed) {
+    const entry = mediaIndex.get(full);
+    if (entry) await mediaIndexDb.updateAsync({ _id: full }, { _id: full, ...entry }, { upsert: true });
+    else await mediaIndexDb.removeAsync({ _id: full }, {});
+  }
+  if (mediaFoldersDirty) {
+    mediaFoldersDirty = false;
+    const doc = { _id: MEDIA_INDEX_FOLDERS_ID, mediaDir: mediaIndexRoot, folders: [...mediaFolders] };
+    await mediaIndexDb.updateAsync({ _id: MEDIA_INDEX_FOLDERS_ID }, doc, { upsert: true });
+  }
+}
+
+function queueProbe(entry) {
+  probeQueue.push(entry.path);
+  runProbeQueue();
+}
+
+function runProbeQueue() {
+  while (probesRunning < PROBE_CONCURRENCY && probeQueue.length) {
+    const full = probeQueue.shift();
+    probesRunning++;
+    probeMedia(full).then((meta) => {
+      const entry = mediaIndex.get(full);
+      if (!entry || !meta) return;
+      entry.meta = meta;
+      entry.duration = meta.duration;
+      saveMediaIndexSoon(full);
+      io.emit('mediaUpdated', { action: 'changed', item: mapIndexEntry(entry) });
+    }).finally(() => {
+      probesRunning--;
+      runProbeQueue();
+    });
+  }
+}
+
+// Add or refresh one file. Returns the client-facing item.
+function upsertIndexEntry(full, stat, { emit = true } = {}) {
+  const existing = mediaIndex.get(full);
+  if (existing && existing.size === stat.size && existing.mtimeMs === stat.mtimeMs) {
+    return mapIndexEntry(existing);
+  }
+
+  const entry = {
+    path: full,
+    type: isVideoFile(full) ? "video" : "image",
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    duration: null,
+    meta: null
+  };
+  mediaIndex.set(full, entry);
+  mediaIds.set(mediaId(full), full);
+  if (!mediaFolders.has(path.dirname(full))) {
+    mediaFolders.add(path.dirname(full));
+    saveMediaIndexSoon();
+  }
+  if (entry.type === "video") queueProbe(entry);
+  saveMediaIndexSoon(full);
+
+  const item = mapIndexEntry(entry);
+  if (emit) io.emit('mediaUpdated', { action: existing ? 'changed' : 'added', item });
+  return item;
+}
+
+// Drop a file, or a whole folder and everything under it
+function removeFromIndex(full) {
+  const prefix = full + path.sep;
+  for (const key of [...mediaIndex.keys()]) {
+    if (key === full || key.startsWith(prefix)) {
+      const entry = mediaIndex.get(key);
+      mediaIndex.delete(key);
+      mediaIds.delete(mediaId(key));
+      saveMediaIndexSoon(key);
+      io.emit('mediaUpdated', { action: 'removed', item: mapIndexEntry(entry) });
+    }
+  }
+  for (const folder of [...mediaFolders]) {
+    if (folder === full || folder.startsWith(prefix)) mediaFolders.delete(folder);
+  }
+  saveMediaIndexSoon();
+}
+
+// Index a file the app itself just finished writing (e.g. an upload)
+async function indexFileNow(full) {
+  const stat = await fsp.stat(full);
+  pendingIndexChecks.delete(full);
+  return upsertIndexEntry(full, stat);
+}
+
+function scheduleIndexCheck(full) {
+  const pending = pendingIndexChecks.get(full) || {};
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => checkIndexPath(full), CONFIG.INDEX_STABLE_MS);
+  pendingIndexChecks.set(full, pending);
+}
+
+// Called (debounced) for every path the watcher reports
+async function checkIndexPath(full) {
+  let stat;
+  try {
+    stat = await fsp.stat(full);
+  } catch (e) {
+    pendingIndexChecks.delete(full);
+    if (e.code === "ENOENT") removeFromIndex(full);
+    return;
+  }
+
+  if (stat.isDirectory()) {
+    pendingIndexChecks.delete(full);
+    const tree = await scanLibraryTree(full);
+    mediaFolders.add(full);
+    tree.folders.forEach(folder => mediaFolders.add(folder));
+    tree.files.forEach(scheduleIndexCheck);
+    saveMediaIndexSoon();
+    return;
+  }
+  if (!isVideoFile(full) && !isImageFile(full)) {
+    pendingIndexChecks.delete(full);
+    return;
+  }
+
+  // Still growing (or an empty placeholder) - look again later
+  const pending = pendingIndexChecks.get(full) || {};
+  if (stat.size === 0 || pending.size !== stat.size || pending.mtimeMs !== stat.mtimeMs) {
+    pending.size = stat.size;
+    pending.mtimeMs = stat.mtimeMs;
+    pendingIndexChecks.set(full, pending);
+    scheduleIndexCheck(full);
+    return;
+  }
+
+  pendingIndexChecks.delete(full);
+  upsertIndexEntry(full, stat);
+}
+
+// Reconcile the index with what is actually on disk
+async function rescanMediaIndex() {
+  const root = path.resolve(CONFIG.MEDIA_DIR);
+  const tree = await scanLibraryTree(root);
+  const seen = new Set(tree.files);
+
+  for (const key of [...mediaIndex.keys()]) {
+    if (!seen.has(key)) removeFromIndex(key);
+  }
+  mediaFolders.clear();
+  tree.folders.forEach(folder => mediaFolders.add(folder));
+
+  await Promise.all(tree.files.map(async (full) => {
+    if (pendingIndexChecks.has(full)) return;
+    try {
+      const stat = await fsp.stat(full);
+      const existing = mediaIndex.get(full);
+      if (existing && existing.size === stat.size && existing.mtimeMs === stat.mtimeMs) {
+        if (existing.type === "video" && !existing.meta) queueProbe(existing);
+        return;
+      }
+      // New or modified since last time: go through the stability check
+      if (Date.now() - stat.mtimeMs < CONFIG.INDEX_STABLE_MS) {
+        scheduleIndexCheck(full);
+      } else {
+        upsertIndexEntry(full, stat);
+      }
+    } catch (e) {
+      // Removed while scanning
+    }
+  }));
+  saveMediaIndexSoon();
+  console.log(`[Index] ${mediaIndex.size} item(s) in ${mediaFolders.size} folder(s)`);
+}
+
+function watchMediaDir() {
+  try {
+    mediaIndexWatcher = fs.watch(CONFIG.MEDIA_DIR, { recursive: true }, (eventType, filename) => {
+      if (!filename) {
+        rescanMediaIndex();
+        return;
+      }
+      const full = path.resolve(CONFIG.MEDIA_DIR, filename.toString());
+      if (!isInsideLibrary(full) || isIgnoredPath(full)) return;
+      scheduleIndexCheck(full);
+    });
+    mediaIndexWatcher.on("error", (e) => {
+      console.error("[Index] Watcher error:", e.message);
+    });
+  } catch (e) {
+    console.error("[Index] File watching unavailable, relying on periodic rescans:", e.message);
+    mediaIndexWatcher = null;
+  }
+}
+
+async function startMediaIndex() {
+  mediaIndexRoot = path.resolve(CONFIG.MEDIA_DIR);
+
+  // Serve the last known index straight away, then reconcile with the disk.
+  // Loading also compacts the store; what it held for another MEDIA_DIR goes.
+  await mediaIndexWrites;
+  if (!mediaIndexDb) {
+    await fsp.mkdir(CONFIG.DATA_DIR, { recursive: true });
+    mediaIndexDb = new Datastore({ filename: MEDIA_INDEX_FILE() });
+    mediaIndexDb.setAutocompactionInterval(MEDIA_INDEX_COMPACT_MS);
+  }
+  try {
+    await mediaIndexDb.loadDatabaseAsync();
+    const docs = await mediaIndexDb.findAsync({});
+    const saved = docs.find(doc => doc._id === MEDIA_INDEX_FOLDERS_ID);
+    if (saved && saved.mediaDir === mediaIndexRoot) {
+      for (const { _id, ...entry } of docs) {
+        if (_id === MEDIA_INDEX_FOLDERS_ID) continue;
+        mediaIndex.set(entry.path, entry);
+        mediaIds.set(mediaId(entry.path), entry.path);
+      }
+      saved.folders.forEach(folder => mediaFolders.add(folder));
+      console.log(`[Index] Loaded ${mediaIndex.size} item(s) from disk`);
+    } else if (docs.length) {
+      await mediaIndexDb.removeAsync({}, { multi: true });
+    }
+  } catch (e) {
+    console.error("[Index] Could not load the stored index, rebuilding it:", e.message);
+    await fsp.rm(MEDIA_INDEX_FILE(), { force: true });
+    await mediaIndexDb.loadDatabaseAsync();
+  }
+
+  if (fs.existsSync(CONFIG.MEDIA_DIR)) watchMediaDir();
+  const initialScan = rescanMediaIndex();
+  if (mediaIndex.size === 0) await initialScan;
+
+  mediaIndexRescanTimer = setInterval(() => {
+    if (!mediaIndexWatcher && fs.existsSync(CONFIG.MEDIA_DIR)) watchMediaDir();
+    rescanMediaIndex();
+  }, CONFIG.INDEX_RESCAN_MINUTES * 60 * 1000);
+}
+
+// MEDIA_DIR changed in settings: throw the old index away and start over
+function restartMediaIndex() {
+  if (mediaIndexWatcher) mediaIndexWatcher.close();
+  mediaIndexWatcher = null;
+  clearInterval(mediaIndexRescanTimer);
+  pendingIndexChecks.forEach(pending => clearTimeout(pending.timer));
+  pendingIndexChecks.clear();
+  clearTimeout(mediaIndexSaveTimer);
+  mediaIndexSaveTimer = null;
+  dirtyIndexPaths.clear();
+  mediaFoldersDirty = false;
+  mediaIndex.clear();
+  mediaIds.clear();
+  mediaFolders.clear();
+  probeQueue.length = 0;
+  mediaIndexReady = startMediaIndex();
+  io.emit('mediaUpdated', { action: 'reset' });
+}
+
+app.get("/api/media-index", async (req, res) => {
+  await mediaIndexReady;
+  res.json({
+    ok: true,
+    mediaDir: mediaIndexRoot,
+    items: mediaIndex.size,
+    folders: mediaFolders.size,
+    pending: pendingIndexChecks.size,
+    probing: probesRunning + probeQueue.length,
+    watching: !!mediaIndexWatcher
+  });
+});
+
+mediaIndexReady = startMediaIndex();
+
+// ----------------- Media listing ----------------
+// Index entries under `dir`: direct children only, or the whole subtree
+function queryMediaIndex(dir, recursive) {
+  const prefix = dir + path.sep;
+  const out = [];
+  for (const entry of mediaIndex.values()) {
+    if (recursive ? !entry.path.startsWith(prefix) : path.dirname(entry.path) !== dir) continue;
+    out.push(entry);
+  }
+  return out;
+}
+
+function childFolders(dir) {
+  return [...mediaFolders]
+    .filter(folder => path.dirname(folder) === dir)
+    .map(folder => path.basename(folder))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+function folderBreadcrumbs(folder) {
+  const crumbs = [{ name: "Library", folder: "" }];
+  const parts = folder ? folder.split("/") : [];
+  parts.forEach((name, i) => crumbs.push({ name, folder: parts.slice(0, i + 1).join("/") }));
+  return crumbs;
+}
+
+const MEDIA_SORTS = ["name", "duration", "modified", "size"];
+const MEDIA_PAGE_MAX = 500;
+
+function mediaSortValue(entry, sort) {
+  switch (sort) {
+    case "duration": return entry.duration ?? -1; // images / unknown sort first
+    case "modified": return entry.mtimeMs;
+    case "size": return entry.size;
+    default: return path.basename(entry.path).toLowerCase();
+  }
+}
+
+function compareMediaEntries(a, b, sort, dir) {
+  const va = mediaSortValue(a, sort);
+  const vb = mediaSortValue(b, sort);
+  const primary = typeof va === "string" ? va.localeCompare(vb) : va - vb;
+  // Path breaks ties so the order (and therefore cursors) is stable
+  return (primary || a.path.localeCompare(b.path)) * dir;
+}
+
+// Cursors are keyset-based (last sort value + path) so items added or removed
+// between pages don't cause duplicates or gaps
+// The path is stored relative to MEDIA_DIR so cursors don't reveal the library location
+function encodeMediaCursor(entry, sort) {
+  const relative = path.relative(path.resolve(CONFIG.MEDIA_DIR), entry.path);
+  return Buffer.from(JSON.stringify({ v: mediaSortValue(entry, sort), p: relative })).toString("base64url");
+}
+
+function decodeMediaCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf-8"));
+    if (typeof data.p !== "string") return null;
+    return { ...data, p: path.join(path.resolve(CONFIG.MEDIA_DIR), data.p) };
+  } catch (e) {
+    return null;
+  }
+}
+
+// GET /media?folder=Show%20A/Sponsors  -> child folders + items of that folder
+// GET /media?recursive=1               -> every item under the folder, flattened
+// Optional: q (filename search, searches sub-folders too), type=video|image,
+//           sort=name|duration|modified|size, order=asc|desc, limit, cursor
+app.get("/media", async (req, res) => {
+  try {
+    const resolved = resolveLibraryFolder(req.query.folder);
+    if (!resolved) return sendError(res, httpError(400, "invalid folder"));
+
+    const q = String(req.query.q || "").trim().toLowerCase();
+    const type = req.query.type ? String(req.query.type) : null;
+    const sort = req.query.sort ? String(req.query.sort) : "name";
+    const dir = req.query.order === "desc" ? -1 : 1;
+    const limit = req.query.limit ? Number(req.query.limit) : null;
+    const cursor = req.query.cursor ? decodeMediaCursor(req.query.cursor) : null;
+
+    if (type && type !== "video" && type !== "image") {
+      return sendError(res, httpError(400, "type must be video or image"));
+    }
+    if (!MEDIA_SORTS.includes(sort)) {
+      return sendError(res, httpError(400, `sort must be one of ${MEDIA_SORTS.join(", ")}`));
+    }
+    if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+      return sendError(res, httpError(400, "limit must be a positive integer"));
+    }
+    if (req.query.cursor && !cursor) {
+      return sendError(res, httpError(400, "invalid cursor"));
+    }
+
+    await mediaIndexReady;
+    const recursive = !!q || req.query.recursive === "1" || req.query.recursive === "true";
+    let entries = queryMediaIndex(resolved.full, recursive);
+
+    if (type) entries = entries.filter(entry => entry.type === type);
+    if (q) entries = entries.filter(entry => path.basename(entry.path).toLowerCase().includes(q));
+    entries.sort((a, b) => compareMediaEntries(a, b, sort, dir));
+
+    const total = entries.length;
+    if (cursor) {
+      const after = { path: cursor.p, mtimeMs: cursor.v, size: cursor.v, duration: cursor.v };
+      entries = entries.filter(entry => compareMediaEntries(entry, after, sort, dir) > 0);
+    }
+    const pageSize = limit ? Math.min(limit, MEDIA_PAGE_MAX) : null;
+    const page = pageSize ? entries.slice(0, pageSize) : entries;
+    const hasMore = pageSize !== null && entries.length > pageSize;
+    const list = page.map(mapIndexEntry);
+
+    // Folders are only listed with the first page of an unfiltered view
+    const showFolders = !cursor && !q && !type;
+
+    res.json({
+      ok: true,
+      folder: resolved.folder,
+      breadcrumbs: folderBreadcrumbs(resolved.folder),
+      folders: showFolders ? childFolders(resolved.full).map(name => ({
+        name,
+        folder: resolved.folder ? `${resolved.folder}/${name}` : name
+      })) : [],
+      items: list,
+      total,
+      nextCursor: hasMore ? encodeMediaCursor(page[page.length - 1], sort) : null
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Technical metadata + playout warnings for one clip
+app.get("/media/metadata", async (req, res) => {
+  try {
+    const file = await resolveMediaRef({ id: req.query.id, path: req.query.file }, "video");
+
+    const meta = await probeMedia(file);
+    if (!meta) return sendError(res, httpError(500, "ffprobe failed"));
+
+    const entry = mediaIndex.get(file);
+    if (entry && !entry.meta) {
+      entry.meta = meta;
+      entry.duration = meta.duration;
+      saveMediaIndexSoon(file);
+    }
+    res.json({ ok: true, metadata: meta, warnings: clipWarnings(meta) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ------------------ Clip marks ----------------
+// In/out points, named cue markers, the poster frame and audio gain per library clip,
+// keyed by absolute path and stored in seconds. playVideoFile() applies the
+// in/out points on every take, on whichever player the clip runs.
+const CLIP_MARKS_FILE = () => path.join(CONFIG.DATA_DIR, "clip-marks.json");
+const OUT_POINT_POLL_MS = 250;
+
+let clipMarks = {};          // absolute path -> { inPoint, outPoint, cues: [{ id, name, time }], posterTime, gainDb }
+
+async function loadClipMarks() {
+  const data = await readJsonFile(CLIP_MARKS_FILE(), {});
+  clipMarks = data && typeof data === "object" ? data : {};
+  console.log(`[Marks] Loaded marks for ${Object.keys(clipMarks).length} clip(s)`);
+}
+
+async function saveClipMarks() {
+  try {
+    await writeJsonFile(CLIP_MARKS_FILE(), clipMarks);
+  } catch (e) {
+    console.error("[Marks] Failed to save:", e.message);
+  }
+}
+
+function getClipMarks(filePath) {
+  return clipMarks[path.resolve(filePath)] || null;
+}
+
+// Grid thumbnail time: the clip's own poster frame, else 5s in (or the
+// middle of clips shorter than that)
+function posterTime(file, duration) {
+  const marks = clipMarks[file];
+  if (marks && marks.posterTime !== null && marks.posterTime !== undefined) return marks.posterTime;
+  if (duration && duration < 5) return Math.floor(duration * 5) / 10;
+  return 5;
+}
+
+function hasClipMarks(marks) {
+  return marks.inPoint !== null || marks.outPoint !== null || marks.cues.length > 0 ||
+    (marks.posterTime !== null && marks.posterTime !== undefined) || !!marks.gainDb;
+}
+
+function parseMarkTime(value, label) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!isFinite(n) || n < 0) throw httpError(400, `${label} must be a positive number of seconds`);
+  return Math.round(n * 1000) / 1000;
+}
+
+function normalizeClipMarks(body, duration) {
+  const inPoint = parseMarkTime(body.inPoint, "inPoint");
+  const outPoint = parseMarkTime(body.outPoint, "outPoint");
+  if (inPoint !== null && outPoint !== null && outPoint <= inPoint) {
+    throw httpError(400, "outPoint must be after inPoint");
+  }
+  if (duration && outPoint !== null && outPoint > duration) {
+    throw httpError(400, "outPoint is past the end of the clip");
+  }
+  if (duration && inPoint !== null && inPoint >= duration) {
+    throw httpError(400, "inPoint is past the end of the clip");
+  }
+
+  if (body.cues !== undefined && !Array.isArray(body.cues)) throw httpError(400, "cues must be an array");
+  const cues = (body.cues || []).map((cue) => {
+    const time = parseMarkTime(cue && cue.time, "cue time");
+    if (time === null) throw httpError(400, "cue time is required");
+    const name = String(cue.name || "").trim().slice(0, 60) || `Cue ${formatDuration(time) || "0:00"}`;
+    return { id: cue.id ? String(cue.id) : crypto.randomUUID(), name, time };
+  }).sort((a, b) => a.time - b.time);
+
+  return { inPoint, outPoint, cues };
+}
+
+function clipMarksFile(req) {
+  const body = req.body || {};
+  return resolveMediaRef({ id: body.id || req.query.id, path: body.file || req.query.file }, "video");
+}
+
+function clearOutPointWatch(player) {
+  if (player.outPointTimer) {
+    clearInterval(player.outPointTimer);
+    player.outPointTimer = null;
+  }
+}
+
+// Poll the media cursor while a clip with an out-point is on air; OBS has no
+// event for "cursor reached X", so this is the only way to cut it short
+function watchOutPoint(player, filePath, outPoint) {
+  clearOutPointWatch(player);
+  if (outPoint === null || outPoint === undefined) return;
+  const outMs = outPoint * 1000;
+
+  player.outPointTimer = setInterval(async () => {
+    if (!obsConnected || player.media.filePath !== filePath) return clearOutPointWatch(player);
+    try {
+      const status = await obs.call("GetMediaInputStatus", { inputName: liveVideoInput(player) });
+      if (status.mediaState !== "OBS_MEDIA_STATE_PLAYING" || (status.mediaCursor || 0) < outMs) return;
+    } catch (e) {
+      return;
+    }
+    console.log(`[Marks] Out-point reached on ${player.name}: ${path.basename(filePath)}`);
+    const ending = resolveEndAction(player.media.endAction);
+    // A looping clip goes round again and keeps being watched
+    if (ending.type === "loop") {
+      return loopClip(player).catch(e => console.error("[Marks] Failed to loop at out-point:", e.message));
+    }
+    clearOutPointWatch(player);
+
+    // End the clip here, holding the frame when that is its end action
+    const finish = async () => {
+      const mediaAction = ending.type === "hold" ? "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PAUSE" : "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP";
+      try {
+        await whileLoading(player, () => onAllOBS("stop", inst => inst.obs.call("TriggerMediaInputAction", {
+          inputName: liveVideoInput(player, inst),
+          mediaAction
+        })));
+      } catch (e) {
+        console.error("[Marks] Failed to stop at out-point:", e.message);
+      }
+      await onClipEnded(player, "out-point");
+    };
+
+    // A rundown takes it from here, until its last item; the timer was
+    // started by a request, but what happens now is not its caller's doing
+    if (player === defaultPlayer() && rundownState.onAir && rundownState.autoAdvance) {
+      actor.exit(() => recordEnd(player, "out-point"));
+      onRundownItemEnded("out-point reached", finish);
+      return;
+    }
+    await actor.exit(finish);
+  }, OUT_POINT_POLL_MS);
+}
+
+app.get("/api/clip-marks", async (req, res) => {
+  try {
+    const file = await clipMarksFile(req);
+    res.json({ ok: true, id: mediaId(file), marks: clipMarks[file] || { inPoint: null, outPoint: null, cues: [] } });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.put("/api/clip-marks", async (req, res) => {
+  try {
+    const file = await clipMarksFile(req);
+
+    const entry = mediaIndex.get(file);
+    const marks = normalizeClipMarks(req.body || {}, entry ? entry.duration : null);
+    // The poster frame and gain have their own endpoints; keep them across in/out edits
+    marks.posterTime = clipMarks[file] ? clipMarks[file].posterTime : null;
+    marks.gainDb = clipMarks[file] ? clipMarks[file].gainDb || 0 : 0;
+    if (!hasClipMarks(marks)) {
+      delete clipMarks[file];
+    } else {
+      clipMarks[file] = marks;
+    }
+    await saveClipMarks();
+
+    // Keep the live progress bars in step wherever this clip is on air
+    for (const player of players.filter(p => p.media.filePath === file)) {
+      player.media.marks = clipMarks[file] || null;
+      broadcastCurrentPlaying(player);
+      if (obsConnected) watchOutPoint(player, file, marks.outPoint);
+    }
+    if (entry) io.emit("mediaUpdated", { action: "changed", item: mapIndexEntry(entry) });
+    res.json({ ok: true, id: mediaId(file), marks });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Poster frame for the grid thumbnail; time null goes back to the default
+app.put("/api/clip-marks/poster", async (req, res) => {
+  try {
+    const file = await clipMarksFile(req);
+
+    const entry = mediaIndex.get(file);
+    const time = parseMarkTime(req.body && req.body.time, "time");
+    if (time !== null && entry && entry.duration && time >= entry.duration) {
+      throw httpError(400, "time is past the end of the clip");
+    }
+
+    const marks = clipMarks[file] || { inPoint: null, outPoint: null, cues: [] };
+    marks.posterTime = time;
+    if (hasClipMarks(marks)) {
+      clipMarks[file] = marks;
+    } else {
+      delete clipMarks[file];
+    }
+    await saveClipMarks();
+
+    const item = entry ? mapIndexEntry(entry) : null;
+    if (item) io.emit("mediaUpdated", { action: "changed", item });
+    res.json({ ok: true, id: mediaId(file), posterTime: time, url: item ? item.url : null });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Default gain (dB) the clip plays at, on top of the player volume
+app.put("/api/clip-marks/gain", async (req, res) => {
+  try {
+    const file = await clipMarksFile(req);
+
+    const gainDb = Number(req.body && req.body.gainDb);
+    if (!Number.isFinite(gainDb) || gainDb < -30 || gainDb > 20) {
+      throw httpError(400, "gainDb must be a number between -30 and 20");
+    }
+
+    const marks = clipMarks[file] || { inPoint: null, outPoint: null, cues: [], posterTime: null };
+    marks.gainDb = Math.round(gainDb * 10) / 10;
+    if (hasClipMarks(marks)) {
+      clipMarks[file] = marks;
+    } else {
+      delete clipMarks[file];
+    }
+    await saveClipMarks();
+
+    // Re-level the clip wherever it is on air
+    for (const player of players.filter(p => p.media.filePath === file)) {
+      player.media.marks = clipMarks[file] || null;
+      if (obsConnected) await onAllOBS(`audio ${player.name}`, inst => applyPlayerAudio(inst, player));
+      broadcastCurrentPlaying(player);
+    }
+    const entry = mediaIndex.get(file);
+    if (entry) io.emit("mediaUpdated", { action: "changed", item: mapIndexEntry(entry) });
+    res.json({ ok: true, id: mediaId(file), gainDb: marks.gainDb });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/clip-marks", async (req, res) => {
+  try {
+    const file = await clipMarksFile(req);
+    // The gain is a level, not a mark; clearing the marks keeps it
+    const gainDb = clipMarks[file] ? clipMarks[file].gainDb || 0 : 0;
+    if (gainDb) clipMarks[file] = { inPoint: null, outPoint: null, cues: [], posterTime: null, gainDb };
+    else delete clipMarks[file];
+    await saveClipMarks();
+    for (const player of players.filter(p => p.media.filePath === file)) {
+      player.media.marks = clipMarks[file] || null;
+      clearOutPointWatch(player);
+      broadcastCurrentPlaying(player);
+    }
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+loadClipMarks();
+
+// ----------------- Media upload -----------------
+// Uploads are written to MEDIA_DIR/.uploads first and only moved into the
+// library once complete, so half-copied files never show up in /media.
+const UPLOAD_DIR_NAME = ".uploads";
+const uploadSessions = new Map(); // uploadId -> session (mirrors the .json on disk)
+
+function uploadTempDir() {
+  return path.join(CONFIG.MEDIA_DIR, UPLOAD_DIR_NAME);
+}
+
+function sanitizeFilename(name) {
+  const base = path.basename(String(name || "")).normalize("NFC");
+  return base
+    .replace(/[\x00-\x1f\x7f/\\:]/g, "_")
+    .replace(/^\.+/, "")
+    .trim()
+    .slice(0, 200);
+}
+
+function isAllowedUpload(filename) {
+  return isVideoFile(filename) || isImageFile(filename);
+}
+
+// Reserve a free name in the library ("clip.mp4", "clip (1).mp4", ...).
+// The empty placeholder is created with the "wx" flag so two uploads with the
+// same name can never claim the same target.
+async function reserveLibraryPath(filename, dir) {
+  const ext = path.extname(filename);
+  const stem = path.basename(filename, ext);
+  await fsp.mkdir(dir, { recursive: true });
+  for (let i = 0; i < 1000; i++) {
+    const candidate = path.join(dir, i === 0 ? filename : `${stem} (${i})${ext}`);
+    try {
+      const handle = await fsp.open(candidate, "wx");
+      await handle.close();
+      return candidate;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+  }
+  throw new Error(`Could not find a free name for ${filename}`);
+}
+
+// Move a finished temp file into the library and tell every client about it
+async function finalizeUpload(tmpPath, filename, folder) {
+  const resolved = resolveLibraryFolder(folder);
+  if (!resolved) throw new Error("invalid folder");
+  const target = await reserveLibraryPath(filename, resolved.full);
+  try {
+    await fsp.rename(tmpPath, target);
+  } catch (e) {
+    await fsp.unlink(target).catch(() => {});
+    throw e;
+  }
+  console.log(`[Upload] Saved ${target}`);
+
+  // The rename is atomic, so skip the watcher's stability wait
+  return indexFileNow(target);
+}
+
+function broadcastUploadProgress(session, extra = {}) {
+  io.emit('uploadProgress', {
+    uploadId: session.id,
+    filename: session.filename,
+    received: session.received,
+    size: session.size,
+    percent: session.size ? Math.min(100, Math.round((session.received / session.size) * 100)) : null,
+    done: false,
+    ...extra
+  });
+}
+
+// Emit at most a few progress events per second per upload
+function throttledProgress(session) {
+  let last = 0;
+  return () => {
+    const now = Date.now();
+    if (now - last < 250) return;
+    last = now;
+    broadcastUploadProgress(session);
+  };
+}
+
+function sessionMetaPath(uploadId) {
+  return path.join(uploadTempDir(), `${uploadId}.json`);
+}
+
+async function saveUploadSession(session) {
+  const { busy, ...meta } = session;
+  await fsp.writeFile(sessionMetaPath(session.id), JSON.stringify(meta, null, 2));
+}
+
+// Sessions survive a server restart: fall back to the metadata file on disk
+async function loadUploadSession(uploadId) {
+  if (!/^[0-9a-f-]{36}$/.test(uploadId)) return null;
+  if (uploadSessions.has(uploadId)) return uploadSessions.get(uploadId);
+  try {
+    const meta = JSON.parse(await fsp.readFile(sessionMetaPath(uploadId), "utf-8"));
+    const session = { ...meta, busy: false };
+    uploadSessions.set(uploadId, session);
+    return session;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function dropUploadSession(session) {
+  uploadSessions.delete(session.id);
+  await fsp.unlink(session.tmpPath).catch(() => {});
+  await fsp.unlink(sessionMetaPath(session.id)).catch(() => {});
+}
+
+async function currentUploadOffset(session) {
+  try {
+    return (await fsp.stat(session.tmpPath)).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Single-request streaming upload: multipart/form-data with one or more files.
+// The target library folder comes from ?folder= (form fields arrive too late).
+app.post("/upload", (req, res) => {
+  const folder = String(req.query.folder || "");
+  if (!resolveLibraryFolder(folder)) return sendError(res, httpError(400, "invalid folder"));
+
+  let bb;
+  try {
+    bb = busboy({ headers: req.headers });
+  } catch (e) {
+    return sendError(res, httpError(400, "expected multipart/form-data"));
+  }
+
+  const pending = [];
+  const rejected = [];
+  const writing = new Set(); // { out, fail } per file still streaming to disk
+  let failure = null;
+  let responded = false;
+
+  // busboy can report an error and still close; answer once
+  const reply = (send) => {
+    if (responded || res.headersSent) return;
+    responded = true;
+    send();
+  };
+
+  // Files still streaming when the request dies would wait forever
+  const failWriting = (e) => {
+    failure = failure || e;
+    for (const { out, fail } of writing) {
+      out.destroy();
+      fail(e);
+    }
+  };
+
+  bb.on("file", (field, file, info) => {
+    const filename = sanitizeFilename(info.filename);
+    if (!filename || !isAllowedUpload(filename)) {
+      rejected.push({ filename: info.filename, error: "unsupported file type" });
+      file.resume();
+      return;
+    }
+
+    // Content-Length covers every file in the request, so only bytes are reported
+    const session = {
+      id: crypto.randomUUID(),
+      filename,
+      size: null,
+      received: 0,
+      tmpPath: null
+    };
+    session.tmpPath = path.join(uploadTempDir(), `${session.id}.part`);
+    const progress = throttledProgress(session);
+
+    pending.push((async () => {
+      await fsp.mkdir(uploadTempDir(), { recursive: true });
+      if (failure) throw failure;
+      const out = fs.createWriteStream(session.tmpPath);
+      file.on("data", (chunk) => {
+        session.received += chunk.length;
+        progress();
+      });
+      const entry = { out, fail: null };
+      try {
+        await new Promise((resolve, reject) => {
+          entry.fail = reject;
+          writing.add(entry);
+          file.on("error", reject);
+          out.on("error", reject);
+          out.on("finish", resolve);
+          file.pipe(out);
+        });
+      } finally {
+        writing.delete(entry);
+      }
+      if (file.truncated) throw new Error("file truncated");
+
+      const item = await finalizeUpload(session.tmpPath, filename, folder);
+      broadcastUploadProgress(session, { size: session.received, percent: 100, done: true, item });
+      return item;
+    })().catch(async (e) => {
+      await fsp.unlink(session.tmpPath).catch(() => {});
+      broadcastUploadProgress(session, { error: e.message, done: true });
+      rejected.push({ filename, error: e.message });
+      return null;
+    }));
+  });
+
+  bb.on("close", async () => {
+    const items = (await Promise.all(pending)).filter(Boolean);
+    reply(() => {
+      if (items.length === 0 && rejected.length > 0) {
+        return sendError(res, httpError(400, "no files saved"), { rejected });
+      }
+      res.json({ ok: true, items, rejected });
+    });
+  });
+
+  bb.on("error", (e) => {
+    failWriting(e);
+    reply(() => sendError(res, httpError(400, e.message)));
+  });
+
+  // The connection went before the response: drop what was half written
+  res.on("close", () => {
+    if (res.writableFinished || failure) return;
+    console.warn("[Upload] Client aborted multipart upload");
+    req.unpipe(bb);
+    failWriting(new Error("client aborted"));
+  });
+
+  req.pipe(bb);
+});
+
+// Resumable upload, step 1: announce a file and get an uploadId
+app.post("/upload/init", async (req, res) => {
+  try {
+    const filename = sanitizeFilename(req.body.filename);
+    const size = Number(req.body.size);
+    if (!filename || !isAllowedUpload(filename)) {
+      return sendError(res, httpError(400, "unsupported file type"));
+    }
+    if (!Number.isSafeInteger(size) || size <= 0) {
+      return sendError(res, httpError(400, "invalid file size"));
+    }
+    const resolved = resolveLibraryFolder(req.body.folder);
+    if (!resolved) {
+      return sendError(res, httpError(400, "invalid folder"));
+    }
+
+    await fsp.mkdir(uploadTempDir(), { recursive: true });
+    const session = {
+      id: crypto.randomUUID(),
+      filename,
+      folder: resolved.folder,
+      size,
+      received: 0,
+      tmpPath: null,
+      createdAt: Date.now(),
+      busy: false
+    };
+    session.tmpPath = path.join(uploadTempDir(), `${session.id}.part`);
+    await fsp.writeFile(session.tmpPath, "");
+    await saveUploadSession(session);
+    uploadSessions.set(session.id, session);
+
+    console.log(`[Upload] Started ${filename} (${size} bytes) as ${session.id}`);
+    broadcastUploadProgress(session);
+    res.json({ ok: true, uploadId: session.id, offset: 0, chunkSize: CONFIG.UPLOAD_CHUNK_SIZE });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Resumable upload: ask how many bytes the server already has
+app.get("/upload/:id", async (req, res) => {
+  try {
+    const session = await loadUploadSession(req.params.id);
+    if (!session) return sendError(res, httpError(404, "upload not found"));
+
+    session.received = await currentUploadOffset(session);
+    res.json({
+      ok: true,
+      uploadId: session.id,
+      filename: session.filename,
+      size: session.size,
+      offset: session.received,
+      chunkSize: CONFIG.UPLOAD_CHUNK_SIZE
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Resumable upload, step 2: append one chunk.
+// Expects "Content-Range: bytes <start>-<end>/<total>" where start must equal
+// the current offset; on mismatch the client gets 409 with the real offset.
+app.put("/upload/:id", async (req, res) => {
+  const session = await loadUploadSession(req.params.id);
+  if (!session) return sendError(res, httpError(404, "upload not found"));
+  if (session.busy) return sendError(res, httpError(409, "chunk already in progress"));
+
+  const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(String(req.headers["content-range"] || ""));
+  if (!match) return sendError(res, httpError(400, "missing or invalid Content-Range"));
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  const total = Number(match[3]);
+  if (total !== session.size || end < start || end >= session.size) {
+    return sendError(res, httpError(400, "Content-Range does not match upload"));
+  }
+
+  session.busy = true;
+  let overflow = false;
+  try {
+    const offset = await currentUploadOffset(session);
+    if (start !== offset) {
+      session.received = offset;
+      return sendError(res, httpError(409, "offset mismatch"), { offset });
+    }
+
+    const expected = end - start + 1;
+    session.received = offset;
+    const progress = throttledProgress(session);
+    const out = fs.createWriteStream(session.tmpPath, { flags: "a" });
+    let written = 0;
+
+    await new Promise((resolve, reject) => {
+      req.on("data", (chunk) => {
+        written += chunk.length;
+        if (written > expected) {
+          overflow = true;
+          req.unpipe(out);
+          out.end();
+          return reject(new Error("chunk larger than Content-Range"));
+        }
+        session.received += chunk.length;
+        progress();
+      });
+      req.on("aborted", () => reject(new Error("client aborted")));
+      req.on("error", reject);
+      out.on("error", reject);
+      out.on("finish", resolve);
+      req.pipe(out);
+    });
+
+    session.received = await currentUploadOffset(session);
+    if (session.received < session.size) {
+      broadcastUploadProgress(session);
+      return res.json({ ok: true, offset: session.received, done: false });
+    }
+
+    const item = await finalizeUpload(session.tmpPath, session.filename, session.folder);
+    await dropUploadSession(session);
+    broadcastUploadProgress(session, { percent: 100, done: true, item });
+    res.json({ ok: true, offset: session.size, done: true, item });
+  } catch (e) {
+    // Keep the partial file so the client can resume from the last good byte
+    console.error(`[Upload] Chunk failed for ${session.filename}:`, e.message);
+    if (overflow) await fsp.truncate(session.tmpPath, start).catch(() => {});
+    if (!res.headersSent) {
+      sendError(res, e, { offset: await currentUploadOffset(session) });
+    }
+  } finally {
+    session.busy = false;
+  }
+});
+
+app.delete("/upload/:id", async (req, res) => {
+  try {
+    const session = await loadUploadSession(req.params.id);
+    if (!session) return sendError(res, httpError(404, "upload not found"));
+
+    await dropUploadSession(session);
+    broadcastUploadProgress(session, { done: true, cancelled: true });
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Uploads nobody has sent a byte to for UPLOAD_EXPIRE_HOURS go, partial data
+// and all: resumable sessions that were given up on, and the .part files of
+// multipart requests cut short by a crash. Checked at startup, then hourly.
+const UPLOAD_EXPIRE_CHECK_MS = 60 * 60 * 1000;
+
+async function expireUploads() {
+  const dir = uploadTempDir();
+  let names;
+  try {
+    names = await fsp.readdir(dir);
+  } catch (e) {
+    return;
+  }
+
+  // A session's .part changes with every chunk, its .json only at the start
+  const lastActive = new Map(); // uploadId -> newest mtime of its files
+  for (const name of names) {
+    const match = /^([0-9a-f-]{36})\.(json|part)$/.exec(name);
+    if (!match) continue;
+    try {
+      const { mtimeMs } = await fsp.stat(path.join(dir, name));
+      lastActive.set(match[1], Math.max(lastActive.get(match[1]) || 0, mtimeMs));
+    } catch (e) {
+      // finished or cancelled meanwhile
+    }
+  }
+
+  const cutoff = Date.now() - CONFIG.UPLOAD_EXPIRE_HOURS * 60 * 60 * 1000;
+  let expired = 0;
+  for (const [id, mtimeMs] of lastActive) {
+    const session = uploadSessions.get(id);
+    if (mtimeMs > cutoff || (session && session.busy)) continue;
+    await dropUploadSession(session || { id, tmpPath: path.join(dir, `${id}.part`) });
+    expired++;
+  }
+  if (expired) console.log(`[Upload] Removed ${expired} abandoned upload(s)`);
+}
+
+if (CONFIG.UPLOAD_EXPIRE_HOURS > 0) {
+  expireUploads().catch(e => console.error("[Upload] Expiry failed:", e.message));
+  setInterval(() => expireUploads().catch(e => console.error("[Upload] Expiry failed:", e.message)), UPLOAD_EXPIRE_CHECK_MS);
+}
+
+// ------------------ OBS Helper Functions ----------------
+async function ensureVideoSource(sourceName, inst = primaryOBS) {
+  try {
+    // Try to get the source first
+    await inst.obs.call("GetInputSettings", { inputName: sourceName });
+    console.log(`Video source ${sourceName} already exists`);
+    
+    // Check if source exists in the target scene
+    const targetScene = inst.scene === 'CURRENT_SCENE' 
+      ? await getCurrentScene(inst) 
+      : (inst.scene || "Scene");
+    const sceneItems = await inst.obs.call("GetSceneItemList", { sceneName: targetScene });
+    const existsInScene = sceneItems.sceneItems.some(item => item.sourceName === sourceName);
+    
+    if (!existsInScene) {
+      console.log(`Adding existing source ${sourceName} to scene ${targetScene}`);
+      await inst.obs.call("CreateSceneItem", {
+        sceneName: targetScene,
+        sourceName: sourceName,
+        sceneItemEnabled: true
+      });
+    }
+  } catch (e) {
+    // Source doesn't exist, create it
+    const targetScene = inst.scene === 'CURRENT_SCENE' 
+      ? await getCurrentScene(inst) 
+      : (inst.scene || "Scene");
+    console.log(`Creating video source: ${sourceName} in scene: ${targetScene}`);
+    try {
+      await inst.obs.call("CreateInput", {
+        sceneName: targetScene,
+        inputName: sourceName,
+        inputKind: "ffmpeg_source",
+        inputSettings: {},
+        sceneItemEnabled: true
+      });
+      console.log(`Successfully created video source: ${sourceName}`);
+    } catch (createError) {
+      console.error(`Failed to create video source ${sourceName}:`, createError.message);
+      throw createError;
+    }
+  }
+}
+
+async function ensureImageSource(sourceName, inst = primaryOBS) {
+  try {
+    // Try to get the source first
+    await inst.obs.call("GetInputSettings", { inputName: sourceName });
+    console.log(`Image source ${sourceName} already exists`);
+    
+    // Check if source exists in the target scene
+    const targetScene = inst.scene === 'CURRENT_SCENE' 
+      ? await getCurrentScene(inst) 
+      : (inst.scene || "Scene");
+    const sceneItems = await inst.obs.call("GetSceneItemList", { sceneName: targetScene });
+    const existsInScene = sceneItems.sceneItems.some(item => item.sourceName === sourceName);
+    
+    if (!existsInScene) {
+      console.log(`Adding existing source ${sourceName} to scene ${targetScene}`);
+      await inst.obs.call("CreateSceneItem", {
+        sceneName: targetScene,
+        sourceName: sourceName,
+        sceneItemEnabled: true
+      });
+    }
+  } catch (e) {
+    // Source doesn't exist, create it
+    const targetScene = inst.scene === 'CURRENT_SCENE' 
+      ? await getCurrentScene(inst) 
+      : (inst.scene || "Scene");
+    console.log(`Creating image source: ${sourceName} in scene: ${targetScene}`);
+    try {
+      await inst.obs.call("CreateInput", {
+        sceneName: targetScene,
+        inputName: sourceName,
+        inputKind: "image_source",
+        inputSettings: {},
+        sceneItemEnabled: true
+      });
+      console.log(`Successfully created image source: ${sourceName}`);
+    } catch (createError) {
+      console.error(`Failed to create image source ${sourceName}:`, createError.message);
+      throw createError;
+    }
+  }
+}
+
+async function getCurrentScene(inst = primaryOBS) {
+  try {
+    // If CURRENT_SCENE is selected, always get the current scene from OBS
+    if (inst.scene === 'CURRENT_SCENE') {
+      const response = await inst.obs.call("GetCurrentProgramScene");
+      return response.currentProgramSceneName || response.sceneName;
+    }
+    
+    // Use the target scene from CONFIG first
+    if (inst.scene && inst.scene !== "Scene") {
+      return inst.scene;
+    }
+    
+    const response = await inst.obs.call("GetCurrentProgramScene");
+    return response.currentProgramSceneName || response.sceneName;
+  } catch (e) {
+    // Fallback to config target scene or first scene
+    if (inst.scene && inst.scene !== "Scene" && inst.scene !== 'CURRENT_SCENE') {
+      return inst.scene;
+    }
+    
+    const scenes = await inst.obs.call("GetSceneList");
     return scenes.scenes[0]?.sceneName || "Scene";
   }
 }
 
-async function fitToScreen(sourceName) {
+// box: { x, y, width, height } in canvas pixels; without one the source fills the canvas
+async function fitToScreen(sourceName, inst = primaryOBS, box = null) {
+  try {
+    const sceneName = inst.scene === 'CURRENT_SCENE' 
+      ? await getCurrentScene(inst) 
+      : (inst.scene || await getCurrentScene(inst));
+    console.log(`Applying fit-to-screen for ${sourceName} in scene: ${sceneName}`);
+    
+    // Get canvas dimensions
+    const videoSettings = await inst.obs.call("GetVideoSettings");
+    const canvasWidth = box ? box.width : videoSettings.outputWidth;
+    const canvasHeight = box ? box.height : videoSettings.outputHeight;
+    
+    // Get scene item ID
+    const sceneItems = await inst.obs.call("GetSceneItemList", { sceneName });
+    const sceneItem = sceneItems.sceneItems.find(item => item.sourceName === sourceName);
+    
+    if (!sceneItem) {
+      console.log(`Scene item not found for source: ${sourceName} in scene: ${sceneName}`);
+      console.log(`Available scene items:`, sceneItems.sceneItems.map(item => item.sourceName));
+      return;
+    }
+    
+    // Get source dimensions
+    const sourceSettings = await inst.obs.call("GetInputSettings", { inputName: sourceName });
+    
+    // Set transform to fit screen
+    await inst.obs.call("SetSceneItemTransform", {
+      sceneName: sceneName,
+      sceneItemId: sceneItem.sceneItemId,
+      sceneItemTransform: {
+        positionX: box ? box.x : 0,
+        positionY: box ? box.y : 0,
+        scaleX: 1.0,
+        scaleY: 1.0,
+        cropLeft: 0,
+        cropTop: 0,
+        cropRight: 0,
+        cropBottom: 0,
+        rotation: 0,
+        boundsType: "OBS_BOUNDS_SCALE_INNER",
+        boundsAlignment: 0,
+        boundsWidth: canvasWidth,
+        boundsHeight: canvasHeight
+      }
+    });
+    
+    console.log(`Applied fit-to-screen transform for ${sourceName}`);
+  } catch (e) {
+    console.error(`Error applying fit-to-screen for ${sourceName}:`, e.message);
+  }
+}
+
+async function hideSource(sourceName, inst = primaryOBS) {
+  try {
+    const sceneName = inst.scene === 'CURRENT_SCENE' 
+      ? await getCurrentScene(inst) 
+      : (inst.scene || await getCurrentScene(inst));
+    console.log(`Hiding source ${sourceName} in scene: ${sceneName}`);
+    
+    const sceneItems = await inst.obs.call("GetSceneItemList", { sceneName });
+    const sceneItem = sceneItems.sceneItems.find(item => item.sourceName === sourceName);
+    
+    if (sceneItem) {
+      await inst.obs.call("SetSceneItemEnabled", {
+        sceneName: sceneName,
+        sceneItemId: sceneItem.sceneItemId,
+        sceneItemEnabled: false
+      });
+      console.log(`Hidden source: ${sourceName}`);
+    } else {
+      console.log(`Source ${sourceName} not found in scene ${sceneName} for hiding`);
+    }
+  } catch (e) {
+    console.error(`Error hiding source ${sourceName}:`, e.message);
+  }
+}
+
+async function showSource(sourceName, inst = primaryOBS) {
+  try {
+    const sceneName = inst.scene === 'CURRENT_SCENE' 
+      ? await getCurrentScene(inst) 
+      : (inst.scene || await getCurrentScene(inst));
+    console.log(`Showing source ${sourceName} in scene: ${sceneName}`);
+    
+    const sceneItems = await inst.obs.call("GetSceneItemList", { sceneName });
+    const sceneItem = sceneItems.sceneItems.find(item => item.sourceName === sourceName);
+    
+    if (sceneItem) {
+      await inst.obs.call("SetSceneItemEnabled", {
+        sceneName: sceneName,
+        sceneItemId: sceneItem.sceneItemId,
+        sceneItemEnabled: true
+      });
+      console.log(`Shown source: ${sourceName}`);
+    } else {
+      console.log(`Source ${sourceName} not found in scene ${sceneName} for showing`);
+    }
+  } catch (e) {
+    console.error(`Error showing source ${sourceName}:`, e.message);
+  }
+}
+
+// ------------------ Transitions ----------------
+// How one item replaces another on a player:
+//   cut     – swap instantly
+//   fade    – a program scene change uses OBS's fade scene transition; inside
+//             the scene the incoming source fades in over the outgoing one
+//   stinger – an OBS stinger transition on program scene changes; inside the
+//             scene (where OBS has no stinger) it fades like "fade"
+// Clip-to-clip fades load the new clip into the player's other video input
+// (A/B), so the ffmpeg_source reload never shows on air.
+const TRANSITION_FILE = () => path.join(CONFIG.DATA_DIR, "transition.json");
+const TRANSITION_TYPES = ["cut", "fade", "stinger"];
+const MAX_TRANSITION_MS = 10000;
+const FADE_FILTER = "Playout Fade"; // color correction filter added to player inputs
+const FADE_STEP_MS = 40;
+const CUT_TRANSITION = { type: "cut" };
+
+let defaultTransition = CUT_TRANSITION;
+
+// Accepts "fade" or { type, durationMs?, stinger? }; empty means "use the default"
+function normalizeTransition(raw) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  if (typeof raw === "string") raw = { type: raw };
+  if (typeof raw !== "object") throw httpError(400, "transition must be an object");
+  const type = String(raw.type || "cut");
+  if (!TRANSITION_TYPES.includes(type)) throw httpError(400, `transition type must be one of: ${TRANSITION_TYPES.join(", ")}`);
+  if (type === "cut") return { type };
+
+  const transition = { type, durationMs: CONFIG.TRANSITION_DURATION_MS };
+  if (raw.durationMs !== undefined && raw.durationMs !== null && raw.durationMs !== "") {
+    transition.durationMs = Number(raw.durationMs);
+  }
+  if (!Number.isFinite(transition.durationMs) || transition.durationMs < 0 || transition.durationMs > MAX_TRANSITION_MS) {
+    throw httpError(400, `transition durationMs must be between 0 and ${MAX_TRANSITION_MS}`);
+  }
+  transition.durationMs = Math.round(transition.durationMs);
+  if (type === "stinger") transition.stinger = String(raw.stinger || CONFIG.OBS_STINGER_TRANSITION);
+  return transition;
+}
+
+function resolveTransition(transition) {
+  return transition || defaultTransition;
+}
+
+function fades(transition) {
+  return transition.type !== "cut" && transition.durationMs > 0;
+}
+
+async function loadTransition() {
+  const saved = await readJsonFile(TRANSITION_FILE(), null);
+  try {
+    defaultTransition = normalizeTransition(saved || { type: CONFIG.TRANSITION }) || CUT_TRANSITION;
+  } catch (e) {
+    console.error("[Transitions] Ignoring default transition:", e.message);
+  }
+}
+
+async function saveTransition() {
+  try {
+    await writeJsonFile(TRANSITION_FILE(), defaultTransition);
+  } catch (e) {
+    console.error("[Transitions] Failed to save:", e.message);
+  }
+}
+
+const transitionReady = loadTransition();
+
+// Pick the OBS scene transition the next program switch will use
+async function setSceneTransition(inst, transition) {
+  const transitionName = transition.type === "stinger" ? transition.stinger
+    : fades(transition) ? CONFIG.OBS_FADE_TRANSITION : CONFIG.OBS_CUT_TRANSITION;
+  await inst.obs.call("SetCurrentSceneTransition", { transitionName });
+  // Stingers take their length from their own settings in OBS; OBS needs >= 50 ms
+  if (transition.type === "fade" && fades(transition)) {
+    await inst.obs.call("SetCurrentSceneTransitionDuration", { transitionDuration: Math.max(50, transition.durationMs) });
+  }
+}
+
+async function sceneNameOf(inst) {
+  return inst.scene === 'CURRENT_SCENE'
+    ? await getCurrentScene(inst)
+    : (inst.scene || await getCurrentScene(inst));
+}
+
+// Which of the given sources are enabled in the scene, in stacking order
+async function visibleSources(inst, sourceNames) {
+  const sceneName = await sceneNameOf(inst);
+  const { sceneItems } = await inst.obs.call("GetSceneItemList", { sceneName });
+  return sceneItems
+    .filter(item => item.sceneItemEnabled && sourceNames.includes(item.sourceName))
+    .map(item => item.sourceName);
+}
+
+// Stack a source directly above the highest of `below`, so it covers them while it fades in
+async function raiseAbove(inst, sourceName, below) {
+  const sceneName = await sceneNameOf(inst);
+  const { sceneItems } = await inst.obs.call("GetSceneItemList", { sceneName });
+  const item = sceneItems.find(i => i.sourceName === sourceName);
+  const top = Math.max(...sceneItems.filter(i => below.includes(i.sourceName)).map(i => i.sceneItemIndex));
+  if (!item || !Number.isFinite(top) || item.sceneItemIndex > top) return;
+  await inst.obs.call("SetSceneItemIndex", { sceneName, sceneItemId: item.sceneItemId, sceneItemIndex: top });
+}
+
+async function ensureFadeFilter(inst, sourceName) {
+  try {
+    await inst.obs.call("GetSourceFilter", { sourceName, filterName: FADE_FILTER });
+  } catch (e) {
+    await inst.obs.call("CreateSourceFilter", {
+      sourceName,
+      filterName: FADE_FILTER,
+      filterKind: "color_filter_v2",
+      filterSettings: { opacity: 1 }
+    });
+  }
+}
+
+async function setOpacity(inst, sourceName, opacity) {
+  await inst.obs.call("SetSourceFilterSettings", {
+    sourceName,
+    filterName: FADE_FILTER,
+    filterSettings: { opacity },
+    overlay: true
+  });
+}
+
+// OBS has no opacity animation for scene items, so step the filter from here
+async function fadeSource(inst, sourceName, from, to, durationMs) {
+  const steps = Math.max(1, Math.round(durationMs / FADE_STEP_MS));
+  for (let i = 1; i <= steps; i++) {
+    await new Promise(resolve => setTimeout(resolve, durationMs / steps));
+    await setOpacity(inst, sourceName, from + (to - from) * (i / steps));
+  }
+}
+
+// Make `incoming` the player's only visible source. `showing` is what was
+// visible before; with a fade the incoming source fades in above it first.
+async function revealSource(inst, scope, incoming, showing, transition, fade) {
+  if (fade) {
+    await showSource(incoming, scope);
+    await raiseAbove(scope, incoming, showing.filter(name => name !== incoming));
+    await fadeSource(inst, incoming, 0, 1, transition.durationMs);
+  }
+  for (const name of showing.filter(name => name !== incoming)) await hideSource(name, scope);
+  if (!fade) await showSource(incoming, scope);
+}
+
+// ------------------ End of clip ----------------
+// What a player does when its clip runs out or reaches its out-point:
+//   stop     – nothing more; OBS shows nothing once a clip has ended
+//   loop     – play it again from the in-point until something replaces it
+//   hold     – freeze on the last frame
+//   hide     – hide the player's sources
+//   fallback – show a still from the library on the player
+//   scene    – take a named scene to program
+// Now-playing is cleared afterwards, except on hold (marked ended) and
+// fallback (the still is what is playing then).
+const END_ACTION_FILE = () => path.join(CONFIG.DATA_DIR, "end-action.json");
+const END_ACTION_TYPES = ["stop", "loop", "hold", "hide", "fallback", "scene"];
+const STOP_END_ACTION = { type: "stop" };
+const END_EVENT_GRACE_MS = 1000;
+
+let defaultEndAction = STOP_END_ACTION;
+
+// Accepts "hold" or { type, mediaId?, scene? }; empty means "use the default".
+// verifyMedia: false when loading saved settings, before the media index is up
+async function normalizeEndAction(raw, { verifyMedia = true } = {}) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  if (typeof raw === "string") raw = { type: raw };
+  if (typeof raw !== "object") throw httpError(400, "endAction must be an object");
+  const type = String(raw.type || "stop");
+  if (!END_ACTION_TYPES.includes(type)) throw httpError(400, `endAction type must be one of: ${END_ACTION_TYPES.join(", ")}`);
+
+  if (type === "fallback") {
+    if (!verifyMedia) {
+      if (!raw.mediaId) throw httpError(400, "endAction fallback needs a mediaId");
+      return { type, mediaId: String(raw.mediaId) };
+    }
+    const image = await resolveMediaRef({ id: raw.mediaId, path: raw.path }, "image");
+    return { type, mediaId: mediaId(image) };
+  }
+  if (type === "scene") {
+    const scene = String(raw.scene || "").trim();
+    if (!scene) throw httpError(400, "endAction scene needs a scene name");
+    return { type, scene };
+  }
+  return { type };
+}
+
+function resolveEndAction(ending) {
+  return ending || defaultEndAction;
+}
+
+async function loadEndAction() {
+  const saved = await readJsonFile(END_ACTION_FILE(), null);
+  try {
+    const seed = CONFIG.END_ACTION.trim().startsWith("{") ? JSON.parse(CONFIG.END_ACTION) : CONFIG.END_ACTION;
+    defaultEndAction = await normalizeEndAction(saved || seed, { verifyMedia: false }) || STOP_END_ACTION;
+  } catch (e) {
+    console.error("[End] Ignoring default end action:", e.message);
+  }
+}
+
+async function saveEndAction() {
+  try {
+    await writeJsonFile(END_ACTION_FILE(), defaultEndAction);
+  } catch (e) {
+    console.error("[End] Failed to save:", e.message);
+  }
+}
+
+const endActionReady = loadEndAction();
+
+// OBS loops a clip by itself only from the top; with an in-point the loop
+// is ours (see loopClip)
+function obsLoops(ending, marks) {
+  return ending.type === "loop" && !(marks && marks.inPoint);
+}
+
+// Source settings that decide what OBS does at the end of the file
+function endSettings(ending, marks) {
+  return { looping: obsLoops(ending, marks), clear_on_media_end: ending.type !== "hold" };
+}
+
+// OBS reports the end of the outgoing file while a new one loads, and on a
+// stop; those are not the clip on air ending
+async function whileLoading(player, fn) {
+  player.loadingUntil = Infinity;
+  try {
+    return await fn();
+  } finally {
+    player.loadingUntil = Date.now() + END_EVENT_GRACE_MS;
+  }
+}
+
+function isLoading(player) {
+  return Date.now() < player.loadingUntil;
+}
+
+// Back to the in-point (or the top) on every instance
+async function loopClip(player) {
+  const marks = player.media.marks;
+  const cursor = marks && marks.inPoint ? Math.round(marks.inPoint * 1000) : 0;
+  await onAllOBS(`loop ${player.name}`, async inst => {
+    const input = liveVideoInput(player, inst);
+    const { mediaState } = await inst.obs.call("GetMediaInputStatus", { inputName: input });
+    if (mediaState !== "OBS_MEDIA_STATE_PLAYING") {
+      await inst.obs.call("TriggerMediaInputAction", { inputName: input, mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_RESTART" });
+    }
+    if (cursor) await inst.obs.call("SetMediaInputCursor", { inputName: input, mediaCursor: cursor });
+  });
+  syncPlaybackClock(player);
+}
+
+// Run the player's end action once its clip has finished (or been stopped at
+// its out-point) and bring now-playing up to date. reason: "ended" or "out-point"
+async function onClipEnded(player, reason) {
+  const { filePath } = player.media;
+  const ending = resolveEndAction(player.media.endAction);
+  console.log(`[End] ${player.name}: ${path.basename(filePath)} ${reason}, ${ending.type}`);
+  if (ending.type !== "loop") recordEnd(player, reason);
+
+  try {
+    switch (ending.type) {
+      case "loop":
+        await loopClip(player);
+        return;
+      case "hold":
+        player.media.ended = true;
+        broadcastCurrentPlaying(player);
+        return;
+      case "hide":
+        // stopPlayer clears now-playing itself
+        await stopPlayer(player);
+        return;
+      case "fallback":
+        await showImageFile(await resolveMediaRef({ id: ending.mediaId }, "image"), player);
+        return;
+      case "scene":
+        await onAllOBS(`end ${player.name}`, inst => switchToTargetScene({ ...inst, scene: ending.scene }, defaultTransition));
+        break;
+    }
+  } catch (e) {
+    console.error(`[End] ${ending.type} on ${player.name} failed:`, e.message);
+  }
+
+  // Unless something else went to air meanwhile
+  if (player.media.filePath === filePath) {
+    clearOutPointWatch(player);
+    player.media = emptyMedia();
+    broadcastCurrentPlaying(player);
+  }
+}
+
+// ------------------ Audio ----------------
+// A player's clip plays at the operator's volume plus the clip's own gain
+// (clip marks, gainDb). Fades ramp the input volume from here, in dB, since
+// OBS has no volume automation over the websocket.
+const MIN_VOLUME_DB = -100; // OBS treats this as silence
+const MAX_VOLUME_DB = 26;
+const FADE_FLOOR_DB = -60;  // fades start/end here, then jump to silence
+const AUDIO_RAMP_STEP_MS = 50;
+const MAX_AUDIO_FADE_MS = 10000;
+
+function clampVolumeDb(db) {
+  return Math.min(MAX_VOLUME_DB, Math.max(MIN_VOLUME_DB, db));
+}
+
+function playerVolumeDb(player, marks) {
+  return clampVolumeDb(player.audio.volumeDb + (marks && marks.gainDb ? marks.gainDb : 0));
+}
+
+async function setInputVolume(inst, inputName, volumeDb) {
+  inst.audioRamps.delete(inputName); // a direct level wins over a running fade
+  await inst.obs.call("SetInputVolume", { inputName, inputVolumeDb: volumeDb });
+}
+
+// Ramp an input's volume; a newer ramp or direct level on the same input stops
+// this one. Resolves false when it was cut short.
+async function rampVolume(inst, inputName, fromDb, toDb, durationMs) {
+  const token = {};
+  inst.audioRamps.set(inputName, token);
+  const from = Math.max(fromDb, FADE_FLOOR_DB);
+  const to = Math.max(toDb, FADE_FLOOR_DB);
+  const steps = Math.max(1, Math.round(durationMs / AUDIO_RAMP_STEP_MS));
+  for (let i = 0; i <= steps; i++) {
+    if (inst.audioRamps.get(inputName) !== token) return false;
+    const db = i === steps ? toDb : from + (to - from) * (i / steps);
+    await inst.obs.call("SetInputVolume", { inputName, inputVolumeDb: db });
+    if (i < steps) await new Promise(resolve => setTimeout(resolve, durationMs / steps));
+  }
+  inst.audioRamps.delete(inputName);
+  return true;
+}
+
+// Bring a player's input up to its level, fading in when set to
+function fadeInPlayer(inst, player, inputName, marks, durationMs = player.audio.fadeInMs) {
+  const volumeDb = playerVolumeDb(player, marks);
+  if (!durationMs) return setInputVolume(inst, inputName, volumeDb);
+  return rampVolume(inst, inputName, MIN_VOLUME_DB, volumeDb, durationMs);
+}
+
+// Take a player's input down to silence, fading out when set to
+async function fadeOutPlayer(inst, player, inputName, marks, durationMs = player.audio.fadeOutMs) {
+  if (!durationMs) return;
+  await rampVolume(inst, inputName, playerVolumeDb(player, marks), MIN_VOLUME_DB, durationMs);
+}
+
+// Push a player's volume and mute to its live input
+async function applyPlayerAudio(inst, player) {
+  if (!player.videoInput) return;
+  const inputName = liveVideoInput(player, inst);
+  await setInputVolume(inst, inputName, playerVolumeDb(player, player.media.marks));
+  await inst.obs.call("SetInputMute", { inputName, inputMuted: player.audio.muted });
+}
+
+function normalizeAudioUpdate(body) {
+  const update = {};
+  if (body.volumeDb !== undefined) {
+    const volumeDb = Number(body.volumeDb);
+    if (!Number.isFinite(volumeDb)) throw httpError(400, "volumeDb must be a number");
+    update.volumeDb = clampVolumeDb(Math.round(volumeDb * 10) / 10);
+  }
+  if (body.muted !== undefined) update.muted = !!body.muted;
+  for (const key of ["fadeInMs", "fadeOutMs"]) {
+    if (body[key] === undefined) continue;
+    const ms = Number(body[key]);
+    if (!Number.isFinite(ms) || ms < 0 || ms > MAX_AUDIO_FADE_MS) {
+      throw httpError(400, `${key} must be between 0 and ${MAX_AUDIO_FADE_MS}`);
+    }
+    update[key] = Math.round(ms);
+  }
+  return update;
+}
+
+// Level meters: OBS sends every input ~20 times a second; clients get the
+// players' live inputs at AUDIO_METER_INTERVAL_MS, and only when someone listens
+let lastMeterEmit = 0;
+
+function levelDb(mul) {
+  return mul > 0 ? Math.max(FADE_FLOOR_DB, Math.round(20 * Math.log10(mul) * 10) / 10) : FADE_FLOOR_DB;
+}
+
+obs.on("InputVolumeMeters", ({ inputs }) => {
+  const now = Date.now();
+  if (now - lastMeterEmit < CONFIG.AUDIO_METER_INTERVAL_MS || io.engine.clientsCount === 0) return;
+  lastMeterEmit = now;
+
+  const levels = [];
+  for (const player of players) {
+    if (!player.videoInput) continue;
+    const input = inputs.find(i => i.inputName === liveVideoInput(player));
+    if (!input) continue;
+    levels.push({
+      player: player.name,
+      // One entry per channel: [magnitude, peak, input peak] as multipliers
+      channels: (input.inputLevelsMul || []).map(([magnitude, peak]) => ({
+        magnitudeDb: levelDb(magnitude),
+        peakDb: levelDb(peak)
+      }))
+    });
+  }
+  io.emit('audioLevels', { levels, at: now });
+});
+
+// ------------------ OBS controls ----------------
+// Switch to the target scene first (skip if CURRENT_SCENE is selected)
+async function switchToTargetScene(inst = primaryOBS, transition = null) {
+  if (inst.scene && inst.scene !== 'CURRENT_SCENE') {
+    try {
+      if (transition) await setSceneTransition(inst, transition);
+      if (inst.obs === obs) noteSceneRequest(inst.scene);
+      await inst.obs.call("SetCurrentProgramScene", { sceneName: inst.scene });
+      console.log(`Switched to scene: ${inst.scene}`);
+    } catch (sceneError) {
+      console.error(`Failed to switch to scene ${inst.scene}:`, sceneError.message);
+    }
+  } else if (inst.scene === 'CURRENT_SCENE') {
+    console.log(`Using current scene (no switch needed)`);
+  }
+}
+
+// Whether playing on this player will change the program scene; the scene
+// transition then covers the swap and the sources inside it can just cut
+async function programSceneChanges(scope, player) {
+  if (!player.switchScene || !scope.scene || scope.scene === 'CURRENT_SCENE') return false;
+  try {
+    return (await getCurrentScene({ ...scope, scene: 'CURRENT_SCENE' })) !== scope.scene;
+  } catch (e) {
+    return true;
+  }
+}
+
+// Load a clip into a player's video input on one instance and start it, at the in-point if set.
+// ending: the end action, which decides whether OBS loops or holds the clip
+async function cueVideo(inst, player, filePath, marks, startMs = 0, transition = CUT_TRANSITION, ending = STOP_END_ACTION) {
+  const scope = playerScope(inst, player);
+  console.log(`[${inst.name}] Playing video on ${player.name}: ${filePath}`);
+  console.log(`[${inst.name}] Target scene: ${scope.scene}`);
+
+  const switching = await programSceneChanges(scope, player);
+  const fade = !switching && fades(transition);
+  const showing = await visibleSources(scope, playerInputs(player));
+  // Fading from a clip on air: load into the other input so both can be seen at once
+  const live = liveVideoInput(player, inst);
+  const crossfade = fade && showing.includes(live);
+  const input = crossfade ? spareVideoInput(player, inst) : live;
+
+  // Ensure video source exists
+  await ensureVideoSource(input, scope);
+  if (fade) {
+    await ensureFadeFilter(inst, input);
+    await setOpacity(inst, input, 0);
+  } else {
+    // Hide the player's other sources and show this one
+    await revealSource(inst, scope, input, showing, transition, false);
+  }
+
+  // Stop current video (if any) and set new file
+  try {
+    await inst.obs.call("TriggerMediaInputAction", {
+      inputName: input,
+      mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP",
+    });
+  } catch (e) {
+    // Ignore error if already stopped
+    console.log("Video was already stopped or not playing");
+  }
+
+  await inst.obs.call("SetInputSettings", {
+    inputName: input,
+    inputSettings: { local_file: filePath, ...endSettings(ending, marks) },
+    overlay: true,
+  });
+
+  // Silent until the fade-in (not when catching up mid-clip); a cross-fade
+  // fades the sound over the same time as the picture. Mute follows the player.
+  const fadeInMs = startMs ? 0 : (player.audio.fadeInMs || (crossfade ? transition.durationMs : 0));
+  await setInputVolume(inst, input, fadeInMs ? MIN_VOLUME_DB : playerVolumeDb(player, marks));
+  await inst.obs.call("SetInputMute", { inputName: input, inputMuted: player.audio.muted });
+  
+  // Start playing the new video
+  await inst.obs.call("TriggerMediaInputAction", {
+    inputName: input,
+    mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_RESTART",
+  });
+
+  // Jump to the stored in-point (or a later position when catching up)
+  const cursor = Math.max(startMs, marks && marks.inPoint ? Math.round(marks.inPoint * 1000) : 0);
+  if (cursor) {
+    await inst.obs.call("SetMediaInputCursor", {
+      inputName: input,
+      mediaCursor: cursor,
+    });
+  }
+
+  // Apply the player's placement
+  await fitToScreen(input, scope, player.box);
+
+  if (fadeInMs) {
+    fadeInPlayer(inst, player, input, marks, fadeInMs)
+      .catch(e => console.error(`[Audio] Fade-in on ${input} failed:`, e.message));
+  }
+  if (crossfade) {
+    fadeOutPlayer(inst, player, live, player.media.marks, transition.durationMs)
+      .catch(e => console.error(`[Audio] Fade-out on ${live} failed:`, e.message));
+  }
+  if (fade) await revealSource(inst, scope, input, showing, transition, true);
+  inst.liveVideo.set(player.name, input);
+  // The clip faded out keeps decoding in the background unless stopped
+  const previous = input === live ? null : live;
+  if (previous && showing.includes(previous)) {
+    await inst.obs.call("TriggerMediaInputAction", {
+      inputName: previous,
+      mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP",
+    }).catch(() => {});
+  }
+
+  if (switching) await switchToTargetScene(scope, transition);
+}
+
+// Put a still into a player's image input on one instance
+async function cueImage(inst, player, filePath, transition = CUT_TRANSITION) {
+  const scope = playerScope(inst, player);
+  console.log(`[${inst.name}] Showing image on ${player.name}: ${filePath}`);
+  console.log(`[${inst.name}] Target scene: ${scope.scene}`);
+
+  const switching = await programSceneChanges(scope, player);
+  const fade = !switching && fades(transition);
+  const showing = await visibleSources(scope, playerInputs(player));
+  const input = player.imageInput;
+  // An image replacing an image shares the input: dip out and back in instead
+  const dip = fade && showing.includes(input);
+  const stage = dip ? { ...transition, durationMs: Math.round(transition.durationMs / 2) } : transition;
+
+  // Ensure image source exists
+  await ensureImageSource(input, scope);
+  if (fade) {
+    await ensureFadeFilter(inst, input);
+    if (dip) await fadeSource(inst, input, 1, 0, stage.durationMs);
+    else await setOpacity(inst, input, 0);
+  } else {
+    // Hide the player's video sources and show its image source
+    await revealSource(inst, scope, input, showing, transition, false);
+  }
+
+  await inst.obs.call("SetInputSettings", {
+    inputName: input,
+    inputSettings: { file: filePath },
+    overlay: true,
+  });
+
+  // Apply the player's placement
+  await fitToScreen(input, scope, player.box);
+
+  if (fade) await revealSource(inst, scope, input, showing, stage, true);
+  if (switching) await switchToTargetScene(scope, transition);
+}
+
+// Hide the player's sources, fading them out first when the transition fades
+async function clearOutputs(inst, player, transition = CUT_TRANSITION) {
+  const scope = playerScope(inst, player);
+  const showing = await visibleSources(scope, playerInputs(player));
+  const live = liveVideoInput(player, inst);
+  // A clip on air fades its sound out alongside (or instead of) the picture
+  const audioOut = player.media.type === 'video' && showing.includes(live)
+    ? fadeOutPlayer(inst, player, live, player.media.marks)
+      .catch(e => console.error(`[Audio] Fade-out on ${live} failed:`, e.message))
+    : null;
+  if (fades(transition) && showing.length) {
+    for (const name of showing) await ensureFadeFilter(inst, name);
+    await Promise.all(showing.map(name => fadeSource(inst, name, 1, 0, transition.durationMs)));
+  }
+  await audioOut;
+  for (const name of showing) await hideSource(name, scope);
+  // Leave them opaque for whatever is cut in next
+  if (fades(transition)) {
+    for (const name of showing) await setOpacity(inst, name, 1);
+  }
+}
+
+// Update a player's now-playing info for a clip that just went to air
+async function setVideoOnAir(player, filePath, marks, ending) {
+  const duration = await getVideoDuration(filePath);
+  recordEnd(player, "replaced");
+  player.media = {
+    type: 'video',
+    filePath: filePath,
+    filename: path.basename(filePath),
+    startTime: Date.now(),
+    duration: duration,
+    durationFormatted: formatDuration(duration),
+    marks: marks,
+    endAction: ending,
+    storyboard: storyboardInfo(filePath, duration, (mediaIndex.get(path.resolve(filePath)) || {}).meta)
+  };
+  recordOnAir(player);
+  watchOutPoint(player, filePath, marks ? marks.outPoint : null);
+}
+
+function setImageOnAir(player, filePath) {
+  clearOutPointWatch(player);
+  recordEnd(player, "replaced");
+  player.media = {
+    type: 'image',
+    filePath: filePath,
+    filename: path.basename(filePath),
+    startTime: Date.now(),
+    duration: null // Images don't have duration
+  };
+  recordOnAir(player);
+}
+
+// Load a clip into a player's video input and start it from the top.
+// transition / ending: the item's own (see normalizeTransition and
+// normalizeEndAction), else the defaults
+async function playVideoFile(filePath, player = defaultPlayer(), transition = null, ending = null) {
+  if (!player.videoInput) throw httpError(400, `player ${player.name} has no video input`, "SOURCE_MISSING");
+  const marks = getClipMarks(filePath);
+  const how = resolveTransition(transition);
+  const end = resolveEndAction(ending);
+  await whileLoading(player, () => onAllOBS(`play ${player.name}`, inst => cueVideo(inst, player, filePath, marks, 0, how, end)));
+  dropCueOf(player);
+  await setVideoOnAir(player, filePath, marks, end);
+
+  // Broadcast the change to all connected clients
+  broadcastCurrentPlaying(player);
+
+  console.log(`Successfully started playing video on ${player.name}: ${filePath}`);
+}
+
+// Put a still into a player's image input
+async function showImageFile(filePath, player = defaultPlayer(), transition = null) {
+  if (!player.imageInput) throw httpError(400, `player ${player.name} has no image input`, "SOURCE_MISSING");
+  const how = resolveTransition(transition);
+  await whileLoading(player, () => onAllOBS(`show ${player.name}`, inst => cueImage(inst, player, filePath, how)));
+  dropCueOf(player);
+  setImageOnAir(player, filePath);
+
+  // Broadcast the change to all connected clients
+  broadcastCurrentPlaying(player);
+
+  console.log(`Successfully showing image on ${player.name}: ${filePath}`);
+}
+
+async function stopPlayer(player, transition = null) {
+  const how = resolveTransition(transition);
+  await whileLoading(player, () => onAllOBS(`stop ${player.name}`, inst => clearOutputs(inst, player, how)));
+  dropCueOf(player);
+
+  // Clear the player's now-playing info
+  clearOutPointWatch(player);
+  recordEnd(player, "stopped");
+  player.media = emptyMedia();
+
+  // Broadcast the change to all connected clients
+  broadcastCurrentPlaying(player);
+}
+
+// Players fade out together rather than one after another
+async function stopAllMedia(transition = null) {
+  await Promise.all(players.map(player => stopPlayer(player, transition)));
+}
+
+// ------------------ Studio mode ----------------
+// With Studio Mode on in OBS an item can be cued into the preview scene,
+// checked, and then taken to program with OBS's transition. Preview shows one
+// scene, so there is at most one cued item. Only the primary cues; mirrors
+// get the item as a plain play/show at the Take.
+const studio = {
+  enabled: false,
+  cued: null // { player, type, filePath, filename, marks, sceneName, transition, endAction, cuedAt }
+};
+
+function cuedSnapshot() {
+  const cued = studio.cued;
+  if (!cued) return { studioMode: studio.enabled, cued: null };
+  return {
+    studioMode: studio.enabled,
+    cued: {
+      player: cued.player.name,
+      label: cued.player.label,
+      type: cued.type,
+      filename: cued.filename,
+      sceneName: cued.sceneName,
+      transition: cued.transition,
+      endAction: cued.endAction,
+      cuedAt: cued.cuedAt,
+      ...publicMediaFields(cued.filePath, "filePath")
+    }
+  };
+}
+
+function broadcastCued() {
+  io.emit('cued', cuedSnapshot());
+}
+
+function clearCued() {
+  if (!studio.cued) return;
+  studio.cued = null;
+  broadcastCued();
+}
+
+// A direct play/show/stop on the cued player replaces what was cued
+function dropCueOf(player) {
+  if (studio.cued && studio.cued.player === player) clearCued();
+}
+
+async function refreshStudioMode() {
+  try {
+    const { studioModeEnabled } = await obs.call("GetStudioModeEnabled");
+    setStudioMode(!!studioModeEnabled);
+  } catch (e) {
+    console.error("[OBS] Could not read studio mode:", e.message);
+  }
+}
+
+function setStudioMode(enabled) {
+  const changed = studio.enabled !== enabled;
+  studio.enabled = enabled;
+  if (!enabled) studio.cued = null;
+  if (changed) {
+    broadcastOBSStatus();
+    broadcastCued();
+  }
+}
+
+async function currentProgramScene() {
+  const response = await obs.call("GetCurrentProgramScene");
+  return response.currentProgramSceneName || response.sceneName;
+}
+
+// Load an item into a player's input without putting it on program, and show
+// the player's scene in preview. Clips are held paused on their in-point.
+// transition: used at the Take (null = the default at that time);
+// ending: a clip's end action (null = the default now)
+async function cueItem(player, type, filePath, transition = null, ending = null) {
+  if (!studio.enabled) throw httpError(409, "studio mode is off in OBS");
+  if (!(type === 'video' ? player.videoInput : player.imageInput)) {
+    throw httpError(400, `player ${player.name} has no ${type} input`);
+  }
+
+  const sceneName = await getCurrentScene(playerScope(primaryOBS, player));
+  // The inputs are shared with program when the scene is already on air
+  if (sceneName === await currentProgramScene()) {
+    throw httpError(409, `scene ${sceneName} of player ${player.name} is on program; cue on a player with another scene`);
+  }
+
+  const marks = type === 'video' ? getClipMarks(filePath) : null;
+  const end = type === 'video' ? resolveEndAction(ending) : null;
+  const command = `cue ${player.name}`;
+  try {
+    // Never let the cue switch program, whatever the player is set to do on play;
+    // the audio fade-in happens at the Take
+    const previewPlayer = { ...player, switchScene: false, audio: { ...player.audio, fadeInMs: 0 } };
+    if (type === 'video') {
+      await whileLoading(player, () => cueVideo(primaryOBS, previewPlayer, filePath, marks, 0, CUT_TRANSITION, end));
+      await obs.call("TriggerMediaInputAction", {
+        inputName: liveVideoInput(player),
+        mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PAUSE",
+      });
+    } else {
+      await cueImage(primaryOBS, previewPlayer, filePath);
+    }
+    await obs.call("SetCurrentPreviewScene", { sceneName });
+    recordOBSResult(primaryOBS, command, null);
+  } catch (e) {
+    recordOBSResult(primaryOBS, command, e);
+    throw e;
+  }
+
+  // Whatever the player had is gone from its inputs now
+  if (player.media.type) {
+    clearOutPointWatch(player);
+    recordEnd(player, "replaced by cue");
+    player.media = emptyMedia();
+    broadcastCurrentPlaying(player);
+  }
+
+  studio.cued = {
+    player,
+    type,
+    filePath,
+    filename: path.basename(filePath),
+    marks,
+    sceneName,
+    transition,
+    endAction: end,
+    cuedAt: Date.now()
+  };
+  broadcastCued();
+  console.log(`Cued ${type} on ${player.name} in preview scene ${sceneName}: ${filePath}`);
+}
+
+// Transition the cued item to program and start it
+async function takeCued() {
+  const cued = studio.cued;
+  if (!cued) throw httpError(409, "nothing is cued");
+  if (!studio.enabled) throw httpError(409, "studio mode is off in OBS");
+  const { player, type, filePath, marks, sceneName, endAction } = cued;
+  const how = resolveTransition(cued.transition);
+
+  await whileLoading(player, () => onAllOBS(`take ${player.name}`, async inst => {
+    if (inst !== primaryOBS) {
+      return type === 'video' ? cueVideo(inst, player, filePath, marks, 0, how, endAction) : cueImage(inst, player, filePath, how);
+    }
+    // Someone may have changed preview in OBS since the cue
+    const preview = await obs.call("GetCurrentPreviewScene");
+    if ((preview.currentPreviewSceneName || preview.sceneName) !== sceneName) {
+      await obs.call("SetCurrentPreviewScene", { sceneName });
+    }
+    const input = liveVideoInput(player);
+    if (type === 'video' && player.audio.fadeInMs) await setInputVolume(inst, input, MIN_VOLUME_DB);
+    await setSceneTransition(primaryOBS, how);
+    noteSceneRequest(sceneName);
+    await obs.call("TriggerStudioModeTransition");
+    if (type === 'video') {
+      await obs.call("TriggerMediaInputAction", {
+        inputName: input,
+        mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PLAY",
+      });
+      if (player.audio.fadeInMs) {
+        fadeInPlayer(inst, player, input, marks)
+          .catch(e => console.error(`[Audio] Fade-in on ${input} failed:`, e.message));
+      }
+    }
+  }));
+
+  studio.cued = null;
+  if (type === 'video') await setVideoOnAir(player, filePath, marks, endAction);
+  else setImageOnAir(player, filePath);
+  broadcastCurrentPlaying(player);
+  broadcastCued();
+  console.log(`Took ${path.basename(filePath)} to program on ${player.name}`);
+}
+
+// Drop the cued item; its inputs are hidden unless the player is on air elsewhere
+async function clearCuedItem() {
+  const cued = studio.cued;
+  if (!cued) return;
+  if (!cued.player.media.type) {
+    await clearOutputs(primaryOBS, cued.player);
+  }
+  clearCued();
+}
+
+obs.on("StudioModeStateChanged", ({ studioModeEnabled }) => {
+  console.log(`[OBS] Studio mode ${studioModeEnabled ? "enabled" : "disabled"}`);
+  setStudioMode(!!studioModeEnabled);
+});
+
+app.post("/play/video", async (req, res) => {
+  try {
+    const filePath = await resolveMediaRef({ id: req.body.id, path: req.body.filePath }, "video");
+    const player = getPlayer(req.body.player);
+    const transition = normalizeTransition(req.body.transition);
+    const endAction = await normalizeEndAction(req.body.endAction);
+    requireOBS();
+
+    // A manual take leaves the rundown where it is but takes it off air
+    if (player === defaultPlayer()) detachRundown();
+    await playVideoFile(filePath, player, transition, endAction);
+    res.json({ ok: true, player: player.name });
+  } catch (e) {
+    console.error("Error playing video:", e.message);
+    sendError(res, e);
+  }
+});
+
+app.post("/show/image", async (req, res) => {
+  try {
+    const filePath = await resolveMediaRef({ id: req.body.id, path: req.body.filePath }, "image");
+    const player = getPlayer(req.body.player);
+    const transition = normalizeTransition(req.body.transition);
+    requireOBS();
+
+    if (player === defaultPlayer()) detachRundown();
+    await showImageFile(filePath, player, transition);
+    res.json({ ok: true, player: player.name });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/stop/all", async (req, res) => {
+  try {
+    const transition = normalizeTransition(req.body.transition);
+    requireOBS();
+
+    detachRundown();
+    await stopAllMedia(transition);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Clear one player, leaving the others on air
+app.post("/stop/player", async (req, res) => {
+  try {
+    const player = getPlayer(req.body.player);
+    const transition = normalizeTransition(req.body.transition);
+    requireOBS();
+
+    if (player === defaultPlayer()) detachRundown();
+    await stopPlayer(player, transition);
+    res.json({ ok: true, player: player.name });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Studio mode: cue into preview, then take to program
+app.get("/api/cued", (req, res) => {
+  res.json({ ok: true, ...cuedSnapshot() });
+});
+
+app.post("/cue/video", async (req, res) => {
+  try {
+    const filePath = await resolveMediaRef({ id: req.body.id, path: req.body.filePath }, "video");
+    const player = getPlayer(req.body.player);
+    const transition = normalizeTransition(req.body.transition);
+    const endAction = await normalizeEndAction(req.body.endAction);
+    requireOBS();
+
+    await cueItem(player, 'video', filePath, transition, endAction);
+    res.json({ ok: true, ...cuedSnapshot() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/cue/image", async (req, res) => {
+  try {
+    const filePath = await resolveMediaRef({ id: req.body.id, path: req.body.filePath }, "image");
+    const player = getPlayer(req.body.player);
+    const transition = normalizeTransition(req.body.transition);
+    requireOBS();
+
+    await cueItem(player, 'image', filePath, transition);
+    res.json({ ok: true, ...cuedSnapshot() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/cue/clear", async (req, res) => {
+  try {
+    requireOBS();
+
+    await clearCuedItem();
+    res.json({ ok: true, ...cuedSnapshot() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/take", async (req, res) => {
+  try {
+    requireOBS();
+
+    const player = studio.cued && studio.cued.player;
+    if (player && player === defaultPlayer()) detachRundown();
+    await takeCued();
+    res.json({ ok: true, player: player.name });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// ------------------ Rundown ----------------
+// Ordered playlists of library items. One rundown is "loaded" at a time; its
+// cursor is shared by every operator and follows OBS media events.
+const RUNDOWN_FILE = () => path.join(CONFIG.DATA_DIR, "rundowns.json");
+
+let rundowns = [];
+let rundownState = {
+  rundownId: null,
+  cursor: -1,       // index of the item on air (or last aired)
+  nextIndex: 0,     // index that "next" will play
+  onAir: false,     // false once someone plays something outside the rundown
+  autoAdvance: true,
+  holdEndsAt: null  // when the current image hold expires (ms epoch)
+};
+let rundownHoldTimer = null;
+let rundownQueue = Promise.resolve();
+
+// Serialise rundown actions so a clip-ended event and a button press can't
+// both advance the cursor at the same time
+function withRundownLock(fn) {
+  const run = rundownQueue.then(() => fn());
+  rundownQueue = run.catch(() => {});
+  return run;
+}
+
+async function loadRundowns() {
+  const data = await readJsonFile(RUNDOWN_FILE(), {});
+  rundowns = Array.isArray(data.rundowns) ? data.rundowns : [];
+  if (data.state) {
+    rundownState = {
+      ...rundownState,
+      rundownId: data.state.rundownId || null,
+      cursor: Number.isInteger(data.state.cursor) ? data.state.cursor : -1,
+      nextIndex: Number.isInteger(data.state.nextIndex) ? data.state.nextIndex : 0,
+      autoAdvance: data.state.autoAdvance !== false
+    };
+  }
+  if (rundownState.rundownId && !getActiveRundown()) {
+    rundownState.rundownId = null;
+  }
+  console.log(`[Rundown] Loaded ${rundowns.length} rundown(s)`);
+}
+
+async function saveRundowns() {
+  try {
+    await writeJsonFile(RUNDOWN_FILE(), {
+      rundowns,
+      state: {
+        rundownId: rundownState.rundownId,
+        cursor: rundownState.cursor,
+        nextIndex: rundownState.nextIndex,
+        autoAdvance: rundownState.autoAdvance
+      }
+    });
+  } catch (e) {
+    console.error("[Rundown] Failed to save:", e.message);
+  }
+}
+
+function getActiveRundown() {
+  return rundowns.find(r => r.id === rundownState.rundownId) || null;
+}
+
+function publicRundownItem(item) {
+  if (!item) return null;
+  const { path: filePath, ...rest } = item;
+  return { ...rest, ...publicMediaFields(filePath) };
+}
+
+function publicRundown(rundown) {
+  if (!rundown) return null;
+  return { ...rundown, items: rundown.items.map(publicRundownItem) };
+}
+
+function rundownSnapshot() {
+  const rundown = getActiveRundown();
+  return {
+    ...rundownState,
+    rundown: publicRundown(rundown),
+    currentItem: rundown ? publicRundownItem(rundown.items[rundownState.cursor]) : null,
+    nextItem: rundown ? publicRundownItem(rundown.items[rundownState.nextIndex]) : null
+  };
+}
+
+// Function to broadcast the rundown cursor to all clients
+function broadcastRundownState() {
+  io.emit('rundownState', rundownSnapshot());
+}
+
+// Validate client-supplied items ({ mediaId } or, in compat mode, { path });
+// unknown fields are dropped. Items that come back unchanged keep their
+// stored path, so a clip that has since gone missing can still be reordered.
+async function normalizeRundownItems(items, previous = []) {
+  if (!Array.isArray(items)) throw httpError(400, "items must be an array");
+  return Promise.all(items.map(async (raw) => {
+    raw = raw || {};
+    const known = previous.find(item => item.id === raw.id && (raw.mediaId ? mediaId(item.path) === raw.mediaId : item.path === raw.path));
+    const filePath = known ? known.path : await resolveMediaRef({ id: raw.mediaId, path: raw.path });
+    const type = isVideoFile(filePath) ? "video" : "image";
+
+    let holdSeconds = null;
+    if (raw.holdSeconds !== undefined && raw.holdSeconds !== null && raw.holdSeconds !== "") {
+      holdSeconds = Number(raw.holdSeconds);
+      if (!(holdSeconds > 0)) throw httpError(400, `invalid holdSeconds for ${path.basename(filePath)}`);
+    }
+
+    return {
+      id: typeof raw.id === "string" && raw.id ? raw.id : crypto.randomUUID(),
+      path: filePath,
+      type,
+      filename: path.basename(filePath),
+      holdSeconds,
+      transition: normalizeTransition(raw.transition), // null = the default transition
+      endAction: type === "video" ? await normalizeEndAction(raw.endAction) : null // null = the default end action
+    };
+  }));
+}
+
+function clearRundownHold() {
+  if (rundownHoldTimer) {
+    clearTimeout(rundownHoldTimer);
+    rundownHoldTimer = null;
+  }
+  rundownState.holdEndsAt = null;
+}
+
+// Take the rundown off air without moving its cursor (manual play / stop)
+function detachRundown() {
+  if (!rundownState.onAir && !rundownHoldTimer) return;
+  clearRundownHold();
+  rundownState.onAir = false;
+  broadcastRundownState();
+}
+
+async function playRundownItem(index) {
+  const rundown = getActiveRundown();
+  if (!rundown) throw httpError(409, "no rundown loaded");
+  const item = rundown.items[index];
+  if (!item) throw httpError(400, "rundown index out of range");
+  requireOBS();
+
+  clearRundownHold();
+
+  if (item.type === "video") {
+    await playVideoFile(item.path, defaultPlayer(), item.transition, item.endAction);
+  } else {
+    await showImageFile(item.path, defaultPlayer(), item.transition);
+  }
+
+  rundownState.cursor = index;
+  rundownState.nextIndex = index + 1;
+  rundownState.onAir = true;
+
+  // Images hold for their own duration, then advance like a finished clip
+  if (item.type === "image" && rundownState.autoAdvance) {
+    const holdMs = (item.holdSeconds || CONFIG.RUNDOWN_IMAGE_HOLD) * 1000;
+    rundownState.holdEndsAt = Date.now() + holdMs;
+    rundownHoldTimer = setTimeout(() => {
+      rundownHoldTimer = null;
+      rundownState.holdEndsAt = null;
+      onRundownItemEnded("image hold elapsed");
+    }, holdMs);
+  }
+
+  console.log(`[Rundown] On air ${index + 1}/${rundown.items.length}: ${item.filename}`);
+  await saveRundowns();
+  broadcastRundownState();
+  return item;
+}
+
+// Play whatever is queued as next; at the end of the list either wrap
+// (loop rundowns) or come off air and leave the last picture up
+async function playRundownNext() {
+  const rundown = getActiveRundown();
+  if (!rundown) throw httpError(409, "no rundown loaded");
+
+  let index = rundownState.nextIndex;
+  if (index >= rundown.items.length && rundown.loop) index = 0;
+  if (index >= rundown.items.length) {
+    clearRundownHold();
+    rundownState.onAir = false;
+    await saveRundowns();
+    broadcastRundownState();
+    console.log(`[Rundown] End of "${rundown.name}"`);
+    return null;
+  }
+  return playRundownItem(index);
+}
+
+// afterLast: runs when the item was the last one and the rundown came off air
+function onRundownItemEnded(reason, afterLast = null) {
+  if (!rundownState.onAir || !rundownState.autoAdvance) return;
+  console.log(`[Rundown] Item ended (${reason}), advancing`);
+  actor.run({ username: "rundown" }, () => withRundownLock(playRundownNext)).then((item) => {
+    if (!item && afterLast) return actor.exit(afterLast);
+  }).catch((e) => {
+    console.error("[Rundown] Auto-advance failed:", e.message);
+  });
+}
+
+// A clip on air ran out: a rundown on auto-advance moves on, otherwise the
+// clip's end action runs
+obs.on("MediaInputPlaybackEnded", ({ inputName }) => {
+  const player = playerForInput(inputName);
+  if (!player || player.media.type !== 'video' || inputName !== liveVideoInput(player)) return;
+  // Ignore the end of the previous file when we have just loaded a new one
+  if (isLoading(player)) return;
+
+  const ended = () => onClipEnded(player, "ended");
+  if (player === defaultPlayer() && rundownState.onAir && rundownState.autoAdvance) {
+    recordEnd(player, "ended");
+    onRundownItemEnded("video ended", ended);
+    return;
+  }
+  ended().catch(e => console.error(`[End] ${player.name}:`, e.message));
+});
+
+app.get("/api/rundowns", (req, res) => {
+  res.json({
+    ok: true,
+    rundowns: rundowns.map(r => ({ id: r.id, name: r.name, itemCount: r.items.length, loop: !!r.loop, updatedAt: r.updatedAt }))
+  });
+});
+
+app.post("/api/rundowns", async (req, res) => {
+  try {
+    const name = String(req.body.name || "").trim() || `Rundown ${rundowns.length + 1}`;
+    const rundown = {
+      id: crypto.randomUUID(),
+      name,
+      loop: !!req.body.loop,
+      items: await normalizeRundownItems(req.body.items || []),
+      updatedAt: Date.now()
+    };
+    rundowns.push(rundown);
+    await saveRundowns();
+    res.json({ ok: true, rundown: publicRundown(rundown) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/rundowns/:id", (req, res) => {
+  const rundown = rundowns.find(r => r.id === req.params.id);
+  if (!rundown) return sendError(res, httpError(404, "rundown not found"));
+  res.json({ ok: true, rundown: publicRundown(rundown) });
+});
+
+// Replace name / loop / items. Reordering is just sending the items in the
+// new order; item ids are kept so the on-air cursor follows its item.
+app.put("/api/rundowns/:id", async (req, res) => {
+  try {
+    await withRundownLock(async () => {
+      const rundown = rundowns.find(r => r.id === req.params.id);
+      if (!rundown) throw httpError(404, "rundown not found");
+
+      if (req.body.name !== undefined) rundown.name = String(req.body.name).trim() || rundown.name;
+      if (req.body.loop !== undefined) rundown.loop = !!req.body.loop;
+      if (req.body.items !== undefined) {
+        const isActive = rundown.id === rundownState.rundownId;
+        const currentId = isActive ? (rundown.items[rundownState.cursor] || {}).id : null;
+        const nextId = isActive ? (rundown.items[rundownState.nextIndex] || {}).id : null;
+
+        rundown.items = await normalizeRundownItems(req.body.items, rundown.items);
+
+        if (isActive) {
+          const cursor = rundown.items.findIndex(item => item.id === currentId);
+          const next = rundown.items.findIndex(item => item.id === nextId);
+          rundownState.cursor = cursor;
+          rundownState.nextIndex = next !== -1 ? next : Math.min(cursor + 1, rundown.items.length);
+          if (cursor === -1 && rundownState.onAir) {
+            // The on-air item was removed; keep it on screen but drop off the rundown
+            clearRundownHold();
+            rundownState.onAir = false;
+          }
+        }
+      }
+      rundown.updatedAt = Date.now();
+
+      await saveRundowns();
+      if (rundown.id === rundownState.rundownId) broadcastRundownState();
+      res.json({ ok: true, rundown: publicRundown(rundown) });
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/rundowns/:id", async (req, res) => {
+  try {
+    await withRundownLock(async () => {
+      const index = rundowns.findIndex(r => r.id === req.params.id);
+      if (index === -1) throw httpError(404, "rundown not found");
+
+      rundowns.splice(index, 1);
+      if (rundownState.rundownId === req.params.id) {
+        clearRundownHold();
+        rundownState = { ...rundownState, rundownId: null, cursor: -1, nextIndex: 0, onAir: false };
+        broadcastRundownState();
+      }
+      await saveRundowns();
+      res.json({ ok: true });
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Make a rundown the active one, cued at its first item
+app.post("/api/rundowns/:id/load", async (req, res) => {
+  try {
+    await withRundownLock(async () => {
+      const rundown = rundowns.find(r => r.id === req.params.id);
+      if (!rundown) throw httpError(404, "rundown not found");
+
+      clearRundownHold();
+      rundownState = { ...rundownState, rundownId: rundown.id, cursor: -1, nextIndex: 0, onAir: false };
+      await saveRundowns();
+      broadcastRundownState();
+      res.json({ ok: true, state: rundownSnapshot() });
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/rundown/state", (req, res) => {
+  res.json({ ok: true, state: rundownSnapshot() });
+});
+
+app.post("/rundown/next", async (req, res) => {
+  try {
+    const item = await withRundownLock(playRundownNext);
+    res.json({ ok: true, item: publicRundownItem(item), state: rundownSnapshot() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/rundown/previous", async (req, res) => {
+  try {
+    const item = await withRundownLock(() => playRundownItem(Math.max(0, rundownState.cursor - 1)));
+    res.json({ ok: true, item: publicRundownItem(item), state: rundownSnapshot() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Jump straight to an item (tapping a row in the rundown list)
+app.post("/rundown/play", async (req, res) => {
+  try {
+    const index = Number(req.body.index);
+    if (!Number.isInteger(index)) return sendError(res, httpError(400, "index is required"));
+    const item = await withRundownLock(() => playRundownItem(index));
+    res.json({ ok: true, item: publicRundownItem(item), state: rundownSnapshot() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Drop the queued next item without airing it
+app.post("/rundown/skip", async (req, res) => {
+  try {
+    await withRundownLock(async () => {
+      const rundown = getActiveRundown();
+      if (!rundown) throw httpError(409, "no rundown loaded");
+      rundownState.nextIndex = Math.min(rundownState.nextIndex + 1, rundown.items.length);
+      await saveRundowns();
+      broadcastRundownState();
+    });
+    res.json({ ok: true, state: rundownSnapshot() });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/rundown/auto-advance", async (req, res) => {
+  rundownState.autoAdvance = !!req.body.enabled;
+  if (!rundownState.autoAdvance) clearRundownHold();
+  await saveRundowns();
+  broadcastRundownState();
+  res.json({ ok: true, state: rundownSnapshot() });
+});
+
+loadRundowns();
+
+// ------------------ Scheduler ----------------
+// Wall-clock triggers for unattended playout. Triggers:
+//   { type: "once", at: ISO date }
+//   { type: "daily", time: "HH:MM[:SS]", days?: [0-6] }   (0 = Sunday)
+//   { type: "weekdays", time: "HH:MM[:SS]" }
+//   { type: "interval", everyMinutes: N, startAt?: ISO date }
+// Actions: play (video), show (image), stop, rundown (load + play from top).
+const SCHEDULE_FILE = () => path.join(CONFIG.DATA_DIR, "schedule.json");
+const SCHEDULE_ACTIONS = ["play", "show", "stop", "rundown"];
+const SCHEDULE_MAX_TIMER_MS = 60 * 1000; // re-check at least once a minute (clock changes, DST)
+const SCHEDULE_RETRY_MS = 5000;
+
+let scheduleEvents = [];
+let scheduleTimer = null;
+const scheduleRetries = new Map(); // event id -> timer while waiting for OBS
+
+function parseTimeOfDay(str) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(str || ""));
+  if (!match) return null;
+  const [h, m, sec] = [Number(match[1]), Number(match[2]), Number(match[3] || 0)];
+  if (h > 23 || m > 59 || sec > 59) return null;
+  return { h, m, s: sec };
+}
+
+// Next time (ms) the trigger fires strictly after `from`, or null if never again
+function nextOccurrence(trigger, from) {
+  switch (trigger.type) {
+    case "once": {
+      const at = new Date(trigger.at).getTime();
+      return at > from ? at : null;
+    }
+    case "daily":
+    case "weekdays": {
+      const tod = parseTimeOfDay(trigger.time);
+      const days = trigger.type === "weekdays" ? [1, 2, 3, 4, 5] : (trigger.days && trigger.days.length ? trigger.days : null);
+      const d = new Date(from);
+      for (let i = 0; i <= 7; i++) {
+        const candidate = new Date(d.getFullYear(), d.getMonth(), d.getDate() + i, tod.h, tod.m, tod.s).getTime();
+        if (candidate <= from) continue;
+        if (days && !days.includes(new Date(candidate).getDay())) continue;
+        return candidate;
+      }
+      return null;
+    }
+    case "interval": {
+      const every = trigger.everyMinutes * 60 * 1000;
+      const anchor = new Date(trigger.startAt).getTime();
+      if (anchor > from) return anchor;
+      return anchor + (Math.floor((from - anchor) / every) + 1) * every;
+    }
+    default:
+      return null;
+  }
+}
+
+function normalizeTrigger(raw) {
+  const trigger = raw || {};
+  switch (trigger.type) {
+    case "once": {
+      const at = new Date(trigger.at);
+      if (isNaN(at.getTime())) throw httpError(400, "trigger.at must be a date");
+      return { type: "once", at: at.toISOString() };
+    }
+    case "daily":
+    case "weekdays": {
+      if (!parseTimeOfDay(trigger.time)) throw httpError(400, "trigger.time must be HH:MM or HH:MM:SS");
+      const out = { type: trigger.type, time: String(trigger.time) };
+      if (trigger.type === "daily" && Array.isArray(trigger.days) && trigger.days.length) {
+        const days = [...new Set(trigger.days.map(Number))];
+        if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) throw httpError(400, "trigger.days must be 0-6");
+        out.days = days.sort();
+      }
+      return out;
+    }
+    case "interval": {
+      const everyMinutes = Number(trigger.everyMinutes);
+      if (!(everyMinutes >= 1)) throw httpError(400, "trigger.everyMinutes must be at least 1");
+      const startAt = trigger.startAt ? new Date(trigger.startAt) : new Date();
+      if (isNaN(startAt.getTime())) throw httpError(400, "trigger.startAt must be a date");
+      return { type: "interval", everyMinutes, startAt: startAt.toISOString() };
+    }
+    default:
+      throw httpError(400, "trigger.type must be once, daily, weekdays or interval");
+  }
+}
+
+async function normalizeScheduleEvent(body) {
+  const action = String(body.action || "");
+  if (!SCHEDULE_ACTIONS.includes(action)) throw httpError(400, `action must be one of ${SCHEDULE_ACTIONS.join(", ")}`);
+
+  const event = {
+    id: crypto.randomUUID(),
+    name: String(body.name || "").trim(),
+    action,
+    trigger: normalizeTrigger(body.trigger),
+    offlinePolicy: body.offlinePolicy === "skip" || body.offlinePolicy === "retry" ? body.offlinePolicy : null,
+    enabled: body.enabled !== false,
+    createdAt: Date.now(),
+    lastRunAt: null,
+    lastResult: null
+  };
+
+  if (action === "play" || action === "show") {
+    event.filePath = await resolveMediaRef({ id: body.mediaId, path: body.filePath }, action === "play" ? "video" : "image");
+  }
+  if (action === "play") event.endAction = await normalizeEndAction(body.endAction);
+  // Optional player for play/show/stop; stop without one clears every player
+  if (body.player && action !== "rundown") event.player = getPlayer(body.player).name;
+  if (action === "rundown") {
+    if (!rundowns.some(r => r.id === body.rundownId)) throw httpError(400, "unknown rundownId");
+    event.rundownId = body.rundownId;
+  }
+  if (!event.name) {
+    event.name = event.filePath ? path.basename(event.filePath) : action;
+  }
+
+  event.nextRunAt = nextOccurrence(event.trigger, Date.now());
+  return event;
+}
+
+async function loadSchedule() {
+  const data = await readJsonFile(SCHEDULE_FILE(), {});
+  scheduleEvents = Array.isArray(data.events) ? data.events : [];
+
+  // Anything that came due while the server was down is missed, not played late
+  const now = Date.now();
+  for (const event of scheduleEvents) {
+    if (event.enabled && event.nextRunAt && event.nextRunAt <= now) {
+      console.warn(`[Schedule] Missed "${event.name}" while offline`);
+      event.lastResult = { status: "missed", reason: "server not running", at: event.nextRunAt };
+    }
+    event.nextRunAt = event.enabled ? nextOccurrence(event.trigger, now) : null;
+  }
+  console.log(`[Schedule] Loaded ${scheduleEvents.length} event(s)`);
+  await saveSchedule();
+  armScheduleTimer();
+}
+
+async function saveSchedule() {
+  try {
+    await writeJsonFile(SCHEDULE_FILE(), { events: scheduleEvents });
+  } catch (e) {
+    console.error("[Schedule] Failed to save:", e.message);
+  }
+}
+
+function publicScheduleEvent(event) {
+  if (!event) return null;
+  if (!event.filePath) return event;
+  const { filePath, ...rest } = event;
+  return { ...rest, ...publicMediaFields(filePath, "filePath") };
+}
+
+function nextScheduledEvent() {
+  return scheduleEvents
+    .filter(event => event.enabled && event.nextRunAt)
+    .sort((a, b) => a.nextRunAt - b.nextRunAt)[0] || null;
+}
+
+// Function to broadcast the upcoming schedule event to all clients
+function broadcastScheduleNext() {
+  io.emit('scheduleNext', { event: publicScheduleEvent(nextScheduledEvent()) });
+}
+
+function armScheduleTimer() {
+  if (scheduleTimer) clearTimeout(scheduleTimer);
+  const next = nextScheduledEvent();
+  broadcastScheduleNext();
+  if (!next) {
+    scheduleTimer = null;
+    return;
+  }
+  const delay = Math.max(0, Math.min(next.nextRunAt - Date.now(), SCHEDULE_MAX_TIMER_MS));
+  scheduleTimer = setTimeout(runDueScheduleEvents, delay);
+}
+
+async function runScheduleAction(event) {
+  switch (event.action) {
+    case "play":
+    case "show": {
+      const player = getPlayer(event.player);
+      if (player === defaultPlayer()) detachRundown();
+      if (event.action === "play") await playVideoFile(event.filePath, player, null, event.endAction);
+      else await showImageFile(event.filePath, player);
+      break;
+    }
+    case "stop":
+      if (event.player) {
+        const player = getPlayer(event.player);
+        if (player === defaultPlayer()) detachRundown();
+        await stopPlayer(player);
+      } else {
+        detachRundown();
+        await stopAllMedia();
+      }
+      break;
+    case "rundown":
+      await withRundownLock(async () => {
+        const rundown = rundowns.find(r => r.id === event.rundownId);
+        if (!rundown) throw new Error("rundown no longer exists");
+        rundownState = { ...rundownState, rundownId: rundown.id, cursor: -1, nextIndex: 0, onAir: false };
+        await playRundownItem(0);
+      });
+      break;
+  }
+}
+
+// Fire one due event, honouring the offline policy. While OBS is down a
+// "retry" event waits on its own timer rather than holding up the others;
+// null means it is waiting
+async function fireScheduleEvent(event, dueAt, retryDelay = 0) {
+  const policy = event.offlinePolicy || CONFIG.SCHEDULE_OFFLINE_POLICY;
+  const deadline = dueAt + CONFIG.SCHEDULE_GRACE_SECONDS * 1000;
+
+  if (!obsConnected) {
+    if (policy !== "retry" || Date.now() >= deadline) {
+      console.warn(`[Schedule] Missed "${event.name}": OBS not connected`);
+      return { status: "missed", reason: "OBS not connected", at: dueAt };
+    }
+    console.log(`[Schedule] "${event.name}" is due but OBS is down, trying to connect`);
+    retryScheduleEvent(event, dueAt, retryDelay);
+    return null;
+  }
+
+  try {
+    await actor.run({ username: "schedule" }, () => runScheduleAction(event));
+    console.log(`[Schedule] Fired "${event.name}"`);
+    return { status: "ok", at: dueAt, firedAt: Date.now() };
+  } catch (e) {
+    console.error(`[Schedule] "${event.name}" failed:`, e.message);
+    return { status: "error", reason: e.message, at: dueAt };
+  }
+}
+
+function retryScheduleEvent(event, dueAt, delay) {
+  const timer = setTimeout(async () => {
+    scheduleRetries.delete(event.id);
+    // A reconnect already under way is left to its backoff; otherwise try as
+    // part of it, so a failure starts the usual retries rather than ending them
+    if (!obsLink.timer) await connectOBS({ retry: true });
+    const result = await fireScheduleEvent(event, dueAt, SCHEDULE_RETRY_MS);
+    if (!result) return;
+    recordScheduleResult(event, result);
+    await saveSchedule();
+    broadcastScheduleNext();
+  }, delay);
+  scheduleRetries.set(event.id, timer);
+}
+
+function cancelScheduleRetry(event) {
+  clearTimeout(scheduleRetries.get(event.id));
+  scheduleRetries.delete(event.id);
+}
+
+function recordScheduleResult(event, result) {
+  delete event.dueAt;
+  event.lastRunAt = Date.now();
+  event.lastResult = result;
+  if (event.trigger.type === "once") event.enabled = false;
+  io.emit('scheduleFired', { event: publicScheduleEvent(event), result });
+}
+
+async function runDueScheduleEvents() {
+  scheduleTimer = null;
+  const now = Date.now();
+  const due = scheduleEvents
+    .filter(event => event.enabled && event.nextRunAt && event.nextRunAt <= now)
+    .sort((a, b) => a.nextRunAt - b.nextRunAt);
+
+  // Reschedule before running so a slow retry doesn't re-fire the same slot;
+  // a slot still waiting for OBS gives way to the new one
+  for (const event of due) {
+    cancelScheduleRetry(event);
+    event.dueAt = event.nextRunAt;
+    event.nextRunAt = nextOccurrence(event.trigger, now);
+  }
+  await saveSchedule();
+  armScheduleTimer();
+
+  let fired = 0;
+  for (const event of due) {
+    const result = await fireScheduleEvent(event, event.dueAt);
+    if (!result) continue;
+    recordScheduleResult(event, result);
+    fired++;
+  }
+  if (fired) {
+    await saveSchedule();
+    broadcastScheduleNext();
+  }
+}
+
+app.get("/api/schedule", (req, res) => {
+  res.json({
+    ok: true,
+    events: [...scheduleEvents]
+      .sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity))
+      .map(publicScheduleEvent),
+    next: publicScheduleEvent(nextScheduledEvent()),
+    offlinePolicy: CONFIG.SCHEDULE_OFFLINE_POLICY,
+    graceSeconds: CONFIG.SCHEDULE_GRACE_SECONDS
+  });
+});
+
+app.post("/api/schedule", async (req, res) => {
+  try {
+    const event = await normalizeScheduleEvent(req.body || {});
+    if (!event.nextRunAt) return sendError(res, httpError(400, "trigger never fires in the future"));
+
+    scheduleEvents.push(event);
+    await saveSchedule();
+    armScheduleTimer();
+    console.log(`[Schedule] Added "${event.name}" next at ${new Date(event.nextRunAt).toISOString()}`);
+    res.json({ ok: true, event: publicScheduleEvent(event) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.delete("/api/schedule/:id", async (req, res) => {
+  const index = scheduleEvents.findIndex(event => event.id === req.params.id);
+  if (index === -1) return sendError(res, httpError(404, "event not found"));
+
+  cancelScheduleRetry(scheduleEvents[index]);
+  scheduleEvents.splice(index, 1);
+  await saveSchedule();
+  armScheduleTimer();
+  res.json({ ok: true });
+});
+
+loadSchedule();
+
+// ------------------ As-run log ----------------
+// A permanent record of what went to air, for sponsor and compliance
+// reports. One JSON line per entry in DATA_DIR/as-run/YYYY-MM-DD.jsonl (UTC
+// day of the entry); files are only ever appended to. Entries:
+//   play / show   – an item went to air, with its planned duration
+//   end           – an item left air: when it started, planned vs actual
+//                   duration and what ended it (endedBy)
+//   pause / resume / restart / stop / seek – transport on the clip on air
+//   scene         – the program scene changed (operator "OBS" when done in OBS)
+const AS_RUN_DIR = () => path.join(CONFIG.DATA_DIR, "as-run");
+const AS_RUN_EVENTS = ["play", "show", "end", "pause", "resume", "restart", "stop", "seek", "scene"];
+const AS_RUN_QUERY_MAX = 5000;
+const AS_RUN_CSV_COLUMNS = ["at", "event", "player", "operator", "type", "filename", "mediaId",
+  "startedAt", "plannedMs", "actualMs", "endedBy", "scene", "cursorMs"];
+const SCENE_REQUEST_WINDOW_MS = 5000;
+
+let asRunQueue = Promise.resolve();
+let lastSceneRequest = null; // { sceneName, operator, at }
+const loggedEnds = new WeakSet(); // player.media objects whose end is already recorded
+
+function asRunFile(day) {
+  return path.join(AS_RUN_DIR(), `${day}.jsonl`);
+}
+
+function itemFields(media) {
+  return { type: media.type, filename: media.filename, ...publicMediaFields(media.filePath, "filePath") };
+}
+
+// How long a clip should run: its duration, trimmed to its marks
+function plannedMs(media) {
+  if (media.type !== 'video' || !media.duration) return null;
+  const marks = media.marks || {};
+  const end = marks.outPoint !== null && marks.outPoint !== undefined ? marks.outPoint : media.duration;
+  return Math.max(0, Math.round((end - (marks.inPoint || 0)) * 1000));
+}
+
+// Append one entry; writes are queued so lines never interleave
+function recordAsRun(event, fields = {}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    event,
+    operator: actingUsername(),
+    ...fields
+  };
+  io.emit('asRun', entry);
+  const hook = webhookForAsRun(entry);
+  if (hook) emitWebhook(hook, entry);
+  asRunQueue = asRunQueue.then(async () => {
+    await fsp.mkdir(AS_RUN_DIR(), { recursive: true });
+    await fsp.appendFile(asRunFile(entry.at.slice(0, 10)), JSON.stringify(entry) + "\n");
+  }).catch(e => console.error("[As-run] Failed to write:", e.message));
+  return entry;
+}
+
+function recordOnAir(player) {
+  const { media } = player;
+  recordAsRun(media.type === 'video' ? "play" : "show", {
+    player: player.name,
+    ...itemFields(media),
+    plannedMs: plannedMs(media),
+    endAction: media.endAction ? media.endAction.type : undefined
+  });
+}
+
+// The item on a player is leaving air (once per item, whatever ends it)
+function recordEnd(player, endedBy) {
+  const { media } = player;
+  if (!media.type || loggedEnds.has(media)) return;
+  loggedEnds.add(media);
+  recordAsRun("end", {
+    player: player.name,
+    ...itemFields(media),
+    startedAt: new Date(media.startTime).toISOString(),
+    plannedMs: plannedMs(media),
+    actualMs: Date.now() - media.startTime,
+    endedBy
+  });
+}
+
+function recordTransport(player, action, extra = {}) {
+  if (!player.media.type) return;
+  recordAsRun(action, { player: player.name, ...itemFields(player.media), ...extra });
+}
+
+// Program scene switches we ask for, so the OBS event can say who did it
+function noteSceneRequest(sceneName) {
+  lastSceneRequest = { sceneName, operator: actingUsername(), at: Date.now() };
+}
+
+obs.on("CurrentProgramSceneChanged", ({ sceneName }) => {
+  const request = lastSceneRequest;
+  const ours = request && request.sceneName === sceneName && Date.now() - request.at < SCENE_REQUEST_WINDOW_MS;
+  if (ours) lastSceneRequest = null;
+  actor.run({ username: ours ? request.operator : "OBS" }, () => recordAsRun("scene", { scene: sceneName }));
+});
+
+// "2024-05-01" (local midnight; as `to` the whole day) or any Date-parsable string
+function parseAsRunDate(value, label, endOfDay = false) {
+  if (value === undefined || value === null || value === "") return null;
+  const str = String(value);
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(str);
+  const date = dateOnly ? new Date(`${str}T00:00:00`) : new Date(str);
+  if (isNaN(date.getTime())) throw httpError(400, `${label} must be a date`);
+  if (dateOnly && endOfDay) date.setDate(date.getDate() + 1);
+  return date.getTime();
+}
+
+// Filters for [from, to); defaults to the last 24 hours
+function asRunFilter(query) {
+  const to = parseAsRunDate(query.to, "to", true) ?? Date.now() + 1;
+  const from = parseAsRunDate(query.from, "from") ?? to - 24 * 3600 * 1000;
+  if (from >= to) throw httpError(400, "from must be before to");
+  const events = query.event ? String(query.event).split(",") : null;
+  if (events && events.some(e => !AS_RUN_EVENTS.includes(e))) {
+    throw httpError(400, `event must be one of: ${AS_RUN_EVENTS.join(", ")}`);
+  }
+  const player = query.player ? String(query.player) : null;
+  return { from, to, events, player };
+}
+
+// Matching entries, oldest first, a line at a time so a long range never
+// sits in memory whole
+async function* readAsRun({ from, to, events, player }) {
+  let files;
+  try {
+    files = await fsp.readdir(AS_RUN_DIR());
+  } catch (e) {
+    if (e.code === "ENOENT") return;
+    throw e;
+  }
+  const firstDay = new Date(from).toISOString().slice(0, 10);
+  const lastDay = new Date(to).toISOString().slice(0, 10);
+  const days = files
+    .filter(name => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(name))
+    .map(name => name.slice(0, 10))
+    .filter(day => day >= firstDay && day <= lastDay)
+    .sort();
+
+  await asRunQueue;
+  for (const day of days) {
+    const lines = readline.createInterface({ input: fs.createReadStream(asRunFile(day)), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue; // a line cut short by a crash
+      }
+      const at = Date.parse(entry.at);
+      if (at < from || at >= to) continue;
+      if (events && !events.includes(entry.event)) continue;
+      if (player && entry.player !== player) continue;
+      yield entry;
+    }
+  }
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(",") + "\r\n";
+}
+
+app.get("/api/as-run", async (req, res) => {
   try {
-    const sceneName = CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE' 
-      ? await getCurrentScene() 
-      : (CONFIG.OBS_TARGET_SCENE || await getCurrentScene());
-    console.log(`Applying fit-to-screen for ${sourceName} in scene: ${sceneName}`);
-    
-    // Get canvas dimensions
-    const videoSettings = await obs.call("GetVideoSettings");
-    const canvasWidth = videoSettings.outputWidth;
-    const canvasHeight = videoSettings.outputHeight;
-    
-    // Get scene item ID
-    const sceneItems = await obs.call("GetSceneItemList", { sceneName });
-    const sceneItem = sceneItems.sceneItems.find(item => item.sourceName === sourceName);
-    
-    if (!sceneItem) {
-      console.log(`Scene item not found for source: ${sourceName} in scene: ${sceneName}`);
-      console.log(`Available scene items:`, sceneItems.sceneItems.map(item => item.sourceName));
-      return;
-    }
-    
-    // Get source dimensions
-    const sourceSettings = await obs.call("GetInputSettings", { inputName: sourceName });
-    
-    // Set transform to fit screen
-    await obs.call("SetSceneItemTransform", {
-      sceneName: sceneName,
-      sceneItemId: sceneItem.sceneItemId,
-      sceneItemTransform: {
-        positionX: 0,
-        positionY: 0,
-        scaleX: 1.0,
-        scaleY: 1.0,
-        cropLeft: 0,
-        cropTop: 0,
-        cropRight: 0,
-        cropBottom: 0,
-        rotation: 0,
-        boundsType: "OBS_BOUNDS_SCALE_INNER",
-        boundsAlignment: 0,
-        boundsWidth: canvasWidth,
-        boundsHeight: canvasHeight
+    const filter = asRunFilter(req.query);
+    let limit = 500;
+    if (req.query.limit !== undefined && req.query.limit !== "") {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > AS_RUN_QUERY_MAX) {
+        throw httpError(400, `limit must be a whole number from 1 to ${AS_RUN_QUERY_MAX}`);
       }
+    }
+
+    // Only the latest `limit` are returned; trimmed as we go
+    let latest = [];
+    let total = 0;
+    for await (const entry of readAsRun(filter)) {
+      total++;
+      latest.push(entry);
+      if (latest.length >= limit * 2) latest = latest.slice(-limit);
+    }
+    res.json({
+      ok: true,
+      from: new Date(filter.from).toISOString(),
+      to: new Date(filter.to).toISOString(),
+      total,
+      entries: latest.slice(-limit)
     });
-    
-    console.log(`Applied fit-to-screen transform for ${sourceName}`);
   } catch (e) {
-    console.error(`Error applying fit-to-screen for ${sourceName}:`, e.message);
+    sendError(res, e);
   }
-}
+});
 
-async function hideSource(sourceName) {
+// Streamed as it is read; an error once rows are out can only cut it short
+app.get("/api/as-run/export", async (req, res) => {
   try {
-    const sceneName = CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE' 
-      ? await getCurrentScene() 
-      : (CONFIG.OBS_TARGET_SCENE || await getCurrentScene());
-    console.log(`Hiding source ${sourceName} in scene: ${sceneName}`);
-    
-    const sceneItems = await obs.call("GetSceneItemList", { sceneName });
-    const sceneItem = sceneItems.sceneItems.find(item => item.sourceName === sourceName);
-    
-    if (sceneItem) {
-      await obs.call("SetSceneItemEnabled", {
-        sceneName: sceneName,
-        sceneItemId: sceneItem.sceneItemId,
-        sceneItemEnabled: false
+    const format = String(req.query.format || "csv");
+    if (format !== "csv" && format !== "json") throw httpError(400, "format must be csv or json");
+    const filter = asRunFilter(req.query);
+    const { from, to } = filter;
+    const name = `as-run_${new Date(from).toISOString().slice(0, 10)}_${new Date(to - 1).toISOString().slice(0, 10)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${name}"`);
+    res.type(format === "json" ? "application/json" : "text/csv");
+
+    // A client that goes away never drains, so closing counts too
+    const write = async (chunk) => {
+      if (res.write(chunk)) return;
+      await new Promise(resolve => {
+        const done = () => {
+          res.off("drain", done);
+          res.off("close", done);
+          resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
       });
-      console.log(`Hidden source: ${sourceName}`);
+    };
+    let first = true;
+    if (format === "json") {
+      await write(`{"from":"${new Date(from).toISOString()}","to":"${new Date(to).toISOString()}","entries":[`);
     } else {
-      console.log(`Source ${sourceName} not found in scene ${sceneName} for hiding`);
+      await write(csvRow(AS_RUN_CSV_COLUMNS));
     }
+    for await (const entry of readAsRun(filter)) {
+      if (res.destroyed) return;
+      if (format === "json") {
+        await write((first ? "" : ",") + JSON.stringify(entry));
+      } else {
+        await write(csvRow(AS_RUN_CSV_COLUMNS.map(col => entry[col])));
+      }
+      first = false;
+    }
+    res.end(format === "json" ? "]}" : "");
   } catch (e) {
-    console.error(`Error hiding source ${sourceName}:`, e.message);
+    if (!res.headersSent) return sendError(res, e);
+    console.error("[As-run] Export failed:", e.message);
+    res.destroy(e);
   }
+});
+
+// ------------------ Webhooks ----------------
+// POSTs a JSON body { id, event, at, data } to each subscribed URL:
+//   play.started / image.shown – an item went to air (data: its as-run entry)
+//   playback.stopped           – stopped by an operator, schedule or rundown
+//   clip.ended                 – a clip reached its end or out-point
+//   scene.changed              – the program scene changed
+//   obs.connected / obs.disconnected – data: the OBS connection status
+// Every request carries X-Playout-Signature: sha256=HMAC-SHA256(secret,
+// "<X-Playout-Timestamp>.<body>") in hex. Failed deliveries (network error,
+// timeout, 408/429/5xx) are retried with exponential backoff; the last
+// WEBHOOK_LOG_SIZE deliveries are kept in memory for the delivery log.
+const WEBHOOKS_FILE = () => path.join(CONFIG.DATA_DIR, "webhooks.json");
+const WEBHOOK_EVENTS = ["play.started", "image.shown", "playback.stopped", "clip.ended",
+  "scene.changed", "obs.connected", "obs.disconnected"];
+const WEBHOOK_DELIVERY_STATES = ["pending", "delivered", "failed"];
+
+let webhooks = []; // { id, name, url, secret, events, enabled }
+let webhookDeliveries = []; // oldest first
+
+// Empty events subscribes to everything
+function normalizeWebhookConfig(raw, previous) {
+  if (!raw || typeof raw !== "object") throw httpError(400, "each webhook must be an object");
+  const url = String(raw.url || "").trim();
+  if (!/^https?:\/\//.test(url)) throw httpError(400, `invalid webhook url: ${url || "(empty)"}`);
+  const known = raw.id ? previous.find(h => h.id === raw.id) : null;
+  // Secrets are never sent back to clients, so keep the stored one when omitted
+  const secret = raw.secret !== undefined ? String(raw.secret) : known ? known.secret : "";
+  if (!secret) throw httpError(400, `webhook ${url} needs a secret`);
+  if (raw.events !== undefined && !Array.isArray(raw.events)) throw httpError(400, "events must be an array");
+  const events = (raw.events || []).map(String);
+  const unknown = events.find(e => !WEBHOOK_EVENTS.includes(e));
+  if (unknown) throw httpError(400, `unknown webhook event: ${unknown} (one of: ${WEBHOOK_EVENTS.join(", ")})`);
+  return {
+    id: known ? known.id : crypto.randomUUID(),
+    name: String(raw.name || "").trim() || url,
+    url,
+    secret,
+    events,
+    enabled: raw.enabled !== false
+  };
 }
 
-async function showSource(sourceName) {
-  try {
-    const sceneName = CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE' 
-      ? await getCurrentScene() 
-      : (CONFIG.OBS_TARGET_SCENE || await getCurrentScene());
-    console.log(`Showing source ${sourceName} in scene: ${sceneName}`);
-    
-    const sceneItems = await obs.call("GetSceneItemList", { sceneName });
-    const sceneItem = sceneItems.sceneItems.find(item => item.sourceName === sourceName);
-    
-    if (sceneItem) {
-      await obs.call("SetSceneItemEnabled", {
-        sceneName: sceneName,
-        sceneItemId: sceneItem.sceneItemId,
-        sceneItemEnabled: true
-      });
-      console.log(`Shown source: ${sourceName}`);
-    } else {
-      console.log(`Source ${sourceName} not found in scene ${sceneName} for showing`);
+function publicWebhook({ secret, ...hook }) {
+  return { ...hook, hasSecret: !!secret };
+}
+
+async function loadWebhooks() {
+  let configs = await readJsonFile(WEBHOOKS_FILE(), null);
+  if (!Array.isArray(configs)) {
+    try {
+      configs = CONFIG.WEBHOOKS ? JSON.parse(CONFIG.WEBHOOKS) : [];
+      configs = configs.map(raw => normalizeWebhookConfig(raw, []));
+    } catch (e) {
+      console.error("[Webhooks] Ignoring WEBHOOKS:", e.message);
+      configs = [];
     }
-  } catch (e) {
-    console.error(`Error showing source ${sourceName}:`, e.message);
   }
+  webhooks = configs;
+  if (webhooks.length) console.log(`[Webhooks] ${webhooks.length} webhook(s): ${webhooks.map(h => h.name).join(", ")}`);
 }
 
-// ------------------ OBS controls ----------------
-app.post("/play/video", async (req, res) => {
+async function saveWebhooks() {
   try {
-    const filePath = String(req.body.filePath || "");
-    if (!filePath.startsWith(CONFIG.MEDIA_DIR)) return res.status(400).json({ ok: false, error: "invalid path" });
-    if (!obsConnected) return res.status(503).json({ ok: false, error: "OBS not connected" });
+    await writeJsonFile(WEBHOOKS_FILE(), webhooks);
+  } catch (e) {
+    console.error("[Webhooks] Failed to save:", e.message);
+  }
+}
 
-    console.log(`Playing video: ${filePath}`);
-    console.log(`Target scene: ${CONFIG.OBS_TARGET_SCENE}`);
+const webhooksReady = loadWebhooks();
 
-    // Switch to target scene first (skip if CURRENT_SCENE is selected)
-    if (CONFIG.OBS_TARGET_SCENE && CONFIG.OBS_TARGET_SCENE !== 'CURRENT_SCENE') {
-      try {
-        await obs.call("SetCurrentProgramScene", { sceneName: CONFIG.OBS_TARGET_SCENE });
-        console.log(`Switched to scene: ${CONFIG.OBS_TARGET_SCENE}`);
-      } catch (sceneError) {
-        console.error(`Failed to switch to scene ${CONFIG.OBS_TARGET_SCENE}:`, sceneError.message);
-      }
-    } else if (CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE') {
-      console.log(`Using current scene (no switch needed)`);
-    }
+function signWebhook(secret, timestamp, body) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
 
-    // Ensure video source exists
-    await ensureVideoSource(CONFIG.OBS_VIDEO_INPUT);
+// Same backoff shape as the OBS reconnect: doubling, capped, a little jitter
+function webhookRetryDelay(attempt) {
+  const base = Math.min(CONFIG.WEBHOOK_RETRY_MAX_MS, CONFIG.WEBHOOK_RETRY_MIN_MS * 2 ** (attempt - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
 
-    // Hide image source and show video source
-    await hideSource(CONFIG.OBS_IMAGE_INPUT);
-    await showSource(CONFIG.OBS_VIDEO_INPUT);
+// Worth trying again: the receiver may be restarting or overloaded
+function retryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
 
-    // Stop current video (if any) and set new file
-    try {
-      await obs.call("TriggerMediaInputAction", {
-        inputName: CONFIG.OBS_VIDEO_INPUT,
-        mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP",
-      });
-    } catch (e) {
-      // Ignore error if already stopped
-      console.log("Video was already stopped or not playing");
-    }
+function publicDelivery({ body, ...delivery }) {
+  return delivery;
+}
 
-    await obs.call("SetInputSettings", {
-      inputName: CONFIG.OBS_VIDEO_INPUT,
-      inputSettings: { local_file: filePath },
-      overlay: true,
-    });
-    
-    // Start playing the new video
-    await obs.call("TriggerMediaInputAction", {
-      inputName: CONFIG.OBS_VIDEO_INPUT,
-      mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_RESTART",
+async function attemptDelivery(delivery) {
+  delivery.nextAttemptAt = null;
+  // Look the hook up again: it may have been edited or removed since the last try
+  const hook = webhooks.find(h => h.id === delivery.webhookId);
+  if (!hook || !hook.enabled) {
+    delivery.state = "failed";
+    delivery.error = hook ? "webhook disabled" : "webhook removed";
+    return;
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started).toISOString(), status: null, error: null, ms: null };
+  delivery.attempts.push(attempt);
+  try {
+    const response = await fetch(hook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "obs-playout-webhooks",
+        "X-Playout-Event": delivery.event,
+        "X-Playout-Delivery": delivery.id,
+        "X-Playout-Timestamp": String(timestamp),
+        "X-Playout-Signature": signWebhook(hook.secret, timestamp, delivery.body)
+      },
+      body: delivery.body,
+      signal: AbortSignal.timeout(CONFIG.WEBHOOK_TIMEOUT_MS)
     });
+    attempt.status = response.status;
+    // The body is not used, but reading it frees the connection
+    await response.arrayBuffer().catch(() => {});
+    if (!response.ok) attempt.error = `HTTP ${response.status}`;
+  } catch (e) {
+    attempt.error = e.name === "TimeoutError" ? `timed out after ${CONFIG.WEBHOOK_TIMEOUT_MS}ms` : e.cause ? e.cause.message : e.message;
+  }
+  attempt.ms = Date.now() - started;
 
-    // Apply fit-to-screen transform
-    await fitToScreen(CONFIG.OBS_VIDEO_INPUT);
+  if (!attempt.error) {
+    delivery.state = "delivered";
+    delivery.error = null;
+    return;
+  }
+  delivery.error = attempt.error;
+  const retry = (attempt.status === null || retryableStatus(attempt.status)) &&
+    delivery.attempts.length < CONFIG.WEBHOOK_MAX_ATTEMPTS;
+  if (!retry) {
+    delivery.state = "failed";
+    console.error(`[Webhooks] ${delivery.event} to ${hook.name} failed after ${delivery.attempts.length} attempt(s): ${attempt.error}`);
+    return;
+  }
+  const delay = webhookRetryDelay(delivery.attempts.length);
+  delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  setTimeout(() => attemptDelivery(delivery), delay);
+}
 
-    // Update current playing media info
-    const duration = await getVideoDuration(filePath);
-    currentPlayingMedia = {
-      type: 'video',
-      filePath: filePath,
-      filename: path.basename(filePath),
-      startTime: Date.now(),
-      duration: duration,
-      durationFormatted: formatDuration(duration)
-    };
+function deliverWebhook(hook, payload) {
+  const delivery = {
+    id: crypto.randomUUID(),
+    webhookId: hook.id,
+    webhookName: hook.name,
+    url: hook.url,
+    event: payload.event,
+    eventId: payload.id,
+    createdAt: payload.at,
+    state: "pending",
+    error: null,
+    attempts: [],
+    nextAttemptAt: null,
+    body: JSON.stringify(payload)
+  };
+  webhookDeliveries.push(delivery);
+  if (webhookDeliveries.length > CONFIG.WEBHOOK_LOG_SIZE) {
+    webhookDeliveries = webhookDeliveries.slice(-CONFIG.WEBHOOK_LOG_SIZE);
+  }
+  attemptDelivery(delivery);
+  return delivery;
+}
 
-    // Broadcast the change to all connected clients
-    broadcastCurrentPlaying();
+// Fire and forget: playout never waits on a receiver
+function emitWebhook(event, data) {
+  const hooks = webhooks.filter(h => h.enabled && (!h.events.length || h.events.includes(event)));
+  if (!hooks.length) return;
+  const payload = { id: crypto.randomUUID(), event, at: new Date().toISOString(), data };
+  hooks.forEach(hook => deliverWebhook(hook, payload));
+}
 
-    console.log(`Successfully started playing video: ${filePath}`);
-    res.json({ ok: true });
+// The as-run log already marks the moments receivers care about
+function webhookForAsRun(entry) {
+  switch (entry.event) {
+    case "play": return "play.started";
+    case "show": return "image.shown";
+    case "scene": return "scene.changed";
+    // A stop logs both the transport and the end; the end is the one we send
+    case "end":
+      if (entry.endedBy === "stopped") return "playback.stopped";
+      if (entry.endedBy === "ended" || entry.endedBy === "out-point") return "clip.ended";
+      return null;
+    default: return null;
+  }
+}
+
+app.get("/api/settings/webhooks", async (req, res) => {
+  await webhooksReady;
+  res.json({ ok: true, events: WEBHOOK_EVENTS, webhooks: webhooks.map(publicWebhook) });
+});
+
+app.put("/api/settings/webhooks", async (req, res) => {
+  try {
+    await webhooksReady;
+    if (!Array.isArray(req.body && req.body.webhooks)) throw httpError(400, "webhooks must be an array");
+    webhooks = req.body.webhooks.map(raw => normalizeWebhookConfig(raw, webhooks));
+    await saveWebhooks();
+    res.json({ ok: true, webhooks: webhooks.map(publicWebhook) });
   } catch (e) {
-    console.error("Error playing video:", e.message);
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
-app.post("/show/image", async (req, res) => {
+// Sends a "ping" event to one webhook, whatever it subscribes to
+app.post("/api/settings/webhooks/:id/test", async (req, res) => {
+  try {
+    await webhooksReady;
+    const hook = webhooks.find(h => h.id === req.params.id);
+    if (!hook) throw httpError(404, "webhook not found");
+    if (!hook.enabled) throw httpError(409, "webhook is disabled");
+    const delivery = deliverWebhook(hook, {
+      id: crypto.randomUUID(),
+      event: "ping",
+      at: new Date().toISOString(),
+      data: { webhookId: hook.id, operator: actingUsername() }
+    });
+    res.json({ ok: true, delivery: publicDelivery(delivery) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Newest first; ?webhook=<id>&state=pending|delivered|failed&event=&limit=
+app.get("/api/settings/webhooks/deliveries", (req, res) => {
   try {
-    const filePath = String(req.body.filePath || "");
-    if (!filePath.startsWith(CONFIG.MEDIA_DIR)) return res.status(400).json({ ok: false, error: "invalid path" });
-    if (!obsConnected) return res.status(503).json({ ok: false, error: "OBS not connected" });
+    const { webhook, state, event } = req.query;
+    if (state && !WEBHOOK_DELIVERY_STATES.includes(state)) {
+      throw httpError(400, `state must be one of: ${WEBHOOK_DELIVERY_STATES.join(", ")}`);
+    }
+    const limit = Math.min(Number(req.query.limit) || 100, CONFIG.WEBHOOK_LOG_SIZE);
+    const deliveries = webhookDeliveries.filter(d =>
+      (!webhook || d.webhookId === webhook) && (!state || d.state === state) && (!event || d.event === event));
+    res.json({
+      ok: true,
+      total: deliveries.length,
+      deliveries: deliveries.slice(-limit).reverse().map(publicDelivery)
+    });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    console.log(`Showing image: ${filePath}`);
-    console.log(`Target scene: ${CONFIG.OBS_TARGET_SCENE}`);
+// ------------------ Control protocols ----------------
+// For hardware panels (Bitfocus Companion, Stream Deck): the same commands
+// over OSC (UDP, OSC_PORT) and a line-based TCP protocol (TCP_CONTROL_PORT):
+//   PLAY <video> [player]   SHOW <image> [player]   STOP [player]
+//   PAUSE / RESUME / RESTART [player]   SEEK <seconds> [player]
+//   SCENE <scene>   STATUS   LIST videos|images|scenes   PING
+// Media is named by library path ("promos/spot.mp4"), bare filename, media ID
+// or 1-based index in library order; scenes by name or index (1 = top of the
+// OBS scene list). Over OSC the address is /playout/<command>, with the same
+// arguments. Tally and now-playing state go back out whenever they change: to
+// every TCP client, and over OSC to OSC_FEEDBACK plus senders of
+// /playout/subscribe [port].
+//
+// Panels on CONTROL_ALLOW are operators. Anyone else names an API token
+// first and gets its role: "AUTH <token>" once per TCP connection, or the
+// token as the first argument of every OSC message.
+const CONTROL_COMMANDS = ["play", "show", "stop", "pause", "resume", "restart", "seek", "scene", "status", "list", "ping"];
+const CONTROL_READ_COMMANDS = ["status", "list", "ping", "subscribe"];
+const OSC_PREFIX = "/playout";
+const OSC_MAX_SUBSCRIBERS = 32;
+const TCP_MAX_LINE = 4096;
 
-    // Switch to target scene first (skip if CURRENT_SCENE is selected)
-    if (CONFIG.OBS_TARGET_SCENE && CONFIG.OBS_TARGET_SCENE !== 'CURRENT_SCENE') {
-      try {
-        await obs.call("SetCurrentProgramScene", { sceneName: CONFIG.OBS_TARGET_SCENE });
-        console.log(`Switched to scene: ${CONFIG.OBS_TARGET_SCENE}`);
-      } catch (sceneError) {
-        console.error(`Failed to switch to scene ${CONFIG.OBS_TARGET_SCENE}:`, sceneError.message);
+let oscSocket = null;
+let tcpServer = null;
+const oscSubscribers = new Map(); // "host:port" -> { host, port }
+const tcpClients = new Set();
+const lastFeedback = new Map(); // player name -> the state last sent
+let programScene = null;
+
+// ----- OSC encoding -----
+function oscPad(length) {
+  return (length + 3) & ~3;
+}
+
+function readOscString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  if (end < 0) throw new Error("unterminated string");
+  return { value: buf.toString("utf8", offset, end), next: oscPad(end + 1) };
+}
+
+// A message or a bundle of them -> [{ address, args }]
+function parseOscPacket(buf) {
+  if (buf.toString("ascii", 0, 8) === "#bundle\0") {
+    const messages = [];
+    for (let offset = 16; offset + 4 <= buf.length;) {
+      const size = buf.readInt32BE(offset);
+      messages.push(...parseOscPacket(buf.subarray(offset + 4, offset + 4 + size)));
+      offset += 4 + size;
+    }
+    return messages;
+  }
+  const address = readOscString(buf, 0);
+  if (!address.value.startsWith("/")) throw new Error("not an OSC message");
+  const args = [];
+  if (address.next >= buf.length) return [{ address: address.value, args }];
+
+  const tags = readOscString(buf, address.next);
+  let offset = tags.next;
+  for (const tag of tags.value.slice(1)) {
+    switch (tag) {
+      case "i": args.push(buf.readInt32BE(offset)); offset += 4; break;
+      case "f": args.push(buf.readFloatBE(offset)); offset += 4; break;
+      case "h": args.push(Number(buf.readBigInt64BE(offset))); offset += 8; break;
+      case "d": args.push(buf.readDoubleBE(offset)); offset += 8; break;
+      case "s":
+      case "S": {
+        const str = readOscString(buf, offset);
+        args.push(str.value);
+        offset = str.next;
+        break;
       }
-    } else if (CONFIG.OBS_TARGET_SCENE === 'CURRENT_SCENE') {
-      console.log(`Using current scene (no switch needed)`);
+      case "T": args.push(true); break;
+      case "F": args.push(false); break;
+      case "N": case "I": args.push(null); break;
+      default: throw new Error(`unsupported OSC type tag: ${tag}`);
+    }
+  }
+  return [{ address: address.value, args }];
+}
+
+function oscString(value) {
+  const raw = Buffer.from(`${value}\0`, "utf8");
+  const padded = Buffer.alloc(oscPad(raw.length));
+  raw.copy(padded);
+  return padded;
+}
+
+// Integers go out as int32, other numbers as float32, the rest as strings
+function encodeOscMessage(address, args = []) {
+  let tags = ",";
+  const data = args.map((arg) => {
+    const buf = Buffer.alloc(4);
+    if (typeof arg === "number" && Number.isInteger(arg)) {
+      tags += "i";
+      buf.writeInt32BE(arg);
+      return buf;
     }
+    if (typeof arg === "number") {
+      tags += "f";
+      buf.writeFloatBE(arg);
+      return buf;
+    }
+    tags += "s";
+    return oscString(arg);
+  });
+  return Buffer.concat([oscString(address), oscString(tags), ...data]);
+}
 
-    // Ensure image source exists
-    await ensureImageSource(CONFIG.OBS_IMAGE_INPUT);
+function parseOscTarget(spec) {
+  const colon = spec.lastIndexOf(":");
+  const host = spec.slice(0, colon);
+  const port = Number(spec.slice(colon + 1));
+  if (colon < 1 || !Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error(`[Control] Ignoring OSC_FEEDBACK target: ${spec}`);
+    return null;
+  }
+  return { host, port };
+}
 
-    // Hide video source and show image source
-    await hideSource(CONFIG.OBS_VIDEO_INPUT);
-    await showSource(CONFIG.OBS_IMAGE_INPUT);
+const oscFeedbackTargets = CONFIG.OSC_FEEDBACK.map(parseOscTarget).filter(Boolean);
 
-    await obs.call("SetInputSettings", {
-      inputName: CONFIG.OBS_IMAGE_INPUT,
-      inputSettings: { file: filePath },
-      overlay: true,
-    });
+// ----- Commands -----
+// Library items of one kind in a fixed order, so panel indexes mean something
+function controlMediaList(kind) {
+  const root = path.resolve(CONFIG.MEDIA_DIR);
+  return [...mediaIndex.values()]
+    .filter(entry => entry.type === kind)
+    .map(entry => ({ full: entry.path, name: path.relative(root, entry.path).split(path.sep).join("/") }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
 
-    // Apply fit-to-screen transform
-    await fitToScreen(CONFIG.OBS_IMAGE_INPUT);
+async function resolveControlMedia(ref, kind) {
+  await mediaIndexReady;
+  const value = String(ref ?? "").trim();
+  if (!value) throw httpError(400, `a ${kind} name or index is required`);
+  if (mediaIds.has(value)) return resolveMediaRef({ id: value }, kind);
 
-    // Update current playing media info
-    currentPlayingMedia = {
-      type: 'image',
-      filePath: filePath,
-      filename: path.basename(filePath),
-      startTime: Date.now(),
-      duration: null // Images don't have duration
-    };
+  const items = controlMediaList(kind);
+  let matches;
+  if (/^\d+$/.test(value)) {
+    const item = items[Number(value) - 1];
+    if (!item) throw httpError(404, `no ${kind} #${value} (the library has ${items.length})`);
+    matches = [item];
+  } else {
+    const wanted = value.toLowerCase();
+    matches = items.filter(item => item.name.toLowerCase() === wanted);
+    if (!matches.length) matches = items.filter(item => path.basename(item.full).toLowerCase() === wanted);
+    if (!matches.length) throw httpError(404, `no ${kind} named ${value}`);
+    if (matches.length > 1) throw httpError(409, `${value} is ambiguous: ${matches.map(m => m.name).join(", ")}`);
+  }
+  return resolveMediaRef({ id: mediaId(matches[0].full) }, kind);
+}
 
-    // Broadcast the change to all connected clients
-    broadcastCurrentPlaying();
+// OBS lists scenes bottom first; panels count from the top, as OBS shows them
+async function controlSceneList() {
+  const { scenes } = await obs.call("GetSceneList");
+  return scenes.slice().sort((a, b) => b.sceneIndex - a.sceneIndex).map(scene => scene.sceneName);
+}
 
-    console.log(`Successfully showing image: ${filePath}`);
-    res.json({ ok: true });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+async function resolveControlScene(ref) {
+  const value = String(ref ?? "").trim();
+  if (!value) throw httpError(400, "a scene name or index is required");
+  if (!/^\d+$/.test(value)) return value;
+  const name = (await controlSceneList())[Number(value) - 1];
+  if (!name) throw httpError(404, `no scene #${value}`);
+  return name;
+}
+
+async function controlList(what) {
+  const kind = String(what || "").toLowerCase();
+  let names;
+  if (kind === "videos" || kind === "images") {
+    await mediaIndexReady;
+    names = controlMediaList(kind.slice(0, -1)).map(item => item.name);
+  } else if (kind === "scenes") {
+    requireOBS();
+    names = await controlSceneList();
+  } else {
+    throw httpError(400, "list videos, images or scenes");
+  }
+  return names.map((name, i) => ({ index: i + 1, name }));
+}
+
+// One panel command -> { message, items?, status? }; errors are httpErrors as for HTTP
+async function runControlCommand(command, args) {
+  const verb = String(command || "").toLowerCase();
+  if (!CONTROL_COMMANDS.includes(verb)) {
+    throw httpError(400, `unknown command: ${command} (one of: ${CONTROL_COMMANDS.join(", ")})`);
+  }
+  if (verb === "ping") return { message: "pong" };
+  if (verb === "status") return { message: "status", status: true };
+  if (verb === "list") {
+    const items = await controlList(args[0]);
+    return { message: `${items.length} ${String(args[0]).toLowerCase()}`, items };
+  }
+  requireOBS();
+
+  switch (verb) {
+    case "play":
+    case "show": {
+      const filePath = await resolveControlMedia(args[0], verb === "play" ? "video" : "image");
+      const player = getPlayer(args[1]);
+      // Like a take from the library: the rundown stays where it is, off air
+      if (player === defaultPlayer()) detachRundown();
+      if (verb === "play") await playVideoFile(filePath, player);
+      else await showImageFile(filePath, player);
+      return { message: `${verb === "play" ? "playing" : "showing"} ${path.basename(filePath)} on ${player.name}` };
+    }
+    case "stop": {
+      const player = getPlayer(args[0]);
+      if (player === defaultPlayer()) detachRundown();
+      await stopPlayer(player);
+      return { message: `stopped ${player.name}` };
+    }
+    case "pause":
+    case "resume":
+    case "restart": {
+      const player = getPlayer(args[0]);
+      await controlPlayer(player, verb === "resume" ? "play" : verb);
+      return { message: `${verb} ${player.name}` };
+    }
+    case "seek": {
+      const seconds = Number(args[0]);
+      if (args[0] === undefined || args[0] === null || !Number.isFinite(seconds)) throw httpError(400, "seek needs a time in seconds");
+      const player = getPlayer(args[1]);
+      await seekPlayer(player, Math.round(seconds * 1000));
+      return { message: `seeked ${player.name} to ${seconds}s` };
+    }
+    case "scene": {
+      const sceneName = await resolveControlScene(args[0]);
+      await selectScene(sceneName);
+      return { message: `scene ${sceneName}` };
+    }
+  }
+}
+
+// ----- Access -----
+function controlAllowed(address) {
+  return CONFIG.CONTROL_ALLOW.includes(String(address).replace(/^::ffff:/, ""));
+}
+
+// Panels on the allow list show up in the as-run log as "osc <address>" /
+// "tcp <address>", the rest as their token
+function controlCaller(source, address, token) {
+  if (token === undefined) {
+    if (controlAllowed(address)) return { kind: "control", username: `${source} ${address}`, role: "operator" };
+    throw httpError(401, "API token required", "AUTH_REQUIRED");
+  }
+  const caller = typeof token === "string" && token ? resolveCaller({ authorization: `Bearer ${token}` }) : null;
+  if (!caller) throw httpError(401, "API token required", "AUTH_REQUIRED");
+  return caller;
+}
+
+function runControlAs(caller, command, args) {
+  const role = CONTROL_READ_COMMANDS.includes(String(command || "").toLowerCase()) ? "viewer" : "operator";
+  if (!hasRole(caller, role)) throw httpError(403, `${role} role required`);
+  return actor.run(caller, () => runControlCommand(command, args));
+}
+
+// ----- Feedback -----
+function playerControlState(player) {
+  const { media } = player;
+  if (!media.type) return "idle";
+  if (media.type === 'image') return "showing";
+  if (media.ended) return "ended";
+  const clock = playbackClocks.get(player.name);
+  return clock && clock.mediaState === "OBS_MEDIA_STATE_PAUSED" ? "paused" : "playing";
+}
+
+function playerFeedback(player) {
+  const { media } = player;
+  const items = media.type ? controlMediaList(media.type) : [];
+  return {
+    tally: !!media.type,
+    state: playerControlState(player),
+    type: media.type || "",
+    filename: media.filename || "",
+    index: items.findIndex(item => item.full === media.filePath) + 1
+  };
+}
+
+// Words separated by spaces; "double quotes" keep spaces, with \" and \\ escapes
+function splitControlLine(line) {
+  const words = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line))) {
+    words.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, "$1") : match[2]);
+  }
+  return words;
+}
+
+function quoteControl(text) {
+  return `"${String(text).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+function sendOsc(target, address, args) {
+  if (!oscSocket) return;
+  oscSocket.send(encodeOscMessage(address, args), target.port, target.host, (err) => {
+    if (err) console.error(`[Control] OSC to ${target.host}:${target.port} failed:`, err.message);
+  });
+}
+
+function writeTcpLine(socket, line) {
+  if (!socket.destroyed) socket.write(`${line}\n`);
+}
+
+// `to` narrows a push to one requester: { osc: [target], tcp: [socket] }
+function pushFeedback(oscMessages, tcpLines, to = null) {
+  const oscTargets = to ? to.osc || [] : oscSocket ? [...oscFeedbackTargets, ...oscSubscribers.values()] : [];
+  const sockets = to ? to.tcp || [] : tcpClients;
+  for (const target of oscTargets) oscMessages.forEach(([address, args]) => sendOsc(target, OSC_PREFIX + address, args));
+  for (const socket of sockets) tcpLines.forEach(line => writeTcpLine(socket, line));
+}
+
+function feedbackPlayer(player, to = null) {
+  const state = playerFeedback(player);
+  pushFeedback([
+    [`/${player.name}/tally`, [state.tally ? 1 : 0]],
+    [`/${player.name}/state`, [state.state]],
+    [`/${player.name}/type`, [state.type]],
+    [`/${player.name}/nowplaying`, [state.filename]],
+    [`/${player.name}/index`, [state.index]]
+  ], [
+    `TALLY ${player.name} ${state.tally ? "ON" : "OFF"}`,
+    `NOWPLAYING ${player.name} ${state.state} ${state.type || "-"} ${state.index} ${quoteControl(state.filename)}`
+  ], to);
+}
+
+function feedbackScene(to = null) {
+  pushFeedback([["/scene", [programScene || ""]]], [`SCENE ${quoteControl(programScene || "")}`], to);
+}
+
+function feedbackOBS(to = null) {
+  pushFeedback([["/obs", [obsConnected ? 1 : 0]]], [`OBS ${obsConnected ? "CONNECTED" : "DISCONNECTED"}`], to);
+}
+
+function feedbackAll(to = null) {
+  feedbackOBS(to);
+  feedbackScene(to);
+  players.forEach(player => feedbackPlayer(player, to));
+}
+
+function controlListening() {
+  return !!(oscSocket || tcpServer);
+}
+
+// Runs on every fresh playback reading; only real changes go out
+function pushPlayerFeedback(player) {
+  if (!controlListening()) return;
+  const key = `${player.media.filePath || ""}|${playerControlState(player)}`;
+  if (lastFeedback.get(player.name) === key) return;
+  lastFeedback.set(player.name, key);
+  feedbackPlayer(player);
+}
+
+async function pushOBSFeedback() {
+  if (!controlListening()) return;
+  programScene = null;
+  if (obsConnected) {
+    try {
+      programScene = (await obs.call("GetCurrentProgramScene")).currentProgramSceneName;
+    } catch (e) {
+      console.error("[Control] Could not read the program scene:", e.message);
+    }
   }
+  feedbackOBS();
+  feedbackScene();
+}
+
+obs.on("CurrentProgramSceneChanged", ({ sceneName }) => {
+  programScene = sceneName;
+  if (controlListening()) feedbackScene();
 });
 
-app.post("/stop/all", async (req, res) => {
+// ----- Listeners -----
+// Senders that are not on the allow list put their token first. Nothing is
+// sent back to a sender that did not get through: its address may be forged.
+async function handleOscMessage({ address, args }, sender) {
+  if (!address.startsWith(`${OSC_PREFIX}/`)) return;
+  const command = address.slice(OSC_PREFIX.length + 1);
+  let caller;
+  try {
+    if (controlAllowed(sender.host)) {
+      caller = controlCaller("osc", sender.host);
+    } else {
+      caller = controlCaller("osc", sender.host, args[0]);
+      args = args.slice(1);
+    }
+  } catch (e) {
+    console.warn(`[Control] OSC ${address} from ${sender.host} refused:`, e.message);
+    return;
+  }
+  if (command.toLowerCase() === "subscribe") {
+    const target = { host: sender.host, port: Number(args[0]) || sender.port };
+    const key = `${target.host}:${target.port}`;
+    if (!oscSubscribers.has(key) && oscSubscribers.size >= OSC_MAX_SUBSCRIBERS) {
+      oscSubscribers.delete(oscSubscribers.keys().next().value);
+    }
+    oscSubscribers.set(key, target);
+    console.log(`[Control] OSC feedback to ${key}`);
+    feedbackAll({ osc: [target] });
+    return;
+  }
+  try {
+    const result = await runControlAs(caller, command, args);
+    if (result.items) result.items.forEach(item => sendOsc(sender, `${OSC_PREFIX}/item`, [item.index, item.name]));
+    if (result.status) feedbackAll({ osc: [sender] });
+  } catch (e) {
+    console.warn(`[Control] OSC ${address} from ${sender.host} failed:`, e.message);
+    sendOsc(sender, `${OSC_PREFIX}/error`, [e.message]);
+  }
+}
+
+function onOscPacket(buf, rinfo) {
+  const sender = { host: rinfo.address, port: rinfo.port };
+  let messages;
+  try {
+    messages = parseOscPacket(buf);
+  } catch (e) {
+    console.warn(`[Control] Bad OSC packet from ${sender.host}:`, e.message);
+    return;
+  }
+  messages.forEach(message => handleOscMessage(message, sender));
+}
+
+// AUTH <token> switches the connection to that token's role
+async function handleTcpLine(socket, line) {
+  const [command, ...args] = splitControlLine(line);
   try {
-    if (!obsConnected) return res.status(503).json({ ok: false, error: "OBS not connected" });
+    if (String(command).toLowerCase() === "auth") {
+      const watching = !!socket.caller;
+      socket.caller = controlCaller("tcp", socket.remoteAddress, args[0] || "");
+      writeTcpLine(socket, `OK ${socket.caller.username} ${socket.caller.role}`);
+      if (!watching) watchTcpClient(socket);
+      return;
+    }
+    if (!socket.caller) throw httpError(401, "API token required: send AUTH <token>", "AUTH_REQUIRED");
+    const result = await runControlAs(socket.caller, command, args);
+    if (result.items) result.items.forEach(item => writeTcpLine(socket, `ITEM ${item.index} ${quoteControl(item.name)}`));
+    if (result.status) feedbackAll({ tcp: [socket] });
+    writeTcpLine(socket, `OK ${result.message}`);
+  } catch (e) {
+    writeTcpLine(socket, `ERR ${e.message}`);
+  }
+}
 
-    // Hide both video and image sources
-    await hideSource(CONFIG.OBS_VIDEO_INPUT);
-    await hideSource(CONFIG.OBS_IMAGE_INPUT);
+// State goes to a client once it may see it
+function watchTcpClient(socket) {
+  tcpClients.add(socket);
+  feedbackAll({ tcp: [socket] });
+}
 
-    // Clear current playing media info
-    currentPlayingMedia = {
-      type: null,
-      filePath: null,
-      filename: null,
-      startTime: null,
-      duration: null
-    };
+// One command per line; replies (OK / ERR) come back in order
+function onTcpConnection(socket) {
+  const address = socket.remoteAddress;
+  console.log(`[Control] TCP client ${address} connected`);
+  socket.setEncoding("utf8");
+  socket.setNoDelay(true);
+  socket.caller = controlAllowed(address) ? controlCaller("tcp", address) : null;
+  if (socket.caller) watchTcpClient(socket);
 
-    // Broadcast the change to all connected clients
-    broadcastCurrentPlaying();
+  let buffer = "";
+  let queue = Promise.resolve();
+  socket.on("data", (chunk) => {
+    const lines = (buffer + chunk).split(/\r?\n/);
+    buffer = lines.pop();
+    if (buffer.length > TCP_MAX_LINE) {
+      writeTcpLine(socket, "ERR line too long");
+      socket.end();
+      return;
+    }
+    for (const line of lines.filter(l => l.trim())) {
+      queue = queue.then(() => handleTcpLine(socket, line));
+    }
+  });
+  socket.on("error", e => console.warn(`[Control] TCP client ${address}:`, e.message));
+  socket.on("close", () => {
+    tcpClients.delete(socket);
+    console.log(`[Control] TCP client ${address} disconnected`);
+  });
+}
 
-    res.json({ ok: true });
-  } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+function startControlListeners() {
+  if (CONFIG.OSC_PORT) {
+    oscSocket = dgram.createSocket("udp4");
+    oscSocket.on("message", onOscPacket);
+    oscSocket.on("error", e => console.error("[Control] OSC socket error:", e.message));
+    oscSocket.bind(CONFIG.OSC_PORT, CONFIG.CONTROL_HOST, () => {
+      console.log(`[Control] OSC listening on udp ${CONFIG.CONTROL_HOST}:${CONFIG.OSC_PORT}`);
+      feedbackAll();
+    });
   }
-});
+  if (CONFIG.TCP_CONTROL_PORT) {
+    tcpServer = net.createServer(onTcpConnection);
+    tcpServer.on("error", e => console.error("[Control] TCP server error:", e.message));
+    tcpServer.listen(CONFIG.TCP_CONTROL_PORT, CONFIG.CONTROL_HOST, () => {
+      console.log(`[Control] TCP control listening on ${CONFIG.CONTROL_HOST}:${CONFIG.TCP_CONTROL_PORT}`);
+    });
+  }
+}
 
 // ------------------ OBS Connection Controls ----------------
 app.post("/obs/connect", async (req, res) => {
@@ -813,58 +6289,89 @@ app.post("/obs/connect", async (req, res) => {
     await connectOBS();
     
     if (obsConnected) {
-      // Broadcast connection status to all clients
-      broadcastOBSStatus();
       res.json({ ok: true, message: "Successfully connected to OBS" });
     } else {
-      res.status(503).json({ ok: false, error: "Failed to connect to OBS" });
+      sendError(res, httpError(503, "Failed to connect to OBS"));
     }
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
 app.post("/obs/disconnect", async (req, res) => {
   try {
     if (!obsConnected) {
-      return res.json({ ok: true, message: "Already disconnected from OBS" });
+      // Also stops a pending reconnect
+      const wasRetrying = obsLink.state === "reconnecting";
+      if (wasRetrying) await disconnectOBS();
+      return res.json({ ok: true, message: wasRetrying ? "Stopped reconnecting to OBS" : "Already disconnected from OBS" });
     }
     
-    await obs.disconnect();
-    obsConnected = false;
+    await disconnectOBS();
     console.log("[OBS] Manually disconnected");
     
-    // Broadcast disconnection status to all clients
-    broadcastOBSStatus();
-    
     res.json({ ok: true, message: "Successfully disconnected from OBS" });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
 app.get("/obs/status", async (req, res) => {
   res.json({ 
     ok: true, 
-    connected: obsConnected,
+    ...obsStatusSnapshot(),
     url: CONFIG.OBS_URL 
   });
 });
 
+// Per-instance connection state and last command result
+app.get("/obs/instances", (req, res) => {
+  res.json({ ok: true, instances: [primaryOBS, ...obsMirrors].map(publicOBSInstance) });
+});
+
+// Connect / disconnect a single mirror without touching the primary
+app.post("/obs/instances/:id/:action(connect|disconnect)", async (req, res) => {
+  const mirror = obsMirrors.find(m => m.id === req.params.id);
+  if (!mirror) return sendError(res, httpError(404, "mirror not found"));
+  if (req.params.action === "connect") await connectMirror(mirror);
+  else await disconnectMirror(mirror);
+  res.json({ ok: true, instance: publicOBSInstance(mirror) });
+});
+
+// Turn automatic reconnection on or off at runtime
+app.post("/obs/auto-reconnect", (req, res) => {
+  obsLink.autoReconnect = !!(req.body && req.body.enabled);
+  if (!obsLink.autoReconnect && obsLink.state === "reconnecting" && !obsLink.pending) {
+    cancelOBSReconnect();
+    setOBSState("failed");
+  } else {
+    broadcastOBSStatus();
+  }
+  res.json({ ok: true, autoReconnect: obsLink.autoReconnect });
+});
+
 // Get video progress/playback status
 app.get("/obs/progress", async (req, res) => {
+  let player;
   try {
-    if (!obsConnected) {
-      return res.status(503).json({ ok: false, error: "OBS not connected" });
-    }
+    player = getPlayer(req.query.player);
+    requireOBS();
+  } catch (e) {
+    return sendError(res, e);
+  }
+  try {
+    if (!player.videoInput) throw new Error("player has no video input");
+    // The clock already knows while a clip is on air
+    if (playbackClocks.has(player.name)) return res.json(progressSnapshot(player));
     
     // Get media state
     const mediaState = await obs.call("GetMediaInputStatus", {
-      inputName: CONFIG.OBS_VIDEO_INPUT
+      inputName: liveVideoInput(player)
     });
     
     res.json({
       ok: true,
+      player: player.name,
       mediaState: mediaState.mediaState,
       mediaDuration: mediaState.mediaDuration || 0,
       mediaCursor: mediaState.mediaCursor || 0,
@@ -874,6 +6381,7 @@ app.get("/obs/progress", async (req, res) => {
     // Source might not exist or be playing
     res.json({
       ok: true,
+      player: player.name,
       mediaState: "OBS_MEDIA_STATE_NONE",
       mediaDuration: 0,
       mediaCursor: 0,
@@ -885,137 +6393,188 @@ app.get("/obs/progress", async (req, res) => {
 // Get current playing media information
 app.get("/api/current-playing", async (req, res) => {
   try {
-    let enhancedInfo = { ...currentPlayingMedia };
+    const player = getPlayer(req.query.player);
+    const media = player.media;
+    let enhancedInfo = currentPlayingSnapshot(player);
     
     // If we have a video playing, get additional status from OBS
-    if (currentPlayingMedia.type === 'video' && obsConnected) {
+    if (media.type === 'video' && obsConnected) {
       try {
         const mediaStatus = await obs.call("GetMediaInputStatus", {
-          inputName: CONFIG.OBS_VIDEO_INPUT
+          inputName: liveVideoInput(player)
         });
         
         enhancedInfo.obsMediaState = mediaStatus.mediaState;
-        enhancedInfo.mediaDuration = mediaStatus.mediaDuration || currentPlayingMedia.duration;
+        enhancedInfo.mediaDuration = mediaStatus.mediaDuration || media.duration;
         enhancedInfo.mediaCursor = mediaStatus.mediaCursor || 0;
         enhancedInfo.playing = mediaStatus.mediaState === "OBS_MEDIA_STATE_PLAYING";
         
         // Calculate elapsed time since start
-        if (currentPlayingMedia.startTime) {
-          enhancedInfo.elapsedTime = Date.now() - currentPlayingMedia.startTime;
+        if (media.startTime) {
+          enhancedInfo.elapsedTime = Date.now() - media.startTime;
         }
       } catch (e) {
         // If we can't get OBS status, just return what we have
         enhancedInfo.playing = false;
         enhancedInfo.obsMediaState = "OBS_MEDIA_STATE_NONE";
       }
-    } else if (currentPlayingMedia.type === 'image') {
+    } else if (media.type === 'image') {
       enhancedInfo.playing = true; // Images are always "playing" when shown
-      if (currentPlayingMedia.startTime) {
-        enhancedInfo.elapsedTime = Date.now() - currentPlayingMedia.startTime;
+      if (media.startTime) {
+        enhancedInfo.elapsedTime = Date.now() - media.startTime;
       }
     }
     
     res.json({
       ok: true,
       currentPlaying: enhancedInfo,
-      hasMedia: currentPlayingMedia.type !== null
+      hasMedia: media.type !== null
     });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
+// Every player with its configuration and what it has on air
+app.get("/api/players", async (req, res) => {
+  await playersReady;
+  res.json({ ok: true, players: players.map(publicPlayer) });
+});
+
+// Transport on a player's clip: play (resume), pause, restart or stop
+async function controlPlayer(player, action) {
+  if (!player.videoInput) throw httpError(400, `player ${player.name} has no video input`, "SOURCE_MISSING");
+
+  let mediaAction;
+  switch (action) {
+    case 'play':
+      mediaAction = "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PLAY";
+      break;
+    case 'pause':
+      mediaAction = "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PAUSE";
+      break;
+    case 'restart':
+      mediaAction = "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_RESTART";
+      break;
+    case 'stop':
+      mediaAction = "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP";
+      break;
+    default:
+      throw httpError(400, "Invalid action");
+  }
+
+  // Restart means "from the in-point" when the clip has one
+  const marks = player.media.marks;
+  const starting = action === 'play' || action === 'restart';
+  // A stop takes the item off air: the end OBS reports for it is not the clip
+  // running out, so no end action runs and a rundown stays where it is
+  const stopping = action === 'stop';
+  if (stopping && player === defaultPlayer()) detachRundown();
+  const transport = () => onAllOBS(`${action} ${player.name}`, async (inst) => {
+    const inputName = liveVideoInput(player, inst);
+    // Sound fades out before a pause/stop and back in after a start
+    if (!starting) await fadeOutPlayer(inst, player, inputName, marks);
+    else if (player.audio.fadeInMs) await setInputVolume(inst, inputName, MIN_VOLUME_DB);
+    await inst.obs.call("TriggerMediaInputAction", {
+      inputName,
+      mediaAction: mediaAction
+    });
+    if (action === 'restart' && marks && marks.inPoint) {
+      await inst.obs.call("SetMediaInputCursor", {
+        inputName,
+        mediaCursor: Math.round(marks.inPoint * 1000)
+      });
+    }
+    if (starting) {
+      fadeInPlayer(inst, player, inputName, marks)
+        .catch(e => console.error(`[Audio] Fade-in on ${inputName} failed:`, e.message));
+    }
+  });
+  await (stopping ? whileLoading(player, transport) : transport());
+  if (action === 'restart' && marks && marks.outPoint !== null) {
+    watchOutPoint(player, player.media.filePath, marks.outPoint);
+  }
+  recordTransport(player, action === 'play' ? 'resume' : action);
+  if (stopping) {
+    clearOutPointWatch(player);
+    recordEnd(player, "stopped");
+  }
+  syncPlaybackClock(player);
+}
+
 // Control video playback
 app.post("/obs/control", async (req, res) => {
   try {
-    if (!obsConnected) {
-      return res.status(503).json({ ok: false, error: "OBS not connected" });
-    }
+    requireOBS();
     
     const { action } = req.body;
+    const player = getPlayer(req.body.player);
+    await controlPlayer(player, action);
     
-    let mediaAction;
-    switch (action) {
-      case 'play':
-        mediaAction = "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PLAY";
-        break;
-      case 'pause':
-        mediaAction = "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PAUSE";
-        break;
-      case 'restart':
-        mediaAction = "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_RESTART";
-        break;
-      case 'stop':
-        mediaAction = "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP";
-        break;
-      default:
-        return res.status(400).json({ ok: false, error: "Invalid action" });
-    }
-    
-    await obs.call("TriggerMediaInputAction", {
-      inputName: CONFIG.OBS_VIDEO_INPUT,
-      mediaAction: mediaAction
-    });
-    
-    res.json({ ok: true, message: `Video ${action} successfully` });
+    res.json({ ok: true, player: player.name, message: `Video ${action} successfully` });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
-// Seek video to specific time
-app.post("/obs/seek", async (req, res) => {
+// Player audio: operator volume (dB), mute and start/stop fade times
+app.get("/obs/audio", (req, res) => {
   try {
-    if (!obsConnected) {
-      return res.status(503).json({ ok: false, error: "OBS not connected" });
-    }
-    
-    const { timeMs } = req.body;
-    
-    if (typeof timeMs !== 'number' || timeMs < 0) {
-      return res.status(400).json({ ok: false, error: "Invalid time value" });
+    const player = getPlayer(req.query.player);
+    res.json({ ok: true, player: player.name, audio: player.audio });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.post("/obs/audio", async (req, res) => {
+  try {
+    const player = getPlayer(req.body.player);
+    if (!player.videoInput) throw httpError(400, `player ${player.name} has no video input`, "SOURCE_MISSING");
+    const update = normalizeAudioUpdate(req.body);
+
+    Object.assign(player.audio, update);
+    // Stored either way; OBS gets it now if connected, else on the next play
+    if (obsConnected && ("volumeDb" in update || "muted" in update)) {
+      await onAllOBS(`audio ${player.name}`, inst => applyPlayerAudio(inst, player));
     }
-    
-    await obs.call("SetMediaInputCursor", {
-      inputName: CONFIG.OBS_VIDEO_INPUT,
-      mediaCursor: timeMs
-    });
-    
-    res.json({ ok: true, message: `Seeked to ${Math.floor(timeMs/1000)}s` });
+    broadcastCurrentPlaying(player);
+    res.json({ ok: true, player: player.name, audio: player.audio });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
-// Seek to specific time in video
+async function seekPlayer(player, timeMs) {
+  if (typeof timeMs !== 'number' || timeMs < 0) throw httpError(400, "Invalid time value");
+  if (!player.videoInput) throw httpError(400, `player ${player.name} has no video input`, "SOURCE_MISSING");
+
+  await onAllOBS(`seek ${player.name}`, inst => inst.obs.call("SetMediaInputCursor", {
+    inputName: liveVideoInput(player, inst),
+    mediaCursor: timeMs
+  }));
+  recordTransport(player, "seek", { cursorMs: Math.round(timeMs) });
+  syncPlaybackClock(player);
+}
+
+// Seek video to specific time
 app.post("/obs/seek", async (req, res) => {
   try {
-    if (!obsConnected) {
-      return res.status(503).json({ ok: false, error: "OBS not connected" });
-    }
+    requireOBS();
     
     const { timeMs } = req.body;
+    const player = getPlayer(req.body.player);
+    await seekPlayer(player, timeMs);
     
-    if (typeof timeMs !== 'number' || timeMs < 0) {
-      return res.status(400).json({ ok: false, error: "Invalid time value" });
-    }
-    
-    await obs.call("SetMediaInputCursor", {
-      inputName: CONFIG.OBS_VIDEO_INPUT,
-      mediaCursor: timeMs
-    });
-    
-    res.json({ ok: true, message: `Seeked to ${Math.floor(timeMs/1000)} seconds` });
+    res.json({ ok: true, player: player.name, message: `Seeked to ${Math.floor(timeMs/1000)}s` });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
 app.get("/obs/scenes", async (req, res) => {
   try {
-    if (!obsConnected) {
-      return res.status(503).json({ ok: false, error: "OBS not connected" });
-    }
+    requireOBS();
     
     const scenes = await obs.call("GetSceneList");
     const currentScene = await obs.call("GetCurrentProgramScene");
@@ -1029,37 +6588,146 @@ app.get("/obs/scenes", async (req, res) => {
       currentScene: currentScene.currentProgramSceneName || currentScene.sceneName
     });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
+// Make a scene the target scene and put it on program
+async function selectScene(sceneName) {
+  // Update CONFIG with the new target scene
+  CONFIG.OBS_TARGET_SCENE = sceneName;
+
+  // Only switch scene if it's not CURRENT_SCENE
+  if (sceneName !== 'CURRENT_SCENE') {
+    noteSceneRequest(sceneName);
+    await obs.call("SetCurrentProgramScene", { sceneName });
+  }
+}
+
 app.post("/obs/scene", async (req, res) => {
   try {
-    if (!obsConnected) {
-      return res.status(503).json({ ok: false, error: "OBS not connected" });
-    }
+    requireOBS();
     
     const { sceneName } = req.body;
     if (!sceneName) {
-      return res.status(400).json({ ok: false, error: "Scene name is required" });
+      return sendError(res, httpError(400, "Scene name is required"));
     }
     
-    // Update CONFIG with the new target scene
-    CONFIG.OBS_TARGET_SCENE = sceneName;
-    
-    // Only switch scene if it's not CURRENT_SCENE
+    await selectScene(sceneName);
     if (sceneName !== 'CURRENT_SCENE') {
-      await obs.call("SetCurrentProgramScene", { sceneName });
       res.json({ ok: true, message: `Switched to scene: ${sceneName}` });
     } else {
       res.json({ ok: true, message: `Target set to current scene` });
     }
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
 // ------------------ Settings API ----------------
+// Mirror endpoints (passwords are write-only)
+app.get("/api/settings/obs-mirrors", async (req, res) => {
+  await obsMirrorsReady;
+  res.json({
+    ok: true,
+    mirrors: obsMirrors.map(({ id, name, url, password, scene }) => ({ id, name, url, scene, hasPassword: !!password }))
+  });
+});
+
+// Player layers
+app.get("/api/settings/players", async (req, res) => {
+  await playersReady;
+  res.json({ ok: true, players: players.map(({ media, outPointTimer, loadingUntil, audio, ...config }) => config) });
+});
+
+// Replace the player list. Players keep their now-playing state by name; a
+// player can only be removed while it has nothing on air.
+app.put("/api/settings/players", async (req, res) => {
+  try {
+    await playersReady;
+    const configs = normalizePlayerConfigs(req.body && req.body.players);
+    const removed = players.filter(p => !configs.some(c => c.name === p.name));
+    const busy = removed.find(p => p.media.type);
+    if (busy) throw httpError(409, `player ${busy.name} is on air; stop it first`);
+
+    players = configs.map((config) => {
+      const existing = players.find(p => p.name === config.name);
+      return existing ? Object.assign(existing, config) : createPlayer(config);
+    });
+    await savePlayers();
+    // The cued item's inputs or scene may have changed under it
+    clearCued();
+    if (obsConnected) players.forEach(player => resyncPlayer(player));
+    io.emit('players', { players: players.map(publicPlayer) });
+    res.json({ ok: true, players: players.map(publicPlayer) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Default transition for items that don't bring their own
+app.get("/api/settings/transition", async (req, res) => {
+  await transitionReady;
+  res.json({ ok: true, transition: defaultTransition });
+});
+
+app.put("/api/settings/transition", async (req, res) => {
+  try {
+    await transitionReady;
+    defaultTransition = normalizeTransition(req.body && req.body.transition) || CUT_TRANSITION;
+    await saveTransition();
+    io.emit('transition', { transition: defaultTransition });
+    res.json({ ok: true, transition: defaultTransition });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+app.get("/api/settings/end-action", async (req, res) => {
+  await endActionReady;
+  res.json({ ok: true, endAction: defaultEndAction });
+});
+
+app.put("/api/settings/end-action", async (req, res) => {
+  try {
+    await endActionReady;
+    defaultEndAction = await normalizeEndAction(req.body && req.body.endAction) || STOP_END_ACTION;
+    await saveEndAction();
+    io.emit('endAction', { endAction: defaultEndAction });
+    res.json({ ok: true, endAction: defaultEndAction });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+// Replace the mirror list; unchanged mirrors keep their connection
+app.put("/api/settings/obs-mirrors", async (req, res) => {
+  try {
+    await obsMirrorsReady;
+    if (!Array.isArray(req.body && req.body.mirrors)) throw httpError(400, "mirrors must be an array");
+    const configs = req.body.mirrors.map(raw => normalizeMirrorConfig(raw, obsMirrors));
+
+    const next = configs.map((config) => {
+      const existing = obsMirrors.find(m => m.id === config.id);
+      if (existing && existing.url === config.url && existing.password === config.password) {
+        existing.name = config.name;
+        existing.scene = config.scene;
+        return existing;
+      }
+      return createMirror(config);
+    });
+    obsMirrors.filter(m => !next.includes(m)).forEach(m => disconnectMirror(m));
+    obsMirrors = next;
+    await saveOBSMirrors();
+
+    if (obsConnected) connectMirrors();
+    broadcastOBSStatus();
+    res.json({ ok: true, instances: obsMirrors.map(publicOBSInstance) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
 app.get("/api/settings", async (req, res) => {
   res.json({
     ok: true,
@@ -1079,15 +6747,25 @@ app.post("/api/settings/localStorage", async (req, res) => {
   try {
     const localStorageSettings = req.body;
     
+    // Operators may pick the target scene; everything else is admin-only
+    if (!hasRole(req.user, "admin")) {
+      const adminKeys = ["MEDIA_DIR", "OBS_URL", "OBS_PASSWORD"].filter(k => localStorageSettings[k]);
+      if (adminKeys.length) {
+        return sendError(res, httpError(403, `admin role required to change ${adminKeys.join(", ")}`));
+      }
+    }
+    
     // Update CONFIG with localStorage settings
+    const previousMediaDir = CONFIG.MEDIA_DIR;
     if (localStorageSettings.MEDIA_DIR) CONFIG.MEDIA_DIR = localStorageSettings.MEDIA_DIR;
     if (localStorageSettings.OBS_URL) CONFIG.OBS_URL = localStorageSettings.OBS_URL;
     if (localStorageSettings.OBS_PASSWORD) CONFIG.OBS_PASSWORD = localStorageSettings.OBS_PASSWORD;
     if (localStorageSettings.OBS_TARGET_SCENE) CONFIG.OBS_TARGET_SCENE = localStorageSettings.OBS_TARGET_SCENE;
+    if (CONFIG.MEDIA_DIR !== previousMediaDir) restartMediaIndex();
     
     res.json({ ok: true, message: "localStorage settings applied" });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
@@ -1097,14 +6775,16 @@ app.post("/api/settings", async (req, res) => {
     
     // Validate required fields
     if (!newSettings.MEDIA_DIR || !newSettings.OBS_URL) {
-      return res.status(400).json({ ok: false, error: "MEDIA_DIR and OBS_URL are required" });
+      return sendError(res, httpError(400, "MEDIA_DIR and OBS_URL are required"));
     }
     
     // Update CONFIG object with localStorage settings only
+    const previousMediaDir = CONFIG.MEDIA_DIR;
     if (newSettings.MEDIA_DIR) CONFIG.MEDIA_DIR = newSettings.MEDIA_DIR;
     if (newSettings.OBS_URL) CONFIG.OBS_URL = newSettings.OBS_URL;
     if (newSettings.OBS_PASSWORD) CONFIG.OBS_PASSWORD = newSettings.OBS_PASSWORD;
     if (newSettings.OBS_TARGET_SCENE) CONFIG.OBS_TARGET_SCENE = newSettings.OBS_TARGET_SCENE;
+    if (CONFIG.MEDIA_DIR !== previousMediaDir) restartMediaIndex();
     
     // Return localStorage settings for frontend to store
     const localStorageSettings = {
@@ -1116,9 +6796,8 @@ app.post("/api/settings", async (req, res) => {
     // If OBS settings changed, disconnect current connection
     if (newSettings.OBS_URL || newSettings.OBS_PASSWORD) {
       try {
-        if (obsConnected) {
-          await obs.disconnect();
-          obsConnected = false;
+        if (obsConnected || obsLink.state === "reconnecting") {
+          await disconnectOBS();
           console.log("[OBS] Disconnected due to settings change");
         }
       } catch (e) {
@@ -1132,7 +6811,7 @@ app.post("/api/settings", async (req, res) => {
       localStorageSettings: localStorageSettings
     });
   } catch (e) {
-    res.status(500).json({ ok: false, error: e.message });
+    sendError(res, e);
   }
 });
 
@@ -1141,8 +6820,584 @@ app.get("/", (req, res) => {
   res.render('index', {
     title: 'OBS Playout',
     mediaDir: CONFIG.MEDIA_DIR,
-    config: CONFIG
+    config: CONFIG,
+    user: req.user,
+    authEnabled: CONFIG.AUTH_ENABLED
+  });
+});
+
+// ------------------ API v1 ----------------
+// The versioned surface for integrations. Each entry below maps a path under
+// /api/v1 onto the route that serves it; the older paths stay as they are,
+// as aliases, so roles, handlers and responses are shared. Requests to either
+// path are checked against the entry's query/body schemas first, and
+// GET /api/v1/openapi.json publishes the table as an OpenAPI 3.1 document.
+const API_V1_PREFIX = "/api/v1";
+const API_V1_SPEC = "/openapi.json";
+
+const MEDIA_REQUIRED = CONFIG.MEDIA_PATH_API ? [] : ["id"];
+const MEDIA_ID_PARAM = { type: "string", minLength: 1, description: "media ID (see GET /media)" };
+const MEDIA_PATH_PARAM = { type: "string", description: "absolute file path (MEDIA_PATH_API mode only)" };
+const PLAYER_PARAM = { type: ["string", "null"], description: "player name; the default player when omitted or null" };
+const TRANSITION_PARAM = {
+  type: ["string", "object", "null"],
+  description: `${TRANSITION_TYPES.join(", ")}, or { type, durationMs, stinger }; the default transition when omitted`
+};
+const END_ACTION_PARAM = {
+  type: ["string", "object", "null"],
+  description: `${END_ACTION_TYPES.join(", ")}, or { type: "fallback", mediaId } / { type: "scene", scene }; the default when omitted`
+};
+const MARK_TIME_PARAM = { type: ["number", "null"], minimum: 0, description: "seconds; null clears it" };
+const SETTINGS_FIELDS = {
+  MEDIA_DIR: { type: "string" },
+  OBS_URL: { type: "string" },
+  OBS_PASSWORD: { type: "string" },
+  OBS_TARGET_SCENE: { type: "string" }
+};
+const AS_RUN_FILTERS = {
+  from: { type: "string", description: "date (2024-05-01, local day) or timestamp; default 24 hours before `to`" },
+  to: { type: "string", description: "date (inclusive) or timestamp; default now" },
+  player: { type: "string" },
+  event: { type: "string", description: `comma-separated: ${AS_RUN_EVENTS.join(", ")}` }
+};
+const PLAY_BODY = {
+  required: MEDIA_REQUIRED,
+  properties: { id: MEDIA_ID_PARAM, filePath: MEDIA_PATH_PARAM, player: PLAYER_PARAM, transition: TRANSITION_PARAM, endAction: END_ACTION_PARAM }
+};
+const SHOW_BODY = {
+  required: MEDIA_REQUIRED,
+  properties: { id: MEDIA_ID_PARAM, filePath: MEDIA_PATH_PARAM, player: PLAYER_PARAM, transition: TRANSITION_PARAM }
+};
+const MARKS_QUERY = { required: MEDIA_REQUIRED, properties: { id: MEDIA_ID_PARAM, file: MEDIA_PATH_PARAM } };
+const RUNDOWN_BODY = {
+  properties: {
+    name: { type: "string" },
+    loop: { type: "boolean" },
+    items: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", description: "keep to update an existing item" },
+          mediaId: MEDIA_ID_PARAM,
+          path: MEDIA_PATH_PARAM,
+          holdSeconds: { type: ["number", "null"], description: "images: how long to hold before advancing" },
+          transition: TRANSITION_PARAM,
+          endAction: END_ACTION_PARAM
+        }
+      }
+    }
+  }
+};
+
+function apiGroup(tag, routes) {
+  return routes.map(route => ({ tag, ...route }));
+}
+
+const API_V1_ROUTES = [
+  ...apiGroup("Auth", [
+    {
+      method: "post", path: "/auth/login", alias: "/api/auth/login", public: true, summary: "Log in for a session cookie",
+      body: { required: ["username", "password"], properties: { username: { type: "string" }, password: { type: "string" } } }
+    },
+    { method: "post", path: "/auth/logout", alias: "/api/auth/logout", summary: "End the session" },
+    { method: "get", path: "/auth/me", alias: "/api/auth/me", summary: "The caller and their role" },
+    { method: "get", path: "/auth/users", alias: "/api/auth/users", summary: "List users" },
+    {
+      method: "post", path: "/auth/users", alias: "/api/auth/users", status: 201, summary: "Add a user",
+      body: { required: ["username", "password"], properties: { username: { type: "string" }, password: { type: "string", minLength: 8 }, role: { type: "string", enum: ROLES } } }
+    },
+    {
+      method: "put", path: "/auth/users/{id}", alias: "/api/auth/users/{id}", summary: "Change a user's role or password",
+      body: { properties: { role: { type: "string", enum: ROLES }, password: { type: "string", minLength: 8 } } }
+    },
+    { method: "delete", path: "/auth/users/{id}", alias: "/api/auth/users/{id}", summary: "Delete a user" },
+    { method: "get", path: "/auth/tokens", alias: "/api/auth/tokens", summary: "List API tokens" },
+    {
+      method: "post", path: "/auth/tokens", alias: "/api/auth/tokens", status: 201, summary: "Create an API token (returned once)",
+      body: { required: ["name"], properties: { name: { type: "string", minLength: 1 }, role: { type: "string", enum: ROLES } } }
+    },
+    { method: "delete", path: "/auth/tokens/{id}", alias: "/api/auth/tokens/{id}", summary: "Revoke an API token" }
+  ]),
+  ...apiGroup("OBS", [
+    { method: "get", path: "/obs", alias: "/obs/status", summary: "Connection status of OBS and its mirrors" },
+    { method: "post", path: "/obs/connect", alias: "/obs/connect", summary: "Connect to OBS" },
+    { method: "post", path: "/obs/disconnect", alias: "/obs/disconnect", summary: "Disconnect from OBS" },
+    {
+      method: "post", path: "/obs/auto-reconnect", alias: "/obs/auto-reconnect", summary: "Turn reconnecting after a dropped connection on or off",
+      body: { required: ["enabled"], properties: { enabled: { type: "boolean" } } }
+    },
+    { method: "get", path: "/obs/instances", alias: "/obs/instances", summary: "The primary and mirror OBS instances" },
+    { method: "post", path: "/obs/instances/{id}/connect", alias: "/obs/instances/{id}/connect", summary: "Connect one mirror" },
+    { method: "post", path: "/obs/instances/{id}/disconnect", alias: "/obs/instances/{id}/disconnect", summary: "Disconnect one mirror" },
+    { method: "get", path: "/obs/scenes", alias: "/obs/scenes", summary: "Scenes and the program scene" },
+    {
+      method: "post", path: "/obs/scene", alias: "/obs/scene", summary: "Set the target scene and put it on program",
+      body: { required: ["sceneName"], properties: { sceneName: { type: "string", minLength: 1, description: "CURRENT_SCENE keeps whatever is on program" } } }
+    }
+  ]),
+  ...apiGroup("Playout", [
+    { method: "get", path: "/players", alias: "/api/players", summary: "Players with what each has on air" },
+    {
+      method: "get", path: "/players/now-playing", alias: "/api/current-playing", summary: "What a player has on air",
+      query: { properties: { player: PLAYER_PARAM } }
+    },
+    {
+      method: "get", path: "/players/progress", alias: "/obs/progress", summary: "Position of a player's clip",
+      query: { properties: { player: PLAYER_PARAM } }
+    },
+    {
+      method: "get", path: "/players/audio", alias: "/obs/audio", summary: "A player's volume, mute and fades",
+      query: { properties: { player: PLAYER_PARAM } }
+    },
+    {
+      method: "post", path: "/players/audio", alias: "/obs/audio", summary: "Change a player's volume, mute or fades",
+      body: {
+        properties: {
+          player: PLAYER_PARAM,
+          volumeDb: { type: "number" },
+          muted: { type: "boolean" },
+          fadeInMs: { type: "number", minimum: 0, maximum: MAX_AUDIO_FADE_MS },
+          fadeOutMs: { type: "number", minimum: 0, maximum: MAX_AUDIO_FADE_MS }
+        }
+      }
+    },
+    { method: "post", path: "/playout/video", alias: "/play/video", summary: "Play a clip", body: PLAY_BODY },
+    { method: "post", path: "/playout/image", alias: "/show/image", summary: "Show an image", body: SHOW_BODY },
+    {
+      method: "post", path: "/playout/stop", alias: "/stop/player", summary: "Clear one player",
+      body: { properties: { player: PLAYER_PARAM, transition: TRANSITION_PARAM } }
+    },
+    {
+      method: "post", path: "/playout/stop-all", alias: "/stop/all", summary: "Clear every player",
+      body: { properties: { transition: TRANSITION_PARAM } }
+    },
+    {
+      method: "post", path: "/playout/control", alias: "/obs/control", summary: "Pause, resume, restart or stop the clip on a player",
+      body: { required: ["action"], properties: { action: { type: "string", enum: ["play", "pause", "restart", "stop"] }, player: PLAYER_PARAM } }
+    },
+    {
+      method: "post", path: "/playout/seek", alias: "/obs/seek", summary: "Move the clip on a player",
+      body: { required: ["timeMs"], properties: { timeMs: { type: "number", minimum: 0 }, player: PLAYER_PARAM } }
+    }
+  ]),
+  ...apiGroup("Studio mode", [
+    { method: "get", path: "/cue", alias: "/api/cued", summary: "What is cued in preview" },
+    { method: "post", path: "/cue/video", alias: "/cue/video", summary: "Cue a clip in preview", body: PLAY_BODY },
+    { method: "post", path: "/cue/image", alias: "/cue/image", summary: "Cue an image in preview", body: SHOW_BODY },
+    { method: "post", path: "/cue/clear", alias: "/cue/clear", summary: "Drop the cue" },
+    { method: "post", path: "/cue/take", alias: "/take", summary: "Take preview to program" }
+  ]),
+  ...apiGroup("Media", [
+    {
+      method: "get", path: "/media", alias: "/media", summary: "Browse or search the library",
+      query: {
+        properties: {
+          folder: { type: "string", description: "library sub-folder; the root when omitted" },
+          type: { type: "string", enum: ["video", "image"] },
+          q: { type: "string", description: "filename search (searches sub-folders too)" },
+          sort: { type: "string", enum: MEDIA_SORTS },
+          order: { type: "string", enum: ["asc", "desc"] },
+          recursive: { type: "boolean" },
+          limit: { type: "integer", minimum: 1, maximum: MEDIA_PAGE_MAX },
+          cursor: { type: "string", description: "nextCursor of the previous page" }
+        }
+      }
+    },
+    { method: "get", path: "/media/metadata", alias: "/media/metadata", summary: "Probe a file's streams", query: MARKS_QUERY },
+    { method: "get", path: "/media/index", alias: "/api/media-index", summary: "Library index status" },
+    {
+      method: "get", path: "/media/thumbnails/image", alias: "/thumb/image", produces: "image/*", summary: "Image thumbnail",
+      query: { required: MEDIA_REQUIRED, properties: { id: MEDIA_ID_PARAM, file: MEDIA_PATH_PARAM, w: { type: "integer", minimum: 1, maximum: THUMB_MAX_WIDTH } } }
+    },
+    {
+      method: "get", path: "/media/thumbnails/video", alias: "/thumb/video", produces: "image/*", summary: "Video poster frame",
+      query: { required: MEDIA_REQUIRED, properties: { id: MEDIA_ID_PARAM, file: MEDIA_PATH_PARAM, t: { type: "number", minimum: 0 }, w: { type: "integer", minimum: 1, maximum: THUMB_MAX_WIDTH } } }
+    },
+    {
+      method: "get", path: "/media/thumbnails/storyboard", alias: "/thumb/storyboard", produces: "image/*", summary: "Storyboard strip for scrubbing",
+      query: { required: MEDIA_REQUIRED, properties: { id: MEDIA_ID_PARAM, file: MEDIA_PATH_PARAM, frames: { type: "integer", minimum: 1 }, w: { type: "integer", minimum: 1, maximum: THUMB_MAX_WIDTH } } }
+    },
+    { method: "get", path: "/media/marks", alias: "/api/clip-marks", summary: "A clip's in/out points and cues", query: MARKS_QUERY },
+    {
+      method: "put", path: "/media/marks", alias: "/api/clip-marks", summary: "Set a clip's in/out points and cues",
+      body: {
+        required: MEDIA_REQUIRED,
+        properties: {
+          id: MEDIA_ID_PARAM,
+          file: MEDIA_PATH_PARAM,
+          inPoint: MARK_TIME_PARAM,
+          outPoint: MARK_TIME_PARAM,
+          cues: {
+            type: "array",
+            items: { type: "object", required: ["time"], properties: { id: { type: "string" }, name: { type: "string" }, time: { type: "number", minimum: 0 } } }
+          }
+        }
+      }
+    },
+    {
+      method: "put", path: "/media/marks/poster", alias: "/api/clip-marks/poster", summary: "Set a clip's poster frame",
+      body: { required: MEDIA_REQUIRED, properties: { id: MEDIA_ID_PARAM, file: MEDIA_PATH_PARAM, time: MARK_TIME_PARAM } }
+    },
+    {
+      method: "put", path: "/media/marks/gain", alias: "/api/clip-marks/gain", summary: "Set a clip's default gain",
+      body: { required: [...MEDIA_REQUIRED, "gainDb"], properties: { id: MEDIA_ID_PARAM, file: MEDIA_PATH_PARAM, gainDb: { type: "number", minimum: -30, maximum: 20 } } }
+    },
+    { method: "delete", path: "/media/marks", alias: "/api/clip-marks", summary: "Clear a clip's marks (keeps its gain)", query: MARKS_QUERY }
+  ]),
+  ...apiGroup("Uploads", [
+    {
+      method: "post", path: "/uploads", alias: "/upload/init", summary: "Start a resumable upload",
+      body: { required: ["filename", "size"], properties: { filename: { type: "string", minLength: 1 }, size: { type: "integer", minimum: 0 }, folder: { type: "string" } } }
+    },
+    { method: "get", path: "/uploads/{id}", alias: "/upload/{id}", summary: "Offset reached by an upload" },
+    {
+      method: "put", path: "/uploads/{id}", alias: "/upload/{id}", consumes: "application/octet-stream",
+      summary: "Send the next chunk (with a Content-Range header)"
+    },
+    { method: "delete", path: "/uploads/{id}", alias: "/upload/{id}", summary: "Cancel an upload" },
+    {
+      method: "post", path: "/uploads/form", alias: "/upload", consumes: "multipart/form-data", summary: "Upload files in one multipart request",
+      query: { properties: { folder: { type: "string" } } }
+    }
+  ]),
+  ...apiGroup("Rundowns", [
+    { method: "get", path: "/rundowns", alias: "/api/rundowns", summary: "List rundowns" },
+    { method: "post", path: "/rundowns", alias: "/api/rundowns", summary: "Create a rundown", body: RUNDOWN_BODY },
+    { method: "get", path: "/rundowns/{id}", alias: "/api/rundowns/{id}", summary: "A rundown with its items" },
+    { method: "put", path: "/rundowns/{id}", alias: "/api/rundowns/{id}", summary: "Replace a rundown", body: RUNDOWN_BODY },
+    { method: "delete", path: "/rundowns/{id}", alias: "/api/rundowns/{id}", summary: "Delete a rundown" },
+    { method: "post", path: "/rundowns/{id}/load", alias: "/api/rundowns/{id}/load", summary: "Make a rundown the active one" },
+    { method: "get", path: "/rundown", alias: "/api/rundown/state", summary: "The active rundown's cursor" },
+    { method: "post", path: "/rundown/next", alias: "/rundown/next", summary: "Play the next item" },
+    { method: "post", path: "/rundown/previous", alias: "/rundown/previous", summary: "Play the previous item" },
+    { method: "post", path: "/rundown/skip", alias: "/rundown/skip", summary: "Skip the next item" },
+    {
+      method: "post", path: "/rundown/play", alias: "/rundown/play", summary: "Play an item by index",
+      body: { required: ["index"], properties: { index: { type: "integer", minimum: 0 } } }
+    },
+    {
+      method: "post", path: "/rundown/auto-advance", alias: "/rundown/auto-advance", summary: "Turn auto-advance on or off",
+      body: { required: ["enabled"], properties: { enabled: { type: "boolean" } } }
+    }
+  ]),
+  ...apiGroup("Schedule", [
+    { method: "get", path: "/schedule", alias: "/api/schedule", summary: "Scheduled events" },
+    {
+      method: "post", path: "/schedule", alias: "/api/schedule", summary: "Schedule an event",
+      body: {
+        required: ["action", "trigger"],
+        properties: {
+          action: { type: "string", enum: SCHEDULE_ACTIONS },
+          name: { type: "string" },
+          trigger: {
+            type: "object",
+            required: ["type"],
+            properties: {
+              type: { type: "string", enum: ["once", "daily", "weekdays", "interval"] },
+              at: { type: "string", description: "once: date and time" },
+              time: { type: "string", description: "daily / weekdays: HH:MM or HH:MM:SS" },
+              days: { type: "array", items: { type: "integer", minimum: 0, maximum: 6 }, description: "daily: 0 = Sunday" },
+              everyMinutes: { type: "number", minimum: 1 },
+              startAt: { type: "string" }
+            }
+          },
+          mediaId: MEDIA_ID_PARAM,
+          filePath: MEDIA_PATH_PARAM,
+          player: PLAYER_PARAM,
+          rundownId: { type: "string" },
+          endAction: END_ACTION_PARAM,
+          offlinePolicy: { type: ["string", "null"], enum: ["skip", "retry", null] },
+          enabled: { type: "boolean" }
+        }
+      }
+    },
+    { method: "delete", path: "/schedule/{id}", alias: "/api/schedule/{id}", summary: "Delete a scheduled event" }
+  ]),
+  ...apiGroup("As-run log", [
+    {
+      method: "get", path: "/as-run", alias: "/api/as-run", summary: "As-run entries, oldest first",
+      query: { properties: { ...AS_RUN_FILTERS, limit: { type: "integer", minimum: 1, maximum: AS_RUN_QUERY_MAX, description: "default 500" } } }
+    },
+    {
+      method: "get", path: "/as-run/export", alias: "/api/as-run/export", produces: "text/csv", summary: "Download entries as CSV or JSON",
+      query: { properties: { ...AS_RUN_FILTERS, format: { type: "string", enum: ["csv", "json"] } } }
+    }
+  ]),
+  ...apiGroup("Settings", [
+    { method: "get", path: "/settings", alias: "/api/settings", summary: "Connection settings and storage info" },
+    {
+      method: "post", path: "/settings", alias: "/api/settings", summary: "Change the media folder and OBS connection",
+      body: { required: ["MEDIA_DIR", "OBS_URL"], properties: SETTINGS_FIELDS }
+    },
+    {
+      method: "post", path: "/settings/local", alias: "/api/settings/localStorage", summary: "Apply settings kept by the browser",
+      body: { properties: SETTINGS_FIELDS }
+    },
+    { method: "get", path: "/settings/players", alias: "/api/settings/players", summary: "Player layers" },
+    {
+      method: "put", path: "/settings/players", alias: "/api/settings/players", summary: "Replace the player layers",
+      body: { required: ["players"], properties: { players: { type: "array", items: { type: "object" } } } }
+    },
+    { method: "get", path: "/settings/transition", alias: "/api/settings/transition", summary: "Default transition" },
+    {
+      method: "put", path: "/settings/transition", alias: "/api/settings/transition", summary: "Set the default transition",
+      body: { required: ["transition"], properties: { transition: TRANSITION_PARAM } }
+    },
+    { method: "get", path: "/settings/end-action", alias: "/api/settings/end-action", summary: "Default end of clip action" },
+    {
+      method: "put", path: "/settings/end-action", alias: "/api/settings/end-action", summary: "Set the default end of clip action",
+      body: { required: ["endAction"], properties: { endAction: END_ACTION_PARAM } }
+    },
+    { method: "get", path: "/settings/obs-mirrors", alias: "/api/settings/obs-mirrors", summary: "Mirror OBS instances" },
+    {
+      method: "put", path: "/settings/obs-mirrors", alias: "/api/settings/obs-mirrors", summary: "Replace the mirror OBS instances",
+      body: { required: ["mirrors"], properties: { mirrors: { type: "array", items: { type: "object" } } } }
+    },
+    { method: "get", path: "/settings/webhooks", alias: "/api/settings/webhooks", summary: "Webhooks" },
+    {
+      method: "put", path: "/settings/webhooks", alias: "/api/settings/webhooks", summary: "Replace the webhooks",
+      body: {
+        required: ["webhooks"],
+        properties: {
+          webhooks: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["url"],
+              properties: {
+                id: { type: "string" },
+                name: { type: "string" },
+                url: { type: "string" },
+                secret: { type: "string", description: "omit to keep the stored one" },
+                events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS } },
+                enabled: { type: "boolean" }
+              }
+            }
+          }
+        }
+      }
+    },
+    { method: "post", path: "/settings/webhooks/{id}/test", alias: "/api/settings/webhooks/{id}/test", summary: "Send a ping to a webhook" },
+    {
+      method: "get", path: "/settings/webhooks/deliveries", alias: "/api/settings/webhooks/deliveries", summary: "Webhook delivery log, newest first",
+      query: {
+        properties: {
+          webhook: { type: "string" },
+          event: { type: "string" },
+          state: { type: "string", enum: WEBHOOK_DELIVERY_STATES },
+          limit: { type: "integer", minimum: 1, maximum: CONFIG.WEBHOOK_LOG_SIZE, description: "default 100" }
+        }
+      }
+    }
+  ]),
+  ...apiGroup("Maintenance", [
+    { method: "get", path: "/cache", alias: "/api/cache", summary: "Thumbnail cache usage" },
+    { method: "post", path: "/cache/gc", alias: "/api/cache/gc", summary: "Remove thumbnails of files that are gone" },
+    { method: "post", path: "/cache/rebuild", alias: "/api/cache/rebuild", status: 202, summary: "Rebuild every thumbnail" }
+  ])
+].map((route) => {
+  const params = [];
+  const source = route.path.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{(\w+)\}/g, (match, name) => {
+    params.push(name);
+    return "([^/]+)";
   });
+  const aliasSource = route.alias.replace(/[.*+?^$()|[\]\\]/g, "\\$&").replace(/\{\w+\}/g, "[^/]+");
+  return { ...route, params, pattern: new RegExp(`^${source}$`), aliasPattern: new RegExp(`^${aliasSource}$`) };
+});
+
+// ----- Validation -----
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+// Query values arrive as strings
+function fromQueryString(value, types) {
+  if ((types.includes("integer") || types.includes("number")) && value !== "" && Number.isFinite(Number(value))) return Number(value);
+  if (types.includes("boolean") && (value === "true" || value === "false" || value === "1" || value === "0")) {
+    return value === "true" || value === "1";
+  }
+  return value;
+}
+
+function checkValue(schema, value, where, errors) {
+  const types = schema.type ? [].concat(schema.type) : null;
+  const type = jsonType(value);
+  if (types && !types.includes(type) && !(type === "integer" && types.includes("number"))) {
+    errors.push(`${where} must be ${types.join(" or ")}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${where} must be one of: ${schema.enum.filter(v => v !== null).join(", ")}`);
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) errors.push(`${where} must be at least ${schema.minimum}`);
+  if (typeof value === "number" && schema.maximum !== undefined && value > schema.maximum) errors.push(`${where} must be at most ${schema.maximum}`);
+  if (typeof value === "string" && schema.minLength && value.length < schema.minLength) {
+    errors.push(schema.minLength === 1 ? `${where} must not be empty` : `${where} must be at least ${schema.minLength} characters`);
+  }
+  if (type === "array" && schema.items) value.forEach((item, i) => checkValue(schema.items, item, `${where}[${i}]`, errors));
+  if (type === "object") checkObject(schema, value, where, errors);
+}
+
+function checkObject(schema, value, where, errors, fromQuery = false) {
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === "") errors.push(`${where}.${key} is required`);
+  }
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (value[key] === undefined || (fromQuery && value[key] === "")) continue;
+    const field = fromQuery && property.type && typeof value[key] === "string"
+      ? fromQueryString(value[key], [].concat(property.type))
+      : value[key];
+    checkValue(property, field, `${where}.${key}`, errors);
+  }
+}
+
+function apiRequestErrors(route, req) {
+  const errors = [];
+  if (route.query) checkObject(route.query, req.query, "query", errors, true);
+  if (route.body) {
+    if (jsonType(req.body) !== "object") errors.push("body must be a JSON object");
+    else checkObject(route.body, req.body, "body", errors);
+  }
+  return errors;
+}
+
+// Runs ahead of auth: the rewritten request is then authorized and handled
+// exactly like one sent to the alias, once validateApiV1 has passed it
+function routeApiV1(req, res, next) {
+  if (req.path !== API_V1_PREFIX && !req.path.startsWith(`${API_V1_PREFIX}/`)) return next();
+  const subPath = req.path.slice(API_V1_PREFIX.length) || "/";
+  if (subPath === API_V1_SPEC && (req.method === "GET" || req.method === "HEAD")) return res.json(openApiDocument());
+
+  const matches = API_V1_ROUTES.map(route => ({ route, match: route.pattern.exec(subPath) })).filter(m => m.match);
+  if (!matches.length) return sendError(res, httpError(404, `no such API route: ${req.method} ${req.path}`));
+  const method = req.method === "HEAD" ? "get" : req.method.toLowerCase();
+  const hit = matches.find(m => m.route.method === method);
+  if (!hit) {
+    res.set("Allow", [...new Set(matches.map(m => m.route.method.toUpperCase()))].join(", "));
+    return sendError(res, httpError(405, `${req.method} is not supported on ${req.path}`));
+  }
+
+  const query = req.url.includes("?") ? req.url.slice(req.url.indexOf("?")) : "";
+  let i = 0;
+  req.url = hit.route.alias.replace(/\{\w+\}/g, () => hit.match[++i]) + query;
+  req.apiRoute = hit.route;
+  next();
+}
+
+// A request sent straight to an alias is held to the same schemas
+function aliasedApiRoute(req) {
+  const method = req.method === "HEAD" ? "get" : req.method.toLowerCase();
+  return API_V1_ROUTES.find(route => route.method === method && route.aliasPattern.test(req.path));
+}
+
+// After auth, so callers without access learn nothing from the checks
+function validateApiV1(req, res, next) {
+  const route = req.apiRoute || aliasedApiRoute(req);
+  if (!route) return next();
+  const errors = apiRequestErrors(route, req);
+  if (!errors.length) return next();
+  const err = httpError(400, errors.join("; "));
+  err.details = errors;
+  sendError(res, err);
+}
+
+// ----- OpenAPI -----
+function apiOperationId(route) {
+  return route.method + route.path.split("/").filter(Boolean).map((part) => {
+    const words = part.replace(/^\{(\w+)\}$/, "by-$1").split(/[-_]/);
+    return words.map(word => word[0].toUpperCase() + word.slice(1)).join("");
+  }).join("");
+}
+
+function apiOperation(route) {
+  const method = route.method.toUpperCase();
+  const alias = route.alias.replace(/\{(\w+)\}/g, ":$1");
+  const role = route.public ? null : requiredRole({ method, path: route.alias.replace(/\{\w+\}/g, "x") });
+  const query = route.query || {};
+  const parameters = [
+    ...route.params.map(name => ({ name, in: "path", required: true, schema: { type: "string" } })),
+    ...Object.entries(query.properties || {}).map(([name, schema]) => ({
+      name,
+      in: "query",
+      required: (query.required || []).includes(name),
+      schema
+    }))
+  ];
+  const operation = {
+    operationId: apiOperationId(route),
+    tags: [route.tag],
+    summary: route.summary,
+    description: `${role ? `Needs the ${role} role.` : "No login needed."} Also served at ${method} ${alias}.`
+  };
+  if (route.public) operation.security = [];
+  if (parameters.length) operation.parameters = parameters;
+  if (route.body) {
+    operation.requestBody = {
+      required: !!(route.body.required || []).length,
+      content: { "application/json": { schema: { type: "object", ...route.body } } }
+    };
+  } else if (route.consumes) {
+    operation.requestBody = { required: true, content: { [route.consumes]: { schema: { type: "string", format: "binary" } } } };
+  }
+  operation.responses = {
+    [route.status || 200]: {
+      description: "Success",
+      content: route.produces
+        ? { [route.produces]: { schema: { type: "string", format: "binary" } } }
+        : { "application/json": { schema: { $ref: "#/components/schemas/Ok" } } }
+    },
+    default: { description: "Failure", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } }
+  };
+  return operation;
+}
+
+function openApiDocument() {
+  const paths = {};
+  for (const route of API_V1_ROUTES) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = apiOperation(route);
+  }
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "OBS Playout API",
+      version: "1.0.0",
+      description: "Every failure is { ok: false, error, code }; branch on code, show error to people."
+    },
+    servers: [{ url: API_V1_PREFIX }],
+    security: [{ bearerToken: [] }, { apiKey: [] }, { session: [] }],
+    components: {
+      securitySchemes: {
+        bearerToken: { type: "http", scheme: "bearer", description: "API token" },
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+        session: { type: "apiKey", in: "cookie", name: SESSION_COOKIE }
+      },
+      schemas: {
+        Ok: { type: "object", required: ["ok"], properties: { ok: { const: true } }, additionalProperties: true },
+        Error: {
+          type: "object",
+          required: ["ok", "error", "code"],
+          properties: {
+            ok: { const: false },
+            error: { type: "string" },
+            code: { type: "string", enum: ERROR_CODES },
+            details: { type: "array", items: { type: "string" }, description: "every problem found by validation" }
+          }
+        }
+      }
+    },
+    paths
+  };
+}
+
+// Unknown API routes and unreadable bodies answer in the same shape as the rest
+app.use("/api", (req, res) => sendError(res, httpError(404, `no such API route: ${req.method} ${req.baseUrl}${req.path}`)));
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  sendError(res, err.type === "entity.parse.failed" ? httpError(400, "request body is not valid JSON") : err);
 });
 
 // ------------------- Start server ----------------
@@ -1162,3 +7417,5 @@ server.listen(CONFIG.SERVER_PORT, '0.0.0.0', () => {
   
   console.log(`Media dir => ${CONFIG.MEDIA_DIR}`);
 });
+
+startControlListeners();
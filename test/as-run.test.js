@@ -0,0 +1,64 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs/promises");
+const path = require("path");
+const { startApp } = require("./helpers");
+
+let app;
+const COUNT = 20;
+
+before(async () => {
+  app = await startApp({
+    beforeStart: async ({ dataDir }) => {
+      const start = Date.now() - 60 * 60 * 1000;
+      const lines = [];
+      for (let i = 0; i < COUNT; i++) {
+        lines.push(JSON.stringify({
+          at: new Date(start + i * 1000).toISOString(),
+          event: "start",
+          player: "main",
+          filename: `clip${i}.mp4`,
+          operator: "test"
+        }));
+      }
+      // an entry cut short by a crash is skipped
+      lines.push('{"at":"');
+      const day = new Date(start).toISOString().slice(0, 10);
+      await fsp.mkdir(path.join(dataDir, "as-run"), { recursive: true });
+      await fsp.writeFile(path.join(dataDir, "as-run", `${day}.jsonl`), lines.join("\n") + "\n");
+    }
+  });
+  await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+test("limit outside 1..5000 is refused", async () => {
+  for (const limit of ["-5", "0", "abc", "2.5", "5001"]) {
+    const res = await app.request("GET", `/api/as-run?limit=${limit}`);
+    assert.equal(res.status, 400, `limit=${limit}`);
+    assert.equal(res.json.code, "VALIDATION_FAILED");
+  }
+});
+
+test("limit returns the latest entries, oldest first", async () => {
+  const res = await app.request("GET", "/api/as-run?limit=5");
+  assert.equal(res.status, 200);
+  assert.equal(res.json.total, COUNT);
+  assert.deepEqual(res.json.entries.map(e => e.filename), [15, 16, 17, 18, 19].map(i => `clip${i}.mp4`));
+});
+
+test("the export streams every entry in the range", async () => {
+  const csv = await app.request("GET", "/api/as-run/export?format=csv");
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  const rows = csv.text.trim().split("\r\n");
+  assert.equal(rows.length, COUNT + 1);
+  assert.match(rows[1], /clip0\.mp4/);
+
+  const json = await app.request("GET", "/api/as-run/export?format=json");
+  assert.equal(json.status, 200);
+  assert.equal(json.json.entries.length, COUNT);
+});
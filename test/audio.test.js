@@ -0,0 +1,71 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, delay } = require("./helpers");
+
+let obs;
+let app;
+let ids;
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({ env: { OBS_URL: obs.url }, media: { "clip.mp4": "clip" } });
+  await app.login();
+  ids = await app.mediaIds(1);
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+function volumesSince(from) {
+  return obs.requests.slice(from)
+    .filter(r => r.requestType === "SetInputVolume" && r.requestData.inputName === "PlayerVideo")
+    .map(r => r.requestData.inputVolumeDb);
+}
+
+test("volume and mute are checked and sent to the player's input", async () => {
+  for (const body of [{ volumeDb: "loud" }, { fadeInMs: -1 }, { fadeOutMs: 60000 }]) {
+    assert.equal((await app.request("POST", "/obs/audio", { body })).status, 400, JSON.stringify(body));
+  }
+
+  const from = obs.requests.length;
+  const { json } = await app.request("POST", "/obs/audio", { body: { volumeDb: -6, muted: true } });
+  assert.deepEqual([json.audio.volumeDb, json.audio.muted], [-6, true]);
+  assert.deepEqual(volumesSince(from), [-6]);
+  const mute = obs.requests.slice(from).find(r => r.requestType === "SetInputMute");
+  assert.deepEqual(mute.requestData, { inputName: "PlayerVideo", inputMuted: true });
+
+  assert.deepEqual((await app.request("GET", "/obs/audio")).json.audio, json.audio);
+  await app.request("POST", "/obs/audio", { body: { muted: false } });
+});
+
+test("a clip fades in to the player volume plus its own gain", async () => {
+  assert.equal((await app.request("PUT", "/api/clip-marks/gain", { body: { id: ids["clip.mp4"], gainDb: 40 } })).status, 400);
+  assert.equal((await app.request("PUT", "/api/clip-marks/gain", { body: { id: ids["clip.mp4"], gainDb: 3 } })).status, 200);
+  await app.request("POST", "/obs/audio", { body: { fadeInMs: 200 } });
+
+  const from = obs.requests.length;
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"] } })).status, 200);
+  // The fade runs on after the play has answered
+  await delay(500);
+  const ramp = volumesSince(from);
+  assert.ok(ramp.length > 2, JSON.stringify(ramp));
+  assert.ok(ramp[0] < ramp[1], "rises");
+  assert.equal(ramp[ramp.length - 1], -3);
+});
+
+test("changing the gain re-levels the clip on air", async () => {
+  const from = obs.requests.length;
+  assert.equal((await app.request("PUT", "/api/clip-marks/gain", { body: { id: ids["clip.mp4"], gainDb: -2 } })).status, 200);
+  assert.deepEqual(volumesSince(from), [-8]);
+});
+
+test("the player settings leave out the live mix", async () => {
+  const { json } = await app.request("GET", "/api/settings/players");
+  for (const player of json.players) {
+    assert.equal(player.audio, undefined);
+    assert.equal(player.media, undefined);
+  }
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, delay } = require("./helpers");
+
+// A ten-second clip, as the fake ffprobe reports it
+const CLIP = JSON.stringify({ format: { duration: "10.0" }, streams: [{ codec_type: "video", codec_name: "h264" }] });
+
+let obs;
+let app;
+let ids;
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({ env: { OBS_URL: obs.url }, ffprobe: true, media: { "clip.mp4": CLIP, "still.png": "png" } });
+  await app.login();
+  ids = await app.mediaIds(2);
+  // Out-points are checked against the duration, which is probed after indexing
+  for (let i = 0; i < 50; i++) {
+    const { json } = await app.request("GET", "/media?type=video");
+    if (json.items[0].duration) break;
+    await delay(100);
+  }
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+function requestsOf(type) {
+  return obs.requests.filter(r => r.requestType === type);
+}
+
+async function setMarks(body) {
+  return app.request("PUT", "/api/clip-marks", { body: { id: ids["clip.mp4"], ...body } });
+}
+
+test("marks are checked, stored and listed with the clip", async () => {
+  assert.equal((await setMarks({ inPoint: 4, outPoint: 3 })).status, 400);
+  assert.equal((await setMarks({ outPoint: 12 })).status, 400, "past the end of the clip");
+  assert.equal((await setMarks({ cues: [{ name: "no time" }] })).status, 400);
+  assert.equal((await app.request("PUT", "/api/clip-marks", { body: { id: ids["still.png"], inPoint: 1 } })).status, 400);
+
+  const saved = await setMarks({ inPoint: 1.5, outPoint: 8, cues: [{ name: "Punchline", time: 6 }, { name: "Open", time: 2 }] });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.json.marks.cues.map(cue => [cue.name, cue.time]), [["Open", 2], ["Punchline", 6]]);
+
+  const { json } = await app.request("GET", `/api/clip-marks?id=${ids["clip.mp4"]}`);
+  assert.deepEqual([json.marks.inPoint, json.marks.outPoint], [1.5, 8]);
+  const listed = await app.request("GET", "/media?type=video");
+  assert.deepEqual(listed.json.items[0].marks, json.marks);
+
+  assert.equal((await app.request("DELETE", `/api/clip-marks?id=${ids["clip.mp4"]}`)).status, 200);
+  const cleared = await app.request("GET", `/api/clip-marks?id=${ids["clip.mp4"]}`);
+  assert.deepEqual(cleared.json.marks, { inPoint: null, outPoint: null, cues: [] });
+});
+
+test("playing and restarting start at the in-point", async () => {
+  await setMarks({ inPoint: 2.5 });
+  const before = requestsOf("SetMediaInputCursor").length;
+
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"] } })).status, 200);
+  assert.equal((await app.request("POST", "/obs/control", { body: { action: "restart" } })).status, 200);
+
+  const cursors = requestsOf("SetMediaInputCursor").slice(before);
+  assert.deepEqual(cursors.map(r => r.requestData.mediaCursor), [2500, 2500]);
+});
+
+test("the clip is stopped once it reaches the out-point", async () => {
+  // The fake OBS always reports the cursor at one second
+  await setMarks({ outPoint: 0.5 });
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"] } })).status, 200);
+  const before = requestsOf("TriggerMediaInputAction").length;
+  await delay(1000);
+
+  const actions = requestsOf("TriggerMediaInputAction").slice(before).map(r => r.requestData.mediaAction);
+  assert.deepEqual(actions, ["OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP"]);
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("dgram");
+const net = require("net");
+const { startApp, startFakeOBS, freePort, delay } = require("./helpers");
+
+let obs;
+let app;
+let tcpPort;
+let oscPort;
+
+before(async () => {
+  obs = await startFakeOBS();
+  tcpPort = await freePort();
+  oscPort = await freePort();
+  // This machine is not on the allow list, so the tests go through tokens
+  app = await startApp({
+    env: { OBS_URL: obs.url, TCP_CONTROL_PORT: String(tcpPort), OSC_PORT: String(oscPort), CONTROL_ALLOW: "192.0.2.1" },
+    media: { "a.mp4": "a" }
+  });
+  await app.login();
+  await app.mediaIds(1);
+  await app.request("POST", "/obs/connect");
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+async function token(role) {
+  const { json } = await app.request("POST", "/api/auth/tokens", { body: { name: `panel-${role}`, role } });
+  return json.token;
+}
+
+// Sends lines one at a time; resolves with everything received
+async function tcpSession(lines) {
+  const socket = net.connect(tcpPort, "127.0.0.1");
+  socket.setEncoding("utf8");
+  let received = "";
+  socket.on("data", chunk => { received += chunk; });
+  await new Promise(resolve => socket.on("connect", resolve));
+  await delay(100);
+  const greeting = received;
+  for (const line of lines) {
+    socket.write(`${line}\n`);
+    await delay(150);
+  }
+  socket.destroy();
+  return { greeting, lines: received.slice(greeting.length).trim().split("\n") };
+}
+
+function oscString(value) {
+  const buf = Buffer.from(`${value}\0`);
+  return Buffer.concat([buf, Buffer.alloc((4 - (buf.length % 4)) % 4)]);
+}
+
+function oscMessage(address, args) {
+  return Buffer.concat([oscString(address), oscString(`,${"s".repeat(args.length)}`), ...args.map(oscString)]);
+}
+
+// Sends one message and collects the addresses of whatever comes back
+async function oscExchange(address, args) {
+  const socket = dgram.createSocket("udp4");
+  const replies = [];
+  socket.on("message", buf => replies.push(buf.toString("utf8", 0, buf.indexOf(0))));
+  await new Promise(resolve => socket.bind(0, "127.0.0.1", resolve));
+  socket.send(oscMessage(address, args), oscPort, "127.0.0.1");
+  await delay(300);
+  socket.close();
+  return replies;
+}
+
+test("TCP clients get nothing until they authenticate", async () => {
+  const { greeting, lines } = await tcpSession(["PING", "AUTH not-a-token", "STATUS"]);
+  assert.equal(greeting, "");
+  assert.match(lines[0], /^ERR API token required/);
+  assert.match(lines[1], /^ERR invalid API token/);
+  assert.match(lines[2], /^ERR API token required/);
+});
+
+test("a TCP token acts with its role", async () => {
+  const { lines } = await tcpSession([`AUTH ${await token("viewer")}`, "PING", "STOP"]);
+  assert.equal(lines[0], "OK token:panel-viewer viewer");
+  assert.ok(lines.some(line => line.startsWith("OBS ")), "state follows a successful AUTH");
+  assert.ok(lines.includes("OK pong"));
+  assert.equal(lines[lines.length - 1], "ERR operator role required");
+});
+
+test("OSC without a token is ignored, with one it is answered", async () => {
+  assert.deepEqual(await oscExchange("/playout/subscribe", []), []);
+  assert.deepEqual(await oscExchange("/playout/list", ["videos"]), []);
+
+  const operator = await token("operator");
+  assert.deepEqual(await oscExchange("/playout/list", [operator, "videos"]), ["/playout/item"]);
+  const feedback = await oscExchange("/playout/subscribe", [operator]);
+  assert.ok(feedback.includes("/playout/obs"));
+});
@@ -0,0 +1,62 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, delay } = require("./helpers");
+
+// The fake OBS reports every clip one second into sixty, so 59 s are left
+// at the start; the first warning comes half a second in
+const WARNINGS = "58.5,30";
+
+let obs;
+let app;
+let ids;
+let socket;
+const warnings = [];
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({
+    env: { OBS_URL: obs.url, COUNTDOWN_WARNINGS: WARNINGS, PROGRESS_RESYNC_MS: "60000" },
+    media: { "clip.mp4": "clip", "next.mp4": "next" }
+  });
+  await app.login();
+  ids = await app.mediaIds(2);
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+  socket = await app.socket();
+  socket.on("countdownWarning", warning => warnings.push(warning));
+
+  const { json } = await app.request("POST", "/api/rundowns", { body: { name: "Later", items: [{ mediaId: ids["next.mp4"] }] } });
+  await app.request("POST", `/api/rundowns/${json.rundown.id}/load`);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+test("a playing clip reports the time left, when it ends and what comes next", async () => {
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"] } })).status, 200);
+  await delay(100);
+  const { json } = await app.request("GET", "/obs/progress");
+  assert.ok(json.remainingMs > 58000 && json.remainingMs <= 59000, String(json.remainingMs));
+  assert.ok(Math.abs(json.endsAt - (Date.now() + json.remainingMs)) < 200);
+  assert.deepEqual([json.next.source, json.next.index, json.next.filename, json.next.mediaId], ["rundown", 0, "next.mp4", ids["next.mp4"]]);
+});
+
+test("crossing a warning threshold is announced once", async () => {
+  await delay(800);
+  assert.deepEqual(warnings.map(warning => warning.seconds), [58.5]);
+  const [warning] = warnings;
+  assert.deepEqual([warning.player, warning.filename, warning.next.filename], ["main", "clip.mp4", "next.mp4"]);
+  assert.ok(warning.remainingMs <= 58500);
+
+  await delay(500);
+  assert.equal(warnings.length, 1);
+});
+
+test("a paused clip has no end time", async () => {
+  assert.equal((await app.request("POST", "/obs/control", { body: { action: "pause" } })).status, 200);
+  await delay(100);
+  const { json } = await app.request("GET", "/obs/progress");
+  assert.equal(json.remainingMs, 59000);
+  assert.equal(json.endsAt, null);
+});
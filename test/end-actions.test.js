@@ -0,0 +1,86 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, delay } = require("./helpers");
+
+// Past the window in which the end of the previous file is ignored
+const SETTLED_MS = 1200;
+
+let obs;
+let app;
+let ids;
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({ env: { OBS_URL: obs.url }, media: { "clip.mp4": "clip", "slate.png": "png" } });
+  await app.login();
+  ids = await app.mediaIds(2);
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+// Play the clip with an end action and have OBS report that it ran out
+async function playToEnd(endAction) {
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"], endAction } })).status, 200);
+  await delay(SETTLED_MS);
+  const from = obs.requests.length;
+  obs.emit("MediaInputPlaybackEnded", { inputName: "PlayerVideo" });
+  await delay(300);
+  const { json } = await app.request("GET", "/api/current-playing");
+  return { sent: obs.requests.slice(from), playing: json.hasMedia ? json.currentPlaying : null };
+}
+
+test("end actions are checked", async () => {
+  const put = endAction => app.request("PUT", "/api/settings/end-action", { body: { endAction } });
+  assert.equal((await put("rewind")).status, 400);
+  assert.equal((await put({ type: "scene" })).status, 400);
+  assert.equal((await put({ type: "fallback" })).status, 400);
+  assert.equal((await put({ type: "fallback", mediaId: ids["clip.mp4"] })).status, 400, "a clip is no fallback");
+
+  const { json } = await put({ type: "fallback", mediaId: ids["slate.png"] });
+  assert.deepEqual(json.endAction, { type: "fallback", mediaId: ids["slate.png"] });
+  assert.deepEqual((await put("stop")).json.endAction, { type: "stop" });
+});
+
+test("the source is set up for the end action", async () => {
+  const loaded = () => obs.requests.filter(r => r.requestType === "SetInputSettings" && r.requestData.inputSettings.local_file).pop();
+  await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"], endAction: "loop" } });
+  assert.deepEqual([loaded().requestData.inputSettings.looping, loaded().requestData.inputSettings.clear_on_media_end], [true, true]);
+  await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"], endAction: "hold" } });
+  assert.deepEqual([loaded().requestData.inputSettings.looping, loaded().requestData.inputSettings.clear_on_media_end], [false, false]);
+});
+
+test("hold keeps the clip as now-playing, marked as ended", async () => {
+  const { playing } = await playToEnd("hold");
+  assert.deepEqual([playing.filename, playing.ended], ["clip.mp4", true]);
+});
+
+test("hide takes the player's sources off and clears now-playing", async () => {
+  const { sent, playing } = await playToEnd("hide");
+  assert.equal(playing, null);
+  assert.ok(sent.some(r => r.requestType === "SetSceneItemEnabled" && r.requestData.sceneItemEnabled === false));
+});
+
+test("fallback shows the still on the player", async () => {
+  const { sent, playing } = await playToEnd({ type: "fallback", mediaId: ids["slate.png"] });
+  assert.deepEqual([playing.type, playing.filename], ["image", "slate.png"]);
+  const shown = sent.find(r => r.requestType === "SetInputSettings" && r.requestData.inputSettings.file);
+  assert.equal(shown.requestData.inputName, "PlayerImage");
+});
+
+test("scene takes the named scene to program", async () => {
+  const { sent, playing } = await playToEnd({ type: "scene", scene: "Slate" });
+  assert.equal(playing, null);
+  const switched = sent.filter(r => r.requestType === "SetCurrentProgramScene").map(r => r.requestData.sceneName);
+  assert.deepEqual(switched, ["Slate"]);
+});
+
+test("the player settings leave out the end-of-clip bookkeeping", async () => {
+  const { json } = await app.request("GET", "/api/settings/players");
+  assert.equal(json.players[0].loadingUntil, undefined);
+  const listed = await app.request("GET", "/api/players");
+  assert.equal(listed.json.players[0].loadingUntil, undefined);
+});
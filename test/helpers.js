@@ -0,0 +1,259 @@
+// Shared fixtures for the tests: a stand-in for obs-websocket and the app
+// itself, started as a child process against throwaway media/data folders.
+const { spawn } = require("child_process");
+const fsp = require("fs/promises");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { WebSocketServer } = require("ws");
+const { encode, decode } = require("@msgpack/msgpack");
+const { io: ioClient } = require("socket.io-client");
+
+const APP = path.join(__dirname, "..", "app.js");
+const ADMIN_PASSWORD = "test-admin-password";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Answers every request (msgpack, like obs-websocket-js speaks in Node) and
+// keeps a log of them. Media inputs play once loaded; stopping one reports
+// the end of playback, as OBS does. Scenes keep the items added to them, so
+// shown/hidden state and stacking order can be checked. Pass the port of an earlier one to bring
+// "OBS" back where the app expects it.
+async function startFakeOBS({ port } = {}) {
+  if (!port) port = await freePort();
+  const wss = new WebSocketServer({ port, host: "127.0.0.1" });
+  const requests = [];
+  const sockets = new Set();
+  const mediaStates = new Map(); // inputName -> OBS_MEDIA_STATE_*
+  const scenes = new Map(); // sceneName -> [{ sceneItemId, sourceName, sceneItemEnabled, sceneItemIndex }]
+  let lastItemId = 0;
+  const itemsOf = sceneName => {
+    if (!scenes.has(sceneName)) scenes.set(sceneName, []);
+    return scenes.get(sceneName);
+  };
+  const findItem = ({ sceneName, sceneItemId }) => itemsOf(sceneName).find(item => item.sceneItemId === sceneItemId);
+
+  const emit = (eventType, eventData) => {
+    for (const ws of sockets) ws.send(encode({ op: 5, d: { eventType, eventIntent: 0, eventData } }));
+  };
+
+  wss.on("connection", (ws) => {
+    sockets.add(ws);
+    ws.on("close", () => sockets.delete(ws));
+    ws.send(encode({ op: 0, d: { obsWebSocketVersion: "5.0.0", rpcVersion: 1 } }));
+    ws.on("message", (raw) => {
+      const { op, d } = decode(raw);
+      if (op === 1) return ws.send(encode({ op: 2, d: { negotiatedRpcVersion: 1 } }));
+      if (op !== 6) return;
+      const { requestType, requestId } = d;
+      const requestData = d.requestData || {};
+      requests.push({ requestType, requestData });
+      if (requestType === "SetInputSettings" && requestData.inputSettings && requestData.inputSettings.local_file) {
+        mediaStates.set(requestData.inputName, "OBS_MEDIA_STATE_PLAYING");
+      }
+      if (requestType === "TriggerMediaInputAction") {
+        const state = requestData.mediaAction.endsWith("_STOP") ? "STOPPED" : requestData.mediaAction.endsWith("_PAUSE") ? "PAUSED" : "PLAYING";
+        mediaStates.set(requestData.inputName, `OBS_MEDIA_STATE_${state}`);
+      }
+      let sceneItemId;
+      if (requestType === "CreateInput" || requestType === "CreateSceneItem") {
+        const items = itemsOf(requestData.sceneName);
+        sceneItemId = ++lastItemId;
+        items.push({
+          sceneItemId,
+          sourceName: requestData.inputName || requestData.sourceName,
+          sceneItemEnabled: requestData.sceneItemEnabled !== false,
+          sceneItemIndex: items.length
+        });
+      }
+      if (requestType === "SetSceneItemEnabled" && findItem(requestData)) {
+        findItem(requestData).sceneItemEnabled = requestData.sceneItemEnabled;
+      }
+      if (requestType === "SetSceneItemIndex" && findItem(requestData)) {
+        const items = itemsOf(requestData.sceneName).filter(item => item.sceneItemId !== requestData.sceneItemId);
+        items.splice(requestData.sceneItemIndex, 0, findItem(requestData));
+        items.forEach((item, index) => { item.sceneItemIndex = index; });
+        scenes.set(requestData.sceneName, items);
+      }
+      const responseData = {
+        CreateInput: { sceneItemId },
+        CreateSceneItem: { sceneItemId },
+        GetSceneItemList: { sceneItems: (scenes.get(requestData.sceneName) || []).map(item => ({ ...item })) },
+        GetInputSettings: { inputSettings: {} },
+        GetMediaInputStatus: { mediaState: mediaStates.get(requestData.inputName) || "OBS_MEDIA_STATE_NONE", mediaCursor: 1000, mediaDuration: 60000 },
+        GetCurrentProgramScene: { currentProgramSceneName: "Scene" },
+        GetStudioModeEnabled: { studioModeEnabled: false },
+        GetSceneList: { currentProgramSceneName: "Scene", scenes: [{ sceneName: "Scene", sceneIndex: 0 }] }
+      }[requestType] || {};
+      ws.send(encode({ op: 7, d: { requestType, requestId, requestStatus: { result: true, code: 100 }, responseData } }));
+      if (requestType === "TriggerMediaInputAction" && requestData.mediaAction === "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP") {
+        setTimeout(() => emit("MediaInputPlaybackEnded", { inputName: requestData.inputName }), 20);
+      }
+    });
+  });
+  await new Promise(resolve => wss.on("listening", resolve));
+
+  return {
+    port,
+    url: `ws://127.0.0.1:${port}`,
+    requests,
+    emit,
+    close: () => new Promise((resolve) => {
+      for (const ws of sockets) ws.terminate();
+      wss.close(() => resolve());
+    })
+  };
+}
+
+// Put on the app's PATH in place of ffprobe: a clip's contents are the JSON
+// report ffprobe gives for it, anything else fails to probe
+const FAKE_FFPROBE = `#!${process.execPath}
+const fs = require("fs");
+try {
+  const report = JSON.parse(fs.readFileSync(process.argv[process.argv.length - 1], "utf8"));
+  process.stdout.write(JSON.stringify(report));
+} catch (e) {
+  process.exit(1);
+}
+`;
+
+// media: { "clip.mp4": "contents", ... } written to MEDIA_DIR before start;
+// beforeStart({ mediaDir, dataDir }) prepares anything else; ffprobe swaps in
+// FAKE_FFPROBE
+async function startApp({ env = {}, media = {}, beforeStart = null, ffprobe = false } = {}) {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "playout-test-"));
+  const mediaDir = path.join(root, "media");
+  const dataDir = path.join(root, "data");
+  const thumbDir = path.join(root, "thumbs");
+  await fsp.mkdir(mediaDir);
+  await fsp.mkdir(dataDir);
+  for (const [name, contents] of Object.entries(media)) {
+    await fsp.mkdir(path.dirname(path.join(mediaDir, name)), { recursive: true });
+    await fsp.writeFile(path.join(mediaDir, name), contents);
+  }
+  if (beforeStart) await beforeStart({ mediaDir, dataDir });
+  let PATH = process.env.PATH;
+  if (ffprobe) {
+    await fsp.mkdir(path.join(root, "bin"));
+    await fsp.writeFile(path.join(root, "bin", "ffprobe"), FAKE_FFPROBE, { mode: 0o755 });
+    PATH = `${path.join(root, "bin")}${path.delimiter}${PATH}`;
+  }
+
+  const port = await freePort();
+  const child = spawn(process.execPath, [APP], {
+    cwd: root, // keeps a developer's .env out of it
+    env: {
+      PATH,
+      MEDIA_DIR: mediaDir,
+      DATA_DIR: dataDir,
+      THUMB_CACHE: thumbDir,
+      PORT: String(port),
+      ADMIN_PASSWORD,
+      OBS_PASSWORD: "",
+      ...env
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  child.stdout.on("data", chunk => { output += chunk; });
+  child.stderr.on("data", chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.on("exit", resolve));
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const sockets = [];
+  let cookie = "";
+
+  async function request(method, url, { body, headers = {}, auth = true } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (auth && cookie) init.headers.cookie = cookie;
+    if (body !== undefined) {
+      init.body = typeof body === "string" || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+      if (!init.headers["content-type"]) init.headers["content-type"] = "application/json";
+    }
+    const res = await fetch(baseUrl + url, init);
+    const raw = Buffer.from(await res.arrayBuffer());
+    const text = raw.toString("utf8");
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      // not JSON; callers look at text
+    }
+    return { status: res.status, headers: res.headers, json, text, raw };
+  }
+
+  const app = {
+    baseUrl,
+    port,
+    mediaDir,
+    dataDir,
+    thumbDir,
+    request,
+    cookie: () => cookie,
+    output: () => output,
+    async login(username = "admin", password = ADMIN_PASSWORD) {
+      const res = await fetch(`${baseUrl}/api/auth/login`, {
+        method: "POST",
+        headers: { "content-type": "application/json" },
+        body: JSON.stringify({ username, password })
+      });
+      if (res.status !== 200) throw new Error(`login failed: ${res.status}`);
+      cookie = res.headers.get("set-cookie").split(";")[0];
+    },
+    // Resolves once the startup scan has listed `count` files
+    async mediaIds(count) {
+      for (let i = 0; i < 100; i++) {
+        const { json } = await request("GET", "/media?recursive=1");
+        if (json && json.items && json.items.length >= count) {
+          return Object.fromEntries(json.items.map(item => [item.filename, item.id]));
+        }
+        await delay(100);
+      }
+      throw new Error("media index did not fill");
+    },
+    // A socket.io client with the same cookie as the requests
+    socket() {
+      const client = ioClient(baseUrl, { transports: ["websocket"], extraHeaders: cookie ? { cookie } : {} });
+      sockets.push(client);
+      return new Promise((resolve, reject) => {
+        client.once("connect", () => resolve(client));
+        client.once("connect_error", reject);
+      });
+    },
+    async stop() {
+      sockets.forEach(client => client.close());
+      if (child.exitCode === null) child.kill();
+      await exited;
+      await fsp.rm(root, { recursive: true, force: true });
+    }
+  };
+
+  for (let i = 0; ; i++) {
+    try {
+      await fetch(`${baseUrl}/login`);
+      break;
+    } catch (e) {
+      if (child.exitCode !== null || i > 100) {
+        await app.stop();
+        throw new Error(`app did not start:\n${output}`);
+      }
+      await delay(100);
+    }
+  }
+  return app;
+}
+
+module.exports = { startApp, startFakeOBS, freePort, delay, ADMIN_PASSWORD };
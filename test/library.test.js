@@ -0,0 +1,91 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let app;
+
+before(async () => {
+  app = await startApp({
+    env: { LIBRARY_IGNORE: ".*,_archive" },
+    media: {
+      "top.png": "t",
+      "Show A/open.png": "o",
+      "Show A/Sponsors/spot.png": "s",
+      "Show B/promo.mp4": "promo-clip",
+      "Show B/spot-long.mp4": "the longer spot",
+      "_archive/old.png": "x",
+      ".hidden.png": "h"
+    }
+  });
+  await app.login();
+  await app.mediaIds(5);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+test("a folder lists its child folders and only its own items", async () => {
+  const root = await app.request("GET", "/media");
+  assert.equal(root.status, 200);
+  assert.equal(root.json.folder, "");
+  assert.deepEqual(root.json.folders, [{ name: "Show A", folder: "Show A" }, { name: "Show B", folder: "Show B" }]);
+  assert.deepEqual(root.json.items.map(item => item.filename), ["top.png"]);
+
+  const show = await app.request("GET", `/media?folder=${encodeURIComponent("Show A")}`);
+  assert.deepEqual(show.json.folders, [{ name: "Sponsors", folder: "Show A/Sponsors" }]);
+  assert.deepEqual(show.json.items.map(item => item.filename), ["open.png"]);
+});
+
+test("breadcrumbs lead back to the library root", async () => {
+  const { json } = await app.request("GET", `/media?folder=${encodeURIComponent("Show A/Sponsors")}`);
+  assert.deepEqual(json.breadcrumbs, [
+    { name: "Library", folder: "" },
+    { name: "Show A", folder: "Show A" },
+    { name: "Sponsors", folder: "Show A/Sponsors" }
+  ]);
+  assert.deepEqual(json.items.map(item => item.filename), ["spot.png"]);
+});
+
+test("ignored names stay out of the library, even when asked for", async () => {
+  const { json } = await app.request("GET", "/media?recursive=1");
+  assert.deepEqual(json.items.map(item => item.filename).sort(),
+    ["open.png", "promo.mp4", "spot-long.mp4", "spot.png", "top.png"]);
+
+  assert.equal((await app.request("GET", "/media?folder=_archive")).status, 400);
+  assert.equal((await app.request("GET", `/media?folder=${encodeURIComponent("../")}`)).status, 400);
+});
+
+test("search looks through sub-folders and combines with the type filter", async () => {
+  const spots = await app.request("GET", "/media?q=SPOT");
+  assert.deepEqual(spots.json.items.map(item => item.filename), ["spot-long.mp4", "spot.png"]);
+  assert.deepEqual(spots.json.folders, []);
+
+  const videos = await app.request("GET", "/media?q=spot&type=video");
+  assert.deepEqual(videos.json.items.map(item => item.filename), ["spot-long.mp4"]);
+  assert.equal(videos.json.total, 1);
+});
+
+test("sorting by size, largest first", async () => {
+  const { json } = await app.request("GET", "/media?recursive=1&type=video&sort=size&order=desc");
+  assert.deepEqual(json.items.map(item => item.filename), ["spot-long.mp4", "promo.mp4"]);
+});
+
+test("cursor pages cover every item exactly once", async () => {
+  const seen = [];
+  let cursor = null;
+  do {
+    const { json } = await app.request("GET", `/media?recursive=1&limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+    assert.ok(json.items.length <= 2);
+    assert.equal(json.total, 5);
+    seen.push(...json.items.map(item => item.filename));
+    cursor = json.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, ["open.png", "promo.mp4", "spot-long.mp4", "spot.png", "top.png"]);
+});
+
+test("bad query parameters are rejected", async () => {
+  for (const query of ["type=audio", "sort=colour", "limit=0", "cursor=nonsense"]) {
+    assert.equal((await app.request("GET", `/media?${query}`)).status, 400, query);
+  }
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs/promises");
+const path = require("path");
+const sharp = require("sharp");
+const { startApp } = require("./helpers");
+
+let png;
+let app;
+let ids;
+
+before(async () => {
+  png = await sharp({ create: { width: 32, height: 18, channels: 3, background: "#993366" } }).png().toBuffer();
+  app = await startApp({ media: { "still.png": png, "Show A/open.png": png } });
+  await app.login();
+  ids = await app.mediaIds(2);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+test("library items are addressed by ID, without their paths", async () => {
+  const { json } = await app.request("GET", "/media?recursive=1");
+  for (const item of json.items) {
+    assert.match(item.id, /^[\w-]{16}$/);
+    assert.equal(item.path, undefined);
+    assert.ok(!JSON.stringify(item).includes(app.mediaDir), item.filename);
+  }
+  assert.equal((await app.request("GET", `/thumb/image?id=${ids["open.png"]}`)).status, 200);
+});
+
+test("unknown IDs and plain paths are refused", async () => {
+  assert.equal((await app.request("GET", "/thumb/image?id=AAAAAAAAAAAAAAAA")).status, 404);
+  assert.equal((await app.request("GET", "/thumb/image")).status, 400);
+  const file = encodeURIComponent(path.join(app.mediaDir, "still.png"));
+  assert.equal((await app.request("GET", `/thumb/image?file=${file}`)).status, 400);
+});
+
+test("IDs stay the same across a restart", async () => {
+  const again = await startApp({ media: { "still.png": png, "Show A/open.png": png } });
+  try {
+    await again.login();
+    assert.deepEqual(await again.mediaIds(2), ids);
+  } finally {
+    await again.stop();
+  }
+});
+
+test("in path mode, nothing outside the library gets through", async () => {
+  let outside;
+  const legacy = await startApp({
+    env: { MEDIA_PATH_API: "true" },
+    media: { "still.png": png },
+    async beforeStart({ mediaDir }) {
+      // A sibling sharing the prefix (removed with the rest of the app's
+      // folder), and a link out of the library
+      outside = `${mediaDir}-private`;
+      await fsp.mkdir(outside);
+      await fsp.writeFile(path.join(outside, "secret.png"), png);
+      await fsp.symlink(path.join(outside, "secret.png"), path.join(mediaDir, "link.png"));
+    }
+  });
+  try {
+    await legacy.login();
+    const legacyIds = await legacy.mediaIds(2);
+    const thumb = file => legacy.request("GET", `/thumb/image?file=${encodeURIComponent(file)}`);
+    assert.equal((await thumb(path.join(legacy.mediaDir, "still.png"))).status, 200);
+    assert.equal((await thumb(path.join(outside, "secret.png"))).status, 400);
+    assert.equal((await thumb(`${legacy.mediaDir}/../media-private/secret.png`)).status, 400);
+    assert.equal((await thumb(path.join(legacy.mediaDir, "link.png"))).status, 400);
+    // Listed, since it sits in the library, but never served
+    assert.equal((await legacy.request("GET", `/thumb/image?id=${legacyIds["link.png"]}`)).status, 400);
+  } finally {
+    await legacy.stop();
+  }
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs/promises");
+const path = require("path");
+const { startApp, delay } = require("./helpers");
+
+const STABLE_MS = 600;
+let app;
+
+before(async () => {
+  app = await startApp({ env: { INDEX_STABLE_MS: String(STABLE_MS) }, media: { "ready.png": "png" } });
+  await app.login();
+  await app.mediaIds(1);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+async function listed(filename) {
+  const { json } = await app.request("GET", "/media?recursive=1");
+  return json.items.some(item => item.filename === filename);
+}
+
+test("a file still being copied in stays hidden until its size settles", async () => {
+  const socket = await app.socket();
+  const announced = new Promise((resolve) => {
+    socket.on("mediaUpdated", (update) => {
+      if (update.action === "added" && update.item.filename === "copying.png") resolve({ update, at: Date.now() });
+    });
+  });
+
+  const file = path.join(app.mediaDir, "copying.png");
+  await fsp.writeFile(file, "a");
+  for (let i = 0; i < 5; i++) {
+    await delay(STABLE_MS / 3);
+    await fsp.appendFile(file, "more");
+    assert.equal(await listed("copying.png"), false, "listed while still growing");
+  }
+  const lastWrite = Date.now();
+
+  const { update, at } = await announced;
+  assert.ok(at - lastWrite >= STABLE_MS - 100, "announced before the size settled");
+  assert.equal(update.item.size, 21);
+  assert.equal(await listed("copying.png"), true);
+});
+
+test("removing a file is announced and drops it from the listing", async () => {
+  const socket = await app.socket();
+  const removed = new Promise((resolve) => {
+    socket.on("mediaUpdated", (update) => {
+      if (update.action === "removed" && update.item.filename === "ready.png") resolve();
+    });
+  });
+  await fsp.unlink(path.join(app.mediaDir, "ready.png"));
+  await removed;
+  assert.equal(await listed("ready.png"), false);
+});
+
+test("the index is kept in the embedded store", async () => {
+  let docs = [];
+  for (let i = 0; i < 30; i++) {
+    await delay(200);
+    const text = await fsp.readFile(path.join(app.dataDir, "media-index.db"), "utf8").catch(() => "");
+    // later lines for the same _id win, as NeDB reads them
+    const byId = new Map();
+    for (const line of text.split("\n").filter(Boolean)) {
+      const doc = JSON.parse(line);
+      if (doc.$$deleted) byId.delete(doc._id);
+      else byId.set(doc._id, doc);
+    }
+    docs = [...byId.values()];
+    if (docs.some(doc => doc.path && doc.path.endsWith("copying.png")) && !docs.some(doc => doc.path && doc.path.endsWith("ready.png"))) break;
+  }
+  assert.ok(docs.some(doc => doc.path === path.join(app.mediaDir, "copying.png")));
+  assert.ok(!docs.some(doc => doc.path === path.join(app.mediaDir, "ready.png")));
+  assert.ok(docs.some(doc => doc._id === "folders" && doc.mediaDir === app.mediaDir));
+});
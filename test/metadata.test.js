@@ -0,0 +1,90 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, delay } = require("./helpers");
+
+// What ffprobe reports for each clip (see FAKE_FFPROBE in helpers.js)
+const STEREO = { codec_type: "audio", codec_name: "aac", channels: 2, channel_layout: "stereo", sample_rate: "48000" };
+const CLIPS = {
+  "clean.mp4": {
+    format: { duration: "30.0", format_name: "mov,mp4", bit_rate: "8000000" },
+    streams: [
+      { codec_type: "video", codec_name: "h264", width: 1920, height: 1080, pix_fmt: "yuv420p", r_frame_rate: "30000/1001", avg_frame_rate: "30000/1001" },
+      STEREO
+    ]
+  },
+  "uhd-hevc.mp4": {
+    format: { duration: "12.5", format_name: "mov,mp4" },
+    streams: [
+      { codec_type: "video", codec_name: "hevc", width: 3840, height: 2160, pix_fmt: "yuv420p10le", r_frame_rate: "25/1", avg_frame_rate: "25/1" }
+    ]
+  },
+  "phone.mov": {
+    format: { duration: "8.0", format_name: "mov,mp4" },
+    streams: [
+      { codec_type: "video", codec_name: "h264", width: 1080, height: 1920, pix_fmt: "yuva420p", r_frame_rate: "30/1", avg_frame_rate: "24/1",
+        side_data_list: [{ rotation: -90 }] },
+      STEREO
+    ]
+  }
+};
+
+let app;
+let ids;
+
+before(async () => {
+  const media = Object.fromEntries(Object.entries(CLIPS).map(([name, report]) => [name, JSON.stringify(report)]));
+  app = await startApp({ ffprobe: true, media: { ...media, "still.png": "png", "broken.mp4": "not a clip" } });
+  await app.login();
+  ids = await app.mediaIds(5);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+// Probing runs in the background after a clip is indexed
+async function videoItems() {
+  for (let i = 0; i < 50; i++) {
+    const { json } = await app.request("GET", "/media?type=video");
+    const probed = json.items.filter(item => item.meta);
+    if (probed.length === Object.keys(CLIPS).length) return Object.fromEntries(json.items.map(item => [item.filename, item]));
+    await delay(100);
+  }
+  throw new Error("clips were not probed");
+}
+
+test("video items carry the probed metadata", async () => {
+  const items = await videoItems();
+  const { meta, duration } = items["clean.mp4"];
+  assert.equal(duration, 30);
+  assert.equal(meta.bitrate, 8000000);
+  assert.deepEqual(
+    [meta.video.codec, meta.video.width, meta.video.height, meta.video.bitDepth, Math.round(meta.video.frameRate * 100)],
+    ["h264", 1920, 1080, 8, 2997]
+  );
+  assert.deepEqual([meta.video.vfr, meta.video.rotation, meta.video.alpha], [false, 0, false]);
+  assert.deepEqual([meta.audio.codec, meta.audio.channelLayout, meta.audio.channels], ["aac", "stereo", 2]);
+  assert.equal(items["broken.mp4"].meta, null);
+});
+
+test("clips likely to misbehave in OBS come with warnings", async () => {
+  const items = await videoItems();
+  const codes = name => items[name].warnings.map(warning => warning.code).sort();
+  assert.deepEqual(codes("clean.mp4"), []);
+  assert.deepEqual(codes("uhd-hevc.mp4"), ["HEAVY_DECODE", "NO_AUDIO"]);
+  assert.deepEqual(codes("phone.mov"), ["ROTATED", "VFR"]);
+  assert.equal(items["phone.mov"].meta.video.alpha, true);
+  assert.equal(items["uhd-hevc.mp4"].meta.video.bitDepth, 10);
+});
+
+test("the metadata endpoint probes one clip on demand", async () => {
+  const { status, json } = await app.request("GET", `/media/metadata?id=${ids["uhd-hevc.mp4"]}`);
+  assert.equal(status, 200);
+  assert.equal(json.metadata.video.codec, "hevc");
+  assert.deepEqual(json.warnings.map(warning => warning.code).sort(), ["HEAVY_DECODE", "NO_AUDIO"]);
+
+  const ask = id => app.request("GET", `/media/metadata?id=${id}`);
+  assert.equal((await ask(ids["still.png"])).status, 400);
+  assert.equal((await ask("0123456789abcdef")).status, 404);
+  assert.equal((await ask(ids["broken.mp4"])).status, 500);
+});
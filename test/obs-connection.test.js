@@ -0,0 +1,105 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, freePort, delay } = require("./helpers");
+
+const FAST_RETRIES = { OBS_AUTO_RECONNECT: "true", OBS_RECONNECT_MIN_MS: "200", OBS_RECONNECT_MAX_MS: "1000" };
+
+let obs;
+let app;
+let ids;
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({ env: { OBS_URL: obs.url, ...FAST_RETRIES }, media: { "clip.mp4": "clip" } });
+  await app.login();
+  ids = await app.mediaIds(1);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+async function waitForState(target, want) {
+  let status;
+  for (let i = 0; i < 50; i++) {
+    status = (await target.request("GET", "/obs/status")).json;
+    if (status.state === want) return status;
+    await delay(100);
+  }
+  assert.fail(`OBS state stayed ${status.state}, not ${want}`);
+}
+
+test("a failed connect from the button is not retried", async () => {
+  const other = await startApp({ env: { OBS_URL: `ws://127.0.0.1:${await freePort()}`, ...FAST_RETRIES } });
+  try {
+    await other.login();
+    assert.equal((await other.request("POST", "/obs/connect")).status, 503);
+    await delay(600);
+    const status = (await other.request("GET", "/obs/status")).json;
+    assert.deepEqual([status.state, status.attempt, status.nextRetryAt], ["failed", 0, null]);
+    assert.ok(status.error);
+  } finally {
+    await other.stop();
+  }
+});
+
+test("a dropped connection is retried with growing delays until OBS is back", async () => {
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"] } })).status, 200);
+  assert.equal((await app.request("GET", "/api/current-playing")).json.hasMedia, true);
+
+  // How long each attempt waits, as announced to the clients
+  const socket = await app.socket();
+  const waits = new Map();
+  socket.on("obsStatus", (status) => {
+    if (status.state === "reconnecting" && status.nextRetryAt && !waits.has(status.attempt)) {
+      waits.set(status.attempt, status.nextRetryAt - Date.now());
+    }
+  });
+  await obs.close();
+  for (let i = 0; i < 50 && waits.size < 3; i++) await delay(100);
+
+  const [first, second, third] = [1, 2, 3].map(attempt => waits.get(attempt));
+  assert.ok(first < second && second < third, JSON.stringify([...waits]));
+  assert.ok(third <= 1200, "capped near OBS_RECONNECT_MAX_MS");
+
+  // A fresh OBS has nothing on air, so the clip is no longer reported as playing
+  obs = await startFakeOBS({ port: obs.port });
+  const status = await waitForState(app, "connected");
+  assert.deepEqual([status.connected, status.attempt, status.error], [true, 0, null]);
+  // The check runs just after the state turns to connected
+  let playing;
+  for (let i = 0; i < 20; i++) {
+    playing = (await app.request("GET", "/api/current-playing")).json;
+    if (!playing.hasMedia) break;
+    await delay(100);
+  }
+  assert.equal(playing.hasMedia, false);
+});
+
+test("disconnecting stops a reconnect that is under way", async () => {
+  await obs.close();
+  await waitForState(app, "reconnecting");
+  const { json } = await app.request("POST", "/obs/disconnect");
+  assert.equal(json.message, "Stopped reconnecting to OBS");
+
+  obs = await startFakeOBS({ port: obs.port });
+  await delay(1500);
+  const status = (await app.request("GET", "/obs/status")).json;
+  assert.deepEqual([status.state, status.connected], ["disconnected", false]);
+});
+
+test("reconnecting gives up after OBS_RECONNECT_MAX_ATTEMPTS", async () => {
+  const other = await startApp({ env: { OBS_URL: obs.url, ...FAST_RETRIES, OBS_RECONNECT_MAX_ATTEMPTS: "2" } });
+  try {
+    await other.login();
+    assert.equal((await other.request("POST", "/obs/connect")).status, 200);
+    await obs.close();
+    const status = await waitForState(other, "failed");
+    assert.deepEqual([status.connected, status.nextRetryAt], [false, null]);
+  } finally {
+    await other.stop();
+    obs = await startFakeOBS({ port: obs.port });
+  }
+});
@@ -0,0 +1,85 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, delay } = require("./helpers");
+
+let primary;
+let backup;
+let app;
+let ids;
+
+before(async () => {
+  primary = await startFakeOBS();
+  backup = await startFakeOBS();
+  app = await startApp({
+    env: { OBS_URL: primary.url, OBS_MIRRORS: JSON.stringify([{ name: "Backup", url: backup.url, scene: "Scene" }]) },
+    media: { "clip.mp4": "clip", "still.png": "png" }
+  });
+  await app.login();
+  ids = await app.mediaIds(2);
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+  await waitForBackup(instance => instance.connected);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (primary) await primary.close();
+  if (backup) await backup.close();
+});
+
+// Mirrors connect, and run their commands, alongside the primary
+async function waitForBackup(done) {
+  let instance;
+  for (let i = 0; i < 50; i++) {
+    const { json } = await app.request("GET", "/obs/instances");
+    instance = json.instances.find(inst => !inst.primary);
+    if (done(instance)) return instance;
+    await delay(100);
+  }
+  assert.fail(`backup stuck at ${JSON.stringify(instance)}`);
+}
+
+function filesSent(fake) {
+  return fake.requests
+    .filter(r => r.requestType === "SetInputSettings")
+    .map(r => r.requestData.inputSettings.local_file || r.requestData.inputSettings.file)
+    .filter(Boolean);
+}
+
+test("both instances are listed, the backup without its password", async () => {
+  const { json } = await app.request("GET", "/obs/instances");
+  assert.deepEqual(json.instances.map(inst => [inst.name, inst.primary, inst.state]),
+    [["Primary", true, "connected"], ["Backup", false, "connected"]]);
+
+  const settings = await app.request("GET", "/api/settings/obs-mirrors");
+  assert.deepEqual(Object.keys(settings.json.mirrors[0]).sort(), ["hasPassword", "id", "name", "scene", "url"]);
+});
+
+test("playout commands reach the backup too", async () => {
+  const before = filesSent(backup).length;
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"] } })).status, 200);
+  assert.equal((await app.request("POST", "/show/image", { body: { id: ids["still.png"] } })).status, 200);
+
+  const instance = await waitForBackup(inst => inst.lastCommand && filesSent(backup).length >= before + 2);
+  assert.equal(instance.lastCommand.ok, true);
+  assert.deepEqual(filesSent(backup).slice(before).map(file => file.split("/").pop()), ["clip.mp4", "still.png"]);
+});
+
+test("a backup that is down never fails the primary", async () => {
+  const { json } = await app.request("GET", "/obs/instances");
+  const id = json.instances.find(inst => !inst.primary).id;
+  assert.equal((await app.request("POST", `/obs/instances/${id}/disconnect`)).status, 200);
+
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"] } })).status, 200);
+  const instance = await waitForBackup(inst => inst.lastCommand && !inst.lastCommand.ok);
+  assert.equal(instance.lastCommand.error, "not connected");
+});
+
+test("a backup that comes back picks up what is on air", async () => {
+  const { json } = await app.request("GET", "/obs/instances");
+  const id = json.instances.find(inst => !inst.primary).id;
+  const before = filesSent(backup).length;
+  assert.equal((await app.request("POST", `/obs/instances/${id}/connect`)).status, 200);
+
+  await waitForBackup(inst => inst.lastCommand && inst.lastCommand.command === "catch-up main video");
+  assert.deepEqual(filesSent(backup).slice(before).map(file => file.split("/").pop()), ["clip.mp4"]);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS } = require("./helpers");
+
+const PLAYERS = [
+  { name: "main", videoInput: "PlayerVideo", imageInput: "PlayerImage" },
+  { name: "lower", videoInput: "LowerVideo", imageInput: "LowerImage", box: { x: 0, y: 780, width: 1920, height: 300 } }
+];
+
+let obs;
+let app;
+let ids;
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({
+    env: { OBS_URL: obs.url, PLAYERS: JSON.stringify(PLAYERS) },
+    media: { "open.mp4": "open", "ticker.mp4": "ticker", "logo.png": "png" }
+  });
+  await app.login();
+  ids = await app.mediaIds(3);
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+// The last request of a type, for one input
+function lastCall(type, inputName) {
+  return obs.requests.filter(r => r.requestType === type && r.requestData.inputName === inputName).pop();
+}
+
+async function nowPlaying(player) {
+  const { json } = await app.request("GET", `/api/current-playing?player=${player}`);
+  return json.hasMedia ? json.currentPlaying.filename : null;
+}
+
+test("each player plays into its own inputs and keeps its own now-playing", async () => {
+  const lower = await app.request("POST", "/play/video", { body: { id: ids["ticker.mp4"], player: "lower" } });
+  assert.deepEqual([lower.status, lower.json.player], [200, "lower"]);
+  assert.match(lastCall("SetInputSettings", "LowerVideo").requestData.inputSettings.local_file, /ticker\.mp4$/);
+  assert.equal(lastCall("SetInputSettings", "PlayerVideo"), undefined);
+  assert.deepEqual([await nowPlaying("main"), await nowPlaying("lower")], [null, "ticker.mp4"]);
+
+  // Without a name, the default player
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["open.mp4"] } })).json.player, "main");
+  assert.deepEqual([await nowPlaying("main"), await nowPlaying("lower")], ["open.mp4", "ticker.mp4"]);
+
+  const { json } = await app.request("GET", "/api/players");
+  assert.deepEqual(json.players.map(player => [player.name, player.default, player.nowPlaying.filename]),
+    [["main", true, "open.mp4"], ["lower", false, "ticker.mp4"]]);
+});
+
+test("images, controls and seeks go to the named player", async () => {
+  assert.equal((await app.request("POST", "/show/image", { body: { id: ids["logo.png"], player: "lower" } })).status, 200);
+  assert.match(lastCall("SetInputSettings", "LowerImage").requestData.inputSettings.file, /logo\.png$/);
+
+  const from = obs.requests.length;
+  assert.equal((await app.request("POST", "/obs/control", { body: { action: "pause", player: "lower" } })).status, 200);
+  assert.equal((await app.request("POST", "/obs/seek", { body: { timeMs: 4000, player: "lower" } })).status, 200);
+  const sent = obs.requests.slice(from)
+    .filter(r => r.requestType === "TriggerMediaInputAction" || r.requestType === "SetMediaInputCursor")
+    .map(r => [r.requestData.inputName, r.requestData.mediaAction || r.requestData.mediaCursor]);
+  assert.deepEqual(sent, [["LowerVideo", "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PAUSE"], ["LowerVideo", 4000]]);
+});
+
+test("stopping one player leaves the others on air", async () => {
+  assert.equal((await app.request("POST", "/stop/player", { body: { player: "lower" } })).status, 200);
+  assert.deepEqual([await nowPlaying("main"), await nowPlaying("lower")], ["open.mp4", null]);
+});
+
+test("unknown players are refused", async () => {
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["open.mp4"], player: "nope" } })).status, 404);
+  assert.equal((await app.request("POST", "/obs/seek", { body: { timeMs: 0, player: "nope" } })).status, 404);
+  assert.equal((await app.request("GET", "/api/current-playing?player=nope")).status, 404);
+});
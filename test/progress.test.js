@@ -0,0 +1,72 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, delay } = require("./helpers");
+
+let obs;
+let app;
+let ids;
+let socket;
+const updates = [];
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({
+    env: { OBS_URL: obs.url, PROGRESS_INTERVAL_MS: "100", PROGRESS_RESYNC_MS: "60000" },
+    media: { "clip.mp4": "clip" }
+  });
+  await app.login();
+  ids = await app.mediaIds(1);
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+  socket = await app.socket();
+  socket.on("videoProgress", progress => updates.push({ ...progress, receivedAt: Date.now() }));
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+function statusReads() {
+  return obs.requests.filter(r => r.requestType === "GetMediaInputStatus").length;
+}
+
+test("a playing clip's position is pushed and interpolated between readings", async () => {
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["clip.mp4"] } })).status, 200);
+  await delay(200);
+  const reads = statusReads();
+  const from = updates.length;
+  await delay(600);
+
+  const pushed = updates.slice(from).filter(progress => progress.player === "main");
+  assert.ok(pushed.length >= 4, `${pushed.length} pushes`);
+  assert.ok(pushed.every(progress => progress.playing));
+  // The fake OBS always reads one second in; the rest is the clock running on
+  assert.ok(pushed[pushed.length - 1].mediaCursor > pushed[0].mediaCursor);
+  assert.equal(pushed[0].mediaDuration, 60000);
+  assert.equal(statusReads(), reads, "no polling while the clip plays");
+
+  const { json } = await app.request("GET", "/obs/progress");
+  assert.ok(json.mediaCursor > 1000);
+});
+
+test("a pause is pushed once, and the pushes stop", async () => {
+  assert.equal((await app.request("POST", "/obs/control", { body: { action: "pause" } })).status, 200);
+  await delay(150);
+  const paused = updates[updates.length - 1];
+  assert.deepEqual([paused.playing, paused.mediaState, paused.mediaCursor], [false, "OBS_MEDIA_STATE_PAUSED", 1000]);
+
+  const count = updates.length;
+  await delay(500);
+  assert.equal(updates.length, count);
+});
+
+test("an OBS media event brings a fresh reading", async () => {
+  const reads = statusReads();
+  obs.emit("MediaInputActionTriggered", { inputName: "PlayerVideo", mediaAction: "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PLAY" });
+  await delay(200);
+  assert.equal(statusReads(), reads + 1);
+  // Events on inputs no player uses are not the clip's
+  obs.emit("MediaInputPlaybackStarted", { inputName: "Some Other Input" });
+  await delay(200);
+  assert.equal(statusReads(), reads + 1);
+});
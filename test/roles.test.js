@@ -0,0 +1,66 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let app;
+const tokens = {};
+
+before(async () => {
+  app = await startApp();
+  await app.login();
+  for (const role of ["viewer", "operator", "admin"]) {
+    const { json } = await app.request("POST", "/api/auth/tokens", { body: { name: role, role } });
+    tokens[role] = json.token;
+  }
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+// The least role each request needs
+const ROUTES = [
+  { method: "GET", url: "/api/schedule", role: "viewer" },
+  { method: "GET", url: "/api/auth/me", role: "viewer" },
+  { method: "POST", url: "/api/auth/logout", role: "viewer" },
+  { method: "POST", url: "/api/schedule", body: {}, role: "operator" },
+  { method: "POST", url: "/api/settings/localStorage", body: {}, role: "operator" },
+  { method: "GET", url: "/api/settings", role: "admin" },
+  { method: "GET", url: "/api/cache", role: "admin" },
+  { method: "GET", url: "/api/media-index", role: "admin" },
+  { method: "GET", url: "/api/auth/users", role: "admin" },
+  { method: "GET", url: "/api/v1/settings", role: "admin" }
+];
+const RANK = { viewer: 0, operator: 1, admin: 2 };
+
+test("each role reaches exactly the routes at or below it", async () => {
+  for (const [role, token] of Object.entries(tokens)) {
+    for (const route of ROUTES) {
+      const res = await app.request(route.method, route.url, {
+        auth: false,
+        body: route.body,
+        headers: { authorization: `Bearer ${token}` }
+      });
+      const label = `${role} ${route.method} ${route.url}`;
+      if (RANK[role] >= RANK[route.role]) {
+        assert.notEqual(res.status, 403, label);
+        assert.notEqual(res.status, 401, label);
+      } else {
+        assert.equal(res.status, 403, label);
+        assert.equal(res.json.code, "FORBIDDEN", label);
+      }
+    }
+  }
+});
+
+test("requests without credentials are refused", async () => {
+  const res = await app.request("GET", "/api/schedule", { auth: false });
+  assert.equal(res.status, 401);
+});
+
+test("an unknown username fails like a wrong password", async () => {
+  const unknown = await app.request("POST", "/api/auth/login", { auth: false, body: { username: "nobody", password: "whatever-it-is" } });
+  const wrong = await app.request("POST", "/api/auth/login", { auth: false, body: { username: "admin", password: "whatever-it-is" } });
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(unknown.json, wrong.json);
+});
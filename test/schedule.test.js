@@ -0,0 +1,68 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, freePort, delay } = require("./helpers");
+
+let app;
+
+before(async () => {
+  // Nothing listens there, so OBS stays down
+  app = await startApp({ env: { OBS_URL: `ws://127.0.0.1:${await freePort()}`, SCHEDULE_GRACE_SECONDS: "60" } });
+  await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+test("an event waiting for OBS does not hold up others due with it", async () => {
+  const at = new Date(Date.now() + 1500).toISOString();
+  const waiting = await app.request("POST", "/api/schedule", {
+    body: { action: "stop", name: "waits", offlinePolicy: "retry", trigger: { type: "once", at } }
+  });
+  const skipped = await app.request("POST", "/api/schedule", {
+    body: { action: "stop", name: "skips", offlinePolicy: "skip", trigger: { type: "once", at } }
+  });
+  assert.equal(waiting.status, 200);
+  assert.equal(skipped.status, 200);
+
+  await delay(3000);
+  const { json } = await app.request("GET", "/api/schedule");
+  const byName = Object.fromEntries(json.events.map(event => [event.name, event]));
+  assert.equal(byName.skips.lastResult.status, "missed");
+  assert.equal(byName.waits.lastResult, null);
+
+  const removed = await app.request("DELETE", `/api/schedule/${waiting.json.event.id}`);
+  assert.equal(removed.status, 200);
+});
+
+test("OBS still reconnects on its own after a waiting event gives up", async () => {
+  let obs = await startFakeOBS();
+  const other = await startApp({
+    env: { OBS_URL: obs.url, OBS_AUTO_RECONNECT: "true", SCHEDULE_GRACE_SECONDS: "2", OBS_RECONNECT_MIN_MS: "200", OBS_RECONNECT_MAX_MS: "1000" }
+  });
+  try {
+    await other.login();
+    await other.request("POST", "/obs/connect");
+    await obs.close();
+
+    const at = new Date(Date.now() + 1000).toISOString();
+    const { json } = await other.request("POST", "/api/schedule", {
+      body: { action: "stop", name: "waits", offlinePolicy: "retry", trigger: { type: "once", at } }
+    });
+    await delay(7500);
+    const events = (await other.request("GET", "/api/schedule")).json.events;
+    assert.equal(events.find(event => event.id === json.event.id).lastResult.status, "missed");
+
+    obs = await startFakeOBS({ port: obs.port });
+    let status;
+    for (let i = 0; i < 30; i++) {
+      await delay(200);
+      status = (await other.request("GET", "/obs/status")).json;
+      if (status.connected) break;
+    }
+    assert.equal(status.connected, true, other.output());
+  } finally {
+    await other.stop();
+    await obs.close();
+  }
+});
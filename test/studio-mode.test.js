@@ -0,0 +1,89 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, delay } = require("./helpers");
+
+// The fake OBS has "Scene" on program; the second player lives in its own scene
+const PLAYERS = [
+  { name: "main", videoInput: "PlayerVideo", imageInput: "PlayerImage" },
+  { name: "b", videoInput: "BVideo", imageInput: "BImage", scene: "Scene B" }
+];
+
+let obs;
+let app;
+let ids;
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({
+    env: { OBS_URL: obs.url, PLAYERS: JSON.stringify(PLAYERS) },
+    media: { "clip.mp4": "clip", "still.png": "png" }
+  });
+  await app.login();
+  ids = await app.mediaIds(2);
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+async function setStudioMode(enabled) {
+  obs.emit("StudioModeStateChanged", { studioModeEnabled: enabled });
+  for (let i = 0; i < 20; i++) {
+    if ((await app.request("GET", "/api/cued")).json.studioMode === enabled) return;
+    await delay(50);
+  }
+  assert.fail("studio mode change was not picked up");
+}
+
+function sentSince(from, types) {
+  return obs.requests.slice(from).filter(r => types.includes(r.requestType));
+}
+
+test("cueing needs studio mode", async () => {
+  const { status } = await app.request("POST", "/cue/video", { body: { id: ids["clip.mp4"], player: "b" } });
+  assert.equal(status, 409);
+  assert.equal((await app.request("POST", "/take")).status, 409, "nothing is cued");
+});
+
+test("a cued clip waits paused in preview, off air", async () => {
+  await setStudioMode(true);
+  const from = obs.requests.length;
+  const { status, json } = await app.request("POST", "/cue/video", { body: { id: ids["clip.mp4"], player: "b" } });
+  assert.equal(status, 200);
+  assert.deepEqual([json.cued.player, json.cued.filename, json.cued.sceneName], ["b", "clip.mp4", "Scene B"]);
+
+  assert.deepEqual(sentSince(from, ["SetCurrentProgramScene", "TriggerStudioModeTransition"]), []);
+  const [paused, preview] = sentSince(from, ["TriggerMediaInputAction", "SetCurrentPreviewScene"]).slice(-2);
+  assert.deepEqual([paused.requestData.inputName, paused.requestData.mediaAction], ["BVideo", "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PAUSE"]);
+  assert.deepEqual([preview.requestType, preview.requestData.sceneName], ["SetCurrentPreviewScene", "Scene B"]);
+
+  const playing = await app.request("GET", "/api/current-playing?player=b");
+  assert.equal(playing.json.hasMedia, false);
+});
+
+test("take transitions the cued item to program and starts it", async () => {
+  const from = obs.requests.length;
+  const { status, json } = await app.request("POST", "/take");
+  assert.deepEqual([status, json.player], [200, "b"]);
+
+  const sent = sentSince(from, ["TriggerStudioModeTransition", "TriggerMediaInputAction"]);
+  assert.deepEqual(sent.map(r => r.requestData.mediaAction || r.requestType),
+    ["TriggerStudioModeTransition", "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PLAY"]);
+
+  assert.equal((await app.request("GET", "/api/cued")).json.cued, null);
+  const playing = await app.request("GET", "/api/current-playing?player=b");
+  assert.equal(playing.json.currentPlaying.filename, "clip.mp4");
+});
+
+test("a player whose scene is on program cannot cue", async () => {
+  const { status } = await app.request("POST", "/cue/image", { body: { id: ids["still.png"], player: "main" } });
+  assert.equal(status, 409);
+});
+
+test("turning studio mode off drops the cued item", async () => {
+  assert.equal((await app.request("POST", "/cue/image", { body: { id: ids["still.png"], player: "b" } })).status, 200);
+  await setStudioMode(false);
+  assert.equal((await app.request("GET", "/api/cued")).json.cued, null);
+});
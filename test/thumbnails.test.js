@@ -0,0 +1,55 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs/promises");
+const sharp = require("sharp");
+const { startApp } = require("./helpers");
+
+let app;
+let ids;
+
+before(async () => {
+  const png = await sharp({ create: { width: 64, height: 36, channels: 3, background: "#336699" } }).png().toBuffer();
+  app = await startApp({ media: { "still.png": png, "clip.mp4": "not really a video" } });
+  await app.login();
+  ids = await app.mediaIds(2);
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+test("thumbnail sizes and times that are not numbers are refused", async () => {
+  for (const url of [
+    `/thumb/image?id=${ids["still.png"]}&w=abc`,
+    `/thumb/image?id=${ids["still.png"]}&w=-20`,
+    `/thumb/video?id=${ids["clip.mp4"]}&w=NaN`,
+    `/thumb/video?id=${ids["clip.mp4"]}&t=soon`,
+    `/thumb/video?id=${ids["clip.mp4"]}&t=-1`,
+    `/thumb/storyboard?id=${ids["clip.mp4"]}&w=0`
+  ]) {
+    const res = await app.request("GET", url);
+    assert.equal(res.status, 400, url);
+    assert.equal(res.json.code, "VALIDATION_FAILED", url);
+  }
+});
+
+test("thumbnails are never wider than 1920 pixels", async () => {
+  const res = await app.request("GET", `/thumb/image?id=${ids["still.png"]}&w=1920`);
+  assert.equal(res.status, 200);
+  const { width } = await sharp(res.raw).metadata();
+  assert.equal(width, 1920);
+
+  const tooWide = await app.request("GET", `/thumb/image?id=${ids["still.png"]}&w=100000`);
+  assert.equal(tooWide.status, 400);
+  assert.equal(tooWide.json.code, "VALIDATION_FAILED");
+});
+
+test("nearby widths share one cached thumbnail", async () => {
+  const jpegs = async () => (await fsp.readdir(app.thumbDir)).filter(name => name.endsWith(".jpg"));
+  const before = (await jpegs()).length;
+  for (const w of [100, 150, 160]) {
+    const res = await app.request("GET", `/thumb/image?id=${ids["still.png"]}&w=${w}`);
+    assert.equal((await sharp(res.raw).metadata()).width, 160);
+  }
+  assert.equal((await jpegs()).length, before + 1);
+});
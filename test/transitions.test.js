@@ -0,0 +1,92 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS } = require("./helpers");
+
+// "main" shares the program scene; "b" has a scene of its own to switch to
+const PLAYERS = [
+  { name: "main", videoInput: "PlayerVideo", imageInput: "PlayerImage" },
+  { name: "b", videoInput: "BVideo", imageInput: "BImage", scene: "Scene B", switchScene: true }
+];
+const FADE = { type: "fade", durationMs: 120 };
+
+let obs;
+let app;
+let ids;
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({
+    env: { OBS_URL: obs.url, PLAYERS: JSON.stringify(PLAYERS) },
+    media: { "one.mp4": "one", "two.mp4": "two", "three.mp4": "three" }
+  });
+  await app.login();
+  ids = await app.mediaIds(3);
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+async function play(name, transition, player) {
+  const from = obs.requests.length;
+  const { status } = await app.request("POST", "/play/video", { body: { id: ids[name], transition, player } });
+  assert.equal(status, 200);
+  return obs.requests.slice(from);
+}
+
+function loadedInto(sent) {
+  return sent.filter(r => r.requestType === "SetInputSettings" && r.requestData.inputSettings.local_file)
+    .map(r => r.requestData.inputName);
+}
+
+test("the default transition is checked and saved", async () => {
+  for (const transition of ["wipe", { type: "fade", durationMs: 20000 }, 5]) {
+    assert.equal((await app.request("PUT", "/api/settings/transition", { body: { transition } })).status, 400);
+  }
+  const { json } = await app.request("PUT", "/api/settings/transition", { body: { transition: "stinger" } });
+  assert.deepEqual(json.transition, { type: "stinger", durationMs: 500, stinger: "Stinger" });
+  const cut = await app.request("PUT", "/api/settings/transition", { body: { transition: "cut" } });
+  assert.deepEqual(cut.json.transition, { type: "cut" });
+});
+
+test("a cut reloads the clip in the input on air", async () => {
+  assert.deepEqual(loadedInto(await play("one.mp4")), ["PlayerVideo"]);
+  const sent = await play("two.mp4", "cut");
+  assert.deepEqual(loadedInto(sent), ["PlayerVideo"]);
+  assert.equal(sent.filter(r => r.requestType === "SetSourceFilterSettings").length, 0);
+});
+
+test("clip-to-clip fades alternate between the A and B inputs", async () => {
+  const sent = await play("three.mp4", FADE);
+  assert.deepEqual(loadedInto(sent), ["PlayerVideo B"]);
+
+  // B fades in over A, then A is hidden and stopped
+  const opacities = sent.filter(r => r.requestType === "SetSourceFilterSettings" && r.requestData.sourceName === "PlayerVideo B")
+    .map(r => r.requestData.filterSettings.opacity);
+  assert.equal(opacities[0], 0);
+  assert.equal(opacities[opacities.length - 1], 1);
+  const hidden = sent.filter(r => r.requestType === "SetSceneItemEnabled" && !r.requestData.sceneItemEnabled);
+  assert.equal(hidden.length, 1);
+  const stopped = sent.filter(r => r.requestType === "TriggerMediaInputAction" && r.requestData.inputName === "PlayerVideo").pop();
+  assert.equal(stopped.requestData.mediaAction, "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP");
+
+  assert.deepEqual(loadedInto(await play("one.mp4", FADE)), ["PlayerVideo"]);
+});
+
+test("a program scene change uses OBS's scene transition", async () => {
+  const sent = await play("one.mp4", FADE, "b");
+  const calls = sent.filter(r => r.requestType.startsWith("SetCurrentSceneTransition") || r.requestType === "SetCurrentProgramScene");
+  assert.deepEqual(calls.map(r => [r.requestType, Object.values(r.requestData)[0]]), [
+    ["SetCurrentSceneTransition", "Fade"],
+    ["SetCurrentSceneTransitionDuration", 120],
+    ["SetCurrentProgramScene", "Scene B"]
+  ]);
+  // The scene transition covers the swap, so nothing fades inside the scene
+  assert.equal(sent.filter(r => r.requestType === "SetSourceFilterSettings").length, 0);
+
+  const stinger = await play("two.mp4", "stinger", "b");
+  const names = stinger.filter(r => r.requestType === "SetCurrentSceneTransition").map(r => r.requestData.transitionName);
+  assert.deepEqual(names, ["Stinger"]);
+});
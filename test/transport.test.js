@@ -0,0 +1,66 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, startFakeOBS, delay } = require("./helpers");
+
+// Past the window in which the end of the previous file is ignored
+const SETTLED_MS = 1200;
+
+let obs;
+let app;
+let ids;
+
+before(async () => {
+  obs = await startFakeOBS();
+  app = await startApp({ env: { OBS_URL: obs.url }, media: { "a.mp4": "a", "b.mp4": "b" } });
+  await app.login();
+  ids = await app.mediaIds(2);
+  const connected = await app.request("POST", "/obs/connect");
+  assert.equal(connected.status, 200);
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+});
+
+function loads(filename) {
+  return obs.requests.filter(r => r.requestType === "SetInputSettings" &&
+    String(r.requestData.inputSettings.local_file || "").endsWith(filename)).length;
+}
+
+test("stopping a rundown item leaves the rundown where it was", async () => {
+  const created = await app.request("POST", "/api/rundowns", {
+    body: { name: "Show", items: [{ mediaId: ids["a.mp4"] }, { mediaId: ids["b.mp4"] }] }
+  });
+  assert.equal(created.status, 200);
+  await app.request("POST", `/api/rundowns/${created.json.rundown.id}/load`);
+  await app.request("POST", "/rundown/auto-advance", { body: { enabled: true } });
+  assert.equal((await app.request("POST", "/rundown/next")).status, 200);
+  await delay(SETTLED_MS);
+
+  const stopped = await app.request("POST", "/obs/control", { body: { action: "stop" } });
+  assert.equal(stopped.status, 200);
+  await delay(300);
+
+  const { state } = (await app.request("GET", "/api/rundown/state")).json;
+  assert.equal(state.cursor, 0);
+  assert.equal(state.nextIndex, 1);
+  assert.equal(state.onAir, false);
+  assert.equal(loads("b.mp4"), 0, "the next item must not have been played");
+
+  const { entries } = (await app.request("GET", "/api/as-run?event=end")).json;
+  assert.deepEqual(entries.map(e => e.endedBy), ["stopped"]);
+});
+
+test("stopping a looping clip does not start it again", async () => {
+  const played = await app.request("POST", "/play/video", { body: { id: ids["b.mp4"], endAction: "loop" } });
+  assert.equal(played.status, 200);
+  await delay(SETTLED_MS);
+
+  const restartsBefore = obs.requests.filter(r => r.requestData.mediaAction === "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_RESTART").length;
+  assert.equal((await app.request("POST", "/obs/control", { body: { action: "stop" } })).status, 200);
+  await delay(300);
+
+  const restarts = obs.requests.filter(r => r.requestData.mediaAction === "OBS_WEBSOCKET_MEDIA_INPUT_ACTION_RESTART").length;
+  assert.equal(restarts, restartsBefore);
+});
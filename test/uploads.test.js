@@ -0,0 +1,121 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs/promises");
+const http = require("http");
+const path = require("path");
+const { startApp, delay } = require("./helpers");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+  await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+const BOUNDARY = "----playout-test";
+
+function filePart(name, contents) {
+  return `--${BOUNDARY}\r\nContent-Disposition: form-data; name="file"; filename="${name}"\r\n` +
+    `Content-Type: application/octet-stream\r\n\r\n${contents}\r\n`;
+}
+
+async function leftovers() {
+  try {
+    return (await fsp.readdir(path.join(app.mediaDir, ".uploads"))).filter(name => name.endsWith(".part"));
+  } catch (e) {
+    return [];
+  }
+}
+
+test("a multipart upload saves every file", async () => {
+  const body = filePart("one.mp4", "1111") + filePart("two.png", "22") + `--${BOUNDARY}--\r\n`;
+  const res = await app.request("POST", "/upload", {
+    body,
+    headers: { "content-type": `multipart/form-data; boundary=${BOUNDARY}` }
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.json.items.map(item => item.filename).sort(), ["one.mp4", "two.png"]);
+  assert.equal(await fsp.readFile(path.join(app.mediaDir, "one.mp4"), "utf8"), "1111");
+});
+
+test("an aborted multipart upload leaves no partial files behind", async () => {
+  const req = http.request(`${app.baseUrl}/upload`, {
+    method: "POST",
+    headers: {
+      cookie: app.cookie(),
+      "content-type": `multipart/form-data; boundary=${BOUNDARY}`,
+      "content-length": 10 * 1024 * 1024
+    }
+  });
+  req.on("error", () => {});
+  req.write(filePart("big.mp4", "x".repeat(64 * 1024)).slice(0, -2));
+  await delay(300);
+  assert.equal((await leftovers()).length, 1, "the file is being written");
+  req.destroy();
+  await delay(300);
+
+  assert.deepEqual(await leftovers(), []);
+  assert.equal((await app.request("POST", "/upload/init", { body: { filename: "after.mp4", size: 1 } })).status, 200);
+});
+
+test("resumable chunks must match Content-Range", async () => {
+  const init = await app.request("POST", "/upload/init", { body: { filename: "resumed.mp4", size: 10 } });
+  assert.equal(init.status, 200);
+  const url = `/upload/${init.json.uploadId}`;
+  const put = (range, body) => app.request("PUT", url, {
+    body,
+    headers: { "content-type": "application/octet-stream", ...(range ? { "content-range": range } : {}) }
+  });
+
+  for (const range of [null, "bytes 0-4", "bytes=0-4/10", "bytes 4-0/10", "bytes 0-4/11", "bytes 0-10/10"]) {
+    const res = await put(range, "abcde");
+    assert.equal(res.status, 400, String(range));
+    assert.equal(res.json.code, "VALIDATION_FAILED");
+  }
+
+  let res = await put("bytes 0-4/10", "abcde");
+  assert.deepEqual([res.status, res.json.offset, res.json.done], [200, 5, false]);
+
+  res = await put("bytes 0-4/10", "abcde");
+  assert.deepEqual([res.status, res.json.code, res.json.offset], [409, "CONFLICT", 5]);
+
+  res = await put("bytes 5-6/10", "fghij");
+  assert.notEqual(res.status, 200, "a body longer than its range is refused");
+  assert.equal((await app.request("GET", url)).json.offset, 5);
+
+  res = await put("bytes 5-9/10", "fghij");
+  assert.deepEqual([res.status, res.json.done], [200, true]);
+  assert.equal(await fsp.readFile(path.join(app.mediaDir, "resumed.mp4"), "utf8"), "abcdefghij");
+});
+
+test("abandoned uploads are removed at startup", async () => {
+  const stale = "00000000-0000-4000-8000-000000000001";
+  const fresh = "00000000-0000-4000-8000-000000000002";
+  const crashed = "00000000-0000-4000-8000-000000000003"; // multipart: no session file
+  const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000);
+  const other = await startApp({
+    async beforeStart({ mediaDir }) {
+      const dir = path.join(mediaDir, ".uploads");
+      await fsp.mkdir(dir);
+      for (const id of [stale, fresh]) {
+        await fsp.writeFile(path.join(dir, `${id}.json`), JSON.stringify({ id, filename: "x.mp4", size: 10 }));
+        await fsp.writeFile(path.join(dir, `${id}.part`), "abc");
+      }
+      await fsp.writeFile(path.join(dir, `${crashed}.part`), "abc");
+      for (const name of [`${stale}.json`, `${stale}.part`, `${crashed}.part`]) {
+        await fsp.utimes(path.join(dir, name), dayAgo, dayAgo);
+      }
+    }
+  });
+  try {
+    await delay(300);
+    const names = (await fsp.readdir(path.join(other.mediaDir, ".uploads"))).sort();
+    assert.deepEqual(names, [`${fresh}.json`, `${fresh}.part`]);
+  } finally {
+    await other.stop();
+  }
+});
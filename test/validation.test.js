@@ -0,0 +1,54 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers");
+
+let app;
+
+before(async () => {
+  app = await startApp();
+  await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+});
+
+// Each v1 path next to the alias that serves it
+const BAD_REQUESTS = [
+  { method: "POST", v1: "/api/v1/playout/seek", alias: "/obs/seek", body: { timeMs: -1 }, problem: "body.timeMs must be at least 0" },
+  { method: "POST", v1: "/api/v1/playout/control", alias: "/obs/control", body: { action: "rewind" }, problem: "body.action must be one of" },
+  { method: "POST", v1: "/api/v1/playout/video", alias: "/play/video", body: {}, problem: "body.id is required" },
+  { method: "GET", v1: "/api/v1/media?limit=501", alias: "/media?limit=501", problem: "query.limit must be at most 500" },
+  { method: "GET", v1: "/api/v1/as-run?limit=-5", alias: "/api/as-run?limit=-5", problem: "query.limit must be at least 1" },
+  { method: "GET", v1: "/api/v1/media/thumbnails/image?id=x&w=4000", alias: "/thumb/image?id=x&w=4000", problem: "query.w must be at most 1920" },
+  { method: "GET", v1: "/api/v1/settings/webhooks/deliveries?limit=abc", alias: "/api/settings/webhooks/deliveries?limit=abc", problem: "query.limit must be integer" }
+];
+
+test("v1 paths and their aliases refuse the same input the same way", async () => {
+  for (const { method, v1, alias, body, problem } of BAD_REQUESTS) {
+    for (const url of [v1, alias]) {
+      const res = await app.request(method, url, { body });
+      assert.equal(res.status, 400, url);
+      assert.equal(res.json.ok, false, url);
+      assert.equal(res.json.code, "VALIDATION_FAILED", url);
+      assert.ok(res.json.details.some(d => d.startsWith(problem)), `${url}: ${res.json.error}`);
+    }
+  }
+});
+
+test("every problem is listed", async () => {
+  const res = await app.request("POST", "/api/v1/players/audio", { body: { player: 3, fadeInMs: -1, muted: "yes" } });
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.json.details, [
+    "body.player must be string or null",
+    "body.muted must be boolean",
+    "body.fadeInMs must be at least 0"
+  ]);
+});
+
+test("valid requests pass through to the handler", async () => {
+  const v1 = await app.request("GET", "/api/v1/media?limit=500");
+  const alias = await app.request("GET", "/media?limit=500");
+  assert.equal(v1.status, 200);
+  assert.deepEqual(v1.json, alias.json);
+});
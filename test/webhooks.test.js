@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { startApp, startFakeOBS, freePort, delay } = require("./helpers");
+
+const SECRET = "webhook-test-secret";
+
+let obs;
+let app;
+let receiver;
+const received = [];
+
+before(async () => {
+  const port = await freePort();
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(port, "127.0.0.1", resolve));
+
+  obs = await startFakeOBS();
+  const hooks = [{ name: "Test", url: `http://127.0.0.1:${port}/hook`, secret: SECRET, events: [] }];
+  app = await startApp({ env: { OBS_URL: obs.url, WEBHOOKS: JSON.stringify(hooks) }, media: { "a.mp4": "a" } });
+  await app.login();
+});
+
+after(async () => {
+  if (app) await app.stop();
+  if (obs) await obs.close();
+  if (receiver) await new Promise(resolve => receiver.close(resolve));
+});
+
+async function waitFor(event) {
+  for (let i = 0; i < 50; i++) {
+    const hit = received.find(r => r.headers["x-playout-event"] === event);
+    if (hit) return hit;
+    await delay(100);
+  }
+  throw new Error(`no ${event} delivery`);
+}
+
+test("deliveries are signed over the timestamp and raw body", async () => {
+  assert.equal((await app.request("POST", "/obs/connect")).status, 200);
+  const { headers, body } = await waitFor("obs.connected");
+
+  const expected = "sha256=" + crypto.createHmac("sha256", SECRET)
+    .update(`${headers["x-playout-timestamp"]}.${body}`).digest("hex");
+  assert.equal(headers["x-playout-signature"], expected);
+  assert.match(headers["x-playout-timestamp"], /^\d+$/);
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, "obs.connected");
+  assert.ok(headers["x-playout-delivery"]);
+});
+
+test("a manual stop sends playback.stopped once and no clip.ended", async () => {
+  const ids = await app.mediaIds(1);
+  assert.equal((await app.request("POST", "/play/video", { body: { id: ids["a.mp4"] } })).status, 200);
+  await waitFor("play.started");
+  await delay(1200);
+
+  received.length = 0;
+  assert.equal((await app.request("POST", "/obs/control", { body: { action: "stop" } })).status, 200);
+  await waitFor("playback.stopped");
+  await delay(300);
+
+  const events = received.map(r => r.headers["x-playout-event"]);
+  assert.deepEqual(events, ["playback.stopped"]);
+  assert.equal(JSON.parse(received[0].body).data.endedBy, "stopped");
+});